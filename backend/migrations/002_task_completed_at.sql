@@ -0,0 +1,7 @@
+-- tasks.completed_at: DONE 전환 시각 (통계 created vs completed 용)
+ALTER TABLE tasks ADD COLUMN completed_at DATETIME NULL AFTER assignee_id;
+
+CREATE INDEX idx_tasks_completed ON tasks(completed_at);
+
+-- 기존 DONE 태스크는 마지막 수정 시각으로 보정
+UPDATE tasks SET completed_at = updated_at WHERE status = 'DONE' AND completed_at IS NULL;
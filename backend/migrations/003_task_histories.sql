@@ -0,0 +1,15 @@
+-- task_histories: 태스크 변경 이력 (필드 단위 before/after)
+CREATE TABLE IF NOT EXISTS task_histories (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  task_id BIGINT NOT NULL,
+  actor_id BIGINT NOT NULL,
+  action ENUM('CREATE','UPDATE','DELETE') NOT NULL,
+  field VARCHAR(40) NULL,
+  old_value TEXT NULL,
+  new_value TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_task_histories_task (task_id, created_at),
+  INDEX idx_task_histories_actor (actor_id),
+  CONSTRAINT fk_task_histories_task FOREIGN KEY (task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_task_histories_actor FOREIGN KEY (actor_id) REFERENCES users(id)
+);
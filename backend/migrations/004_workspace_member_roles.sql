@@ -0,0 +1,8 @@
+-- workspace_members.role: 워크스페이스 단위 권한 (OWNER > ADMIN > MEMBER > VIEWER)
+ALTER TABLE workspace_members
+  ADD COLUMN role ENUM('OWNER','ADMIN','MEMBER','VIEWER') NOT NULL DEFAULT 'MEMBER' AFTER user_id;
+
+-- 기존 owner 멤버십 보정
+UPDATE workspace_members wm
+JOIN workspaces w ON w.id = wm.workspace_id AND w.owner_id = wm.user_id
+SET wm.role = 'OWNER';
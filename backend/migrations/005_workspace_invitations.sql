@@ -0,0 +1,21 @@
+-- workspace_invitations: 이메일 기반 워크스페이스 초대
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id BIGINT NOT NULL,
+  email VARCHAR(120) NOT NULL,
+  role ENUM('ADMIN','MEMBER','VIEWER') NOT NULL DEFAULT 'MEMBER',
+  token_hash CHAR(64) NOT NULL,
+  status ENUM('PENDING','ACCEPTED','DECLINED','REVOKED') NOT NULL DEFAULT 'PENDING',
+  invited_by BIGINT NOT NULL,
+  responded_by BIGINT NULL,
+  expires_at DATETIME NOT NULL,
+  responded_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invitation_token (token_hash),
+  INDEX idx_invitations_ws_status (workspace_id, status),
+  INDEX idx_invitations_email (email),
+  CONSTRAINT fk_invitations_ws FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+  CONSTRAINT fk_invitations_inviter FOREIGN KEY (invited_by) REFERENCES users(id),
+  CONSTRAINT fk_invitations_responder FOREIGN KEY (responded_by) REFERENCES users(id)
+);
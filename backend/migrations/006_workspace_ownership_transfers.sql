@@ -0,0 +1,15 @@
+-- workspace_ownership_transfers: 소유권 이전 기록
+CREATE TABLE IF NOT EXISTS workspace_ownership_transfers (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id BIGINT NOT NULL,
+  from_user_id BIGINT NOT NULL,
+  to_user_id BIGINT NOT NULL,
+  actor_id BIGINT NOT NULL,
+  previous_owner_action ENUM('ADMIN','MEMBER','VIEWER','REMOVE') NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_ws_transfers_ws (workspace_id),
+  CONSTRAINT fk_ws_transfers_ws FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+  CONSTRAINT fk_ws_transfers_from FOREIGN KEY (from_user_id) REFERENCES users(id),
+  CONSTRAINT fk_ws_transfers_to FOREIGN KEY (to_user_id) REFERENCES users(id),
+  CONSTRAINT fk_ws_transfers_actor FOREIGN KEY (actor_id) REFERENCES users(id)
+);
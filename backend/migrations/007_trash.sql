@@ -0,0 +1,11 @@
+-- 휴지통: 누가 삭제했는지 기록 + 태스크 복구 이력
+ALTER TABLE workspaces ADD COLUMN deleted_by BIGINT NULL AFTER deleted_at;
+ALTER TABLE projects ADD COLUMN deleted_by BIGINT NULL AFTER deleted_at;
+ALTER TABLE tasks ADD COLUMN deleted_by BIGINT NULL AFTER deleted_at;
+
+CREATE INDEX idx_workspaces_deleted ON workspaces(deleted_at);
+CREATE INDEX idx_projects_deleted ON projects(deleted_at);
+CREATE INDEX idx_tasks_deleted ON tasks(deleted_at);
+
+ALTER TABLE task_histories
+  MODIFY COLUMN action ENUM('CREATE','UPDATE','DELETE','RESTORE') NOT NULL;
@@ -0,0 +1,24 @@
+-- 연쇄 soft delete: 태스크-태그 연결도 soft delete 대상
+ALTER TABLE task_tags ADD COLUMN deleted_at DATETIME NULL AFTER created_at;
+CREATE INDEX idx_task_tags_deleted ON task_tags(deleted_at);
+
+-- 기존 데이터 정리: 삭제된 부모 아래에 살아 있는 하위 데이터를 부모 삭제 시각으로 맞춘다
+UPDATE projects p
+  JOIN workspaces w ON w.id = p.workspace_id
+  SET p.deleted_at = w.deleted_at, p.deleted_by = w.deleted_by
+  WHERE w.deleted_at IS NOT NULL AND p.deleted_at IS NULL;
+
+UPDATE tasks t
+  JOIN projects p ON p.id = t.project_id
+  SET t.deleted_at = p.deleted_at, t.deleted_by = p.deleted_by
+  WHERE p.deleted_at IS NOT NULL AND t.deleted_at IS NULL;
+
+UPDATE comments c
+  JOIN tasks t ON t.id = c.task_id
+  SET c.deleted_at = t.deleted_at
+  WHERE t.deleted_at IS NOT NULL AND c.deleted_at IS NULL;
+
+UPDATE task_tags tt
+  JOIN tasks t ON t.id = tt.task_id
+  SET tt.deleted_at = t.deleted_at
+  WHERE t.deleted_at IS NOT NULL;
@@ -0,0 +1,4 @@
+-- 워크스페이스 통합 검색: FULLTEXT 인덱스 (한글 대응을 위해 ngram parser, 기본 토큰 2글자)
+ALTER TABLE tasks ADD FULLTEXT INDEX ft_tasks_title_desc (title, description) WITH PARSER ngram;
+ALTER TABLE comments ADD FULLTEXT INDEX ft_comments_content (content) WITH PARSER ngram;
+ALTER TABLE projects ADD FULLTEXT INDEX ft_projects_name_desc (name, description) WITH PARSER ngram;
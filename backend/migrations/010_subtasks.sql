@@ -0,0 +1,5 @@
+-- 하위 태스크: 같은 tasks 테이블 안의 부모-자식 관계 (깊이 제한은 애플리케이션에서 검사)
+ALTER TABLE tasks ADD COLUMN parent_task_id BIGINT NULL AFTER project_id;
+ALTER TABLE tasks
+  ADD CONSTRAINT fk_tasks_parent FOREIGN KEY (parent_task_id) REFERENCES tasks(id);
+CREATE INDEX idx_tasks_parent ON tasks(parent_task_id);
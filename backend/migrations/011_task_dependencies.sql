@@ -0,0 +1,15 @@
+-- task_dependencies: 태스크 선후 관계 (blocker가 끝나야 blocked를 진행). 같은 워크스페이스 안에서만
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  blocker_task_id BIGINT NOT NULL,
+  blocked_task_id BIGINT NOT NULL,
+  created_by BIGINT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  UNIQUE KEY uq_task_dependency (blocker_task_id, blocked_task_id),
+  INDEX idx_task_dependencies_blocked (blocked_task_id),
+  INDEX idx_task_dependencies_deleted (deleted_at),
+  CONSTRAINT fk_task_dependencies_blocker FOREIGN KEY (blocker_task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_task_dependencies_blocked FOREIGN KEY (blocked_task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_task_dependencies_creator FOREIGN KEY (created_by) REFERENCES users(id)
+);
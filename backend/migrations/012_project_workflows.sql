@@ -0,0 +1,43 @@
+-- 프로젝트별 워크플로우: 순서 있는 상태 컬럼 + 카테고리(TODO/IN_PROGRESS/DONE) + 선택적 전이 규칙
+CREATE TABLE IF NOT EXISTS project_statuses (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  project_id BIGINT NOT NULL,
+  `key` VARCHAR(40) NOT NULL,
+  name VARCHAR(60) NOT NULL,
+  category ENUM('TODO','IN_PROGRESS','DONE') NOT NULL,
+  position INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_project_status_key (project_id, `key`),
+  INDEX idx_project_statuses_position (project_id, position),
+  CONSTRAINT fk_project_statuses_project FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+-- 행이 하나도 없으면 모든 전이 허용
+CREATE TABLE IF NOT EXISTS project_status_transitions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  project_id BIGINT NOT NULL,
+  from_key VARCHAR(40) NOT NULL,
+  to_key VARCHAR(40) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_project_status_transition (project_id, from_key, to_key),
+  CONSTRAINT fk_project_status_transitions_project FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+-- 기존 프로젝트는 지금의 3단계 그대로 (삭제된 프로젝트 포함: 복구 시 바로 쓸 수 있게)
+INSERT INTO project_statuses (project_id, `key`, name, category, position)
+SELECT p.id, s.k, s.name, s.category, s.position
+FROM projects p
+CROSS JOIN (
+  SELECT 'TODO' k, 'To Do' name, 'TODO' category, 1 position
+  UNION ALL SELECT 'DOING', 'Doing', 'IN_PROGRESS', 2
+  UNION ALL SELECT 'DONE', 'Done', 'DONE', 3
+) s;
+
+-- tasks.status: ENUM → 워크플로우 key, 집계/완료 판단은 status_category로
+ALTER TABLE tasks MODIFY COLUMN status VARCHAR(40) NOT NULL DEFAULT 'TODO';
+ALTER TABLE tasks
+  ADD COLUMN status_category ENUM('TODO','IN_PROGRESS','DONE') NOT NULL DEFAULT 'TODO' AFTER status;
+UPDATE tasks
+  SET status_category = CASE status WHEN 'DOING' THEN 'IN_PROGRESS' WHEN 'DONE' THEN 'DONE' ELSE 'TODO' END;
+CREATE INDEX idx_tasks_status_category ON tasks(status_category);
@@ -0,0 +1,12 @@
+-- 칸반 보드: 상태 컬럼(project_id + status) 안 카드 순서. 분수 랭킹이라 작은 값이 위, 사이에 끼우면 중간값
+ALTER TABLE tasks ADD COLUMN position DOUBLE NOT NULL DEFAULT 0 AFTER status_category;
+
+-- 기존 태스크는 컬럼마다 id 순으로 1024 간격
+UPDATE tasks t
+JOIN (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id, status ORDER BY id) AS rn
+  FROM tasks
+) r ON r.id = t.id
+SET t.position = r.rn * 1024;
+
+CREATE INDEX idx_tasks_board ON tasks(project_id, status, position);
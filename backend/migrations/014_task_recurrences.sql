@@ -0,0 +1,27 @@
+-- 반복 태스크: 시리즈(규칙) 1개 + 인스턴스(tasks.recurrence_id)
+-- 마지막 인스턴스가 DONE이 되거나, 스케줄 작업에서 마지막 인스턴스 마감이 지나면 다음 인스턴스 생성
+CREATE TABLE IF NOT EXISTS task_recurrences (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  freq ENUM('DAILY','WEEKLY','MONTHLY') NOT NULL,
+  interval_count INT NOT NULL DEFAULT 1,
+  weekdays VARCHAR(20) NULL,            -- WEEKLY: 'MO,WE,FR'
+  month_day TINYINT NULL,               -- MONTHLY: 1~31 (짧은 달은 말일)
+  starts_at DATETIME NOT NULL,          -- 첫 인스턴스 due_at (INTERVAL 주/월 기준점)
+  until_at DATETIME NULL,
+  count_limit INT NULL,
+  occurrences INT NOT NULL DEFAULT 1,   -- 지금까지 만든 인스턴스 수
+  next_due_at DATETIME NULL,            -- 다음 인스턴스 due_at, NULL이면 종료
+  last_task_id BIGINT NULL,
+  created_by BIGINT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,             -- 반복 중지
+  INDEX idx_task_recurrences_next (next_due_at),
+  CONSTRAINT fk_task_recurrences_last_task FOREIGN KEY (last_task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_task_recurrences_creator FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+ALTER TABLE tasks ADD COLUMN recurrence_id BIGINT NULL AFTER parent_task_id;
+ALTER TABLE tasks
+  ADD CONSTRAINT fk_tasks_recurrence FOREIGN KEY (recurrence_id) REFERENCES task_recurrences(id);
+CREATE INDEX idx_tasks_recurrence ON tasks(recurrence_id);
@@ -0,0 +1,6 @@
+-- 마감 알림: 사용자별 마감 몇 시간 전에 알릴지 (쉼표 구분 시간 목록, 예: "24,1")
+-- NULL = 서버 기본값(REMINDER_LEAD_HOURS), 빈 문자열 = 마감 전 알림 끔 (지연 알림은 항상 발송)
+ALTER TABLE users ADD COLUMN reminder_lead_hours VARCHAR(40) NULL AFTER status;
+
+-- 알림 워커: 담당자 있는 미완료 태스크를 마감 시각 범위로 스캔
+CREATE INDEX idx_tasks_due_assignee ON tasks(due_at, assignee_id);
@@ -0,0 +1,41 @@
+-- notifications: 사용자별 인앱 알림. read_at이 NULL이면 안 읽음
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id BIGINT NOT NULL,
+  actor_id BIGINT NULL,
+  type ENUM(
+    'TASK_ASSIGNED',
+    'MENTIONED',
+    'WORKSPACE_ADDED',
+    'TASK_STATUS_CHANGED',
+    'TASK_COMMENTED',
+    'TASK_DUE_SOON',
+    'TASK_OVERDUE'
+  ) NOT NULL,
+  workspace_id BIGINT NULL,
+  task_id BIGINT NULL,
+  comment_id BIGINT NULL,
+  data JSON NULL,
+  read_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_user (user_id, read_at, id),
+  INDEX idx_notifications_task (task_id),
+  INDEX idx_notifications_workspace (workspace_id),
+  CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id),
+  CONSTRAINT fk_notifications_actor FOREIGN KEY (actor_id) REFERENCES users(id),
+  CONSTRAINT fk_notifications_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+  CONSTRAINT fk_notifications_task FOREIGN KEY (task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_notifications_comment FOREIGN KEY (comment_id) REFERENCES comments(id)
+);
+
+-- task_followers: 태스크 팔로우 (상태 변경/댓글 알림 대상). 해제는 hard delete
+CREATE TABLE IF NOT EXISTS task_followers (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  task_id BIGINT NOT NULL,
+  user_id BIGINT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_task_follower (task_id, user_id),
+  INDEX idx_task_followers_user (user_id),
+  CONSTRAINT fk_task_followers_task FOREIGN KEY (task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_task_followers_user FOREIGN KEY (user_id) REFERENCES users(id)
+);
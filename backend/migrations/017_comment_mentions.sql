@@ -0,0 +1,11 @@
+-- comment_mentions: 댓글에서 멘션된 워크스페이스 멤버 (@username / @[userId]). 댓글 수정 시 diff로 추가/삭제
+CREATE TABLE IF NOT EXISTS comment_mentions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  comment_id BIGINT NOT NULL,
+  user_id BIGINT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_comment_mention (comment_id, user_id),
+  INDEX idx_comment_mentions_user (user_id, id),
+  CONSTRAINT fk_comment_mentions_comment FOREIGN KEY (comment_id) REFERENCES comments(id),
+  CONSTRAINT fk_comment_mentions_user FOREIGN KEY (user_id) REFERENCES users(id)
+);
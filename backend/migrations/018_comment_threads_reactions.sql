@@ -0,0 +1,16 @@
+-- 댓글 답글 (1단계): 최상위 댓글에만 답글을 달 수 있다
+ALTER TABLE comments ADD COLUMN parent_comment_id BIGINT NULL AFTER task_id;
+ALTER TABLE comments ADD CONSTRAINT fk_comments_parent FOREIGN KEY (parent_comment_id) REFERENCES comments(id);
+CREATE INDEX idx_comments_thread ON comments(task_id, parent_comment_id);
+
+-- comment_reactions: 고정된 이모지 반응. 사용자당 댓글 + 이모지 하나 (다시 누르면 해제 = hard delete)
+CREATE TABLE IF NOT EXISTS comment_reactions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  comment_id BIGINT NOT NULL,
+  user_id BIGINT NOT NULL,
+  emoji ENUM('THUMBS_UP', 'HEART', 'LAUGH', 'HOORAY', 'EYES', 'ROCKET') NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_comment_reaction (comment_id, user_id, emoji),
+  CONSTRAINT fk_comment_reactions_comment FOREIGN KEY (comment_id) REFERENCES comments(id),
+  CONSTRAINT fk_comment_reactions_user FOREIGN KEY (user_id) REFERENCES users(id)
+);
@@ -0,0 +1,17 @@
+-- 댓글 수정 이력: 수정할 때마다 이전/새 내용을 남긴다 (append-only)
+ALTER TABLE comments ADD COLUMN edited_at DATETIME NULL AFTER content;
+
+-- 댓글 삭제는 tombstone: 내용은 남기고 deleted_at/deleted_by만 기록 (일반 멤버에게는 "[deleted]")
+ALTER TABLE comments ADD COLUMN deleted_by BIGINT NULL AFTER deleted_at;
+
+CREATE TABLE IF NOT EXISTS comment_revisions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  comment_id BIGINT NOT NULL,
+  editor_id BIGINT NOT NULL,
+  old_content VARCHAR(500) NOT NULL,
+  new_content VARCHAR(500) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_comment_revisions_comment (comment_id, created_at),
+  CONSTRAINT fk_comment_revisions_comment FOREIGN KEY (comment_id) REFERENCES comments(id),
+  CONSTRAINT fk_comment_revisions_editor FOREIGN KEY (editor_id) REFERENCES users(id)
+);
@@ -0,0 +1,5 @@
+-- 댓글 Markdown: 500자 제한을 없애고 길이는 앱 설정(COMMENT_MAX_LENGTH)으로 제한
+ALTER TABLE comments MODIFY COLUMN content MEDIUMTEXT NOT NULL;
+ALTER TABLE comment_revisions
+  MODIFY COLUMN old_content MEDIUMTEXT NOT NULL,
+  MODIFY COLUMN new_content MEDIUMTEXT NOT NULL;
@@ -0,0 +1,24 @@
+-- attachments: 태스크/댓글 첨부 파일 메타데이터. 파일 자체는 storage(local 디스크 / S3 호환)에 storage_key로 저장
+-- 태스크와 같이 soft delete/복구, 영구 삭제(purge) 시 파일까지 삭제. 개별 삭제는 hard delete + 파일 삭제
+CREATE TABLE IF NOT EXISTS attachments (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id BIGINT NOT NULL,
+  task_id BIGINT NOT NULL,
+  comment_id BIGINT NULL,
+  uploader_id BIGINT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  storage_key VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  UNIQUE KEY uq_attachments_storage_key (storage_key),
+  INDEX idx_attachments_task (task_id, comment_id),
+  INDEX idx_attachments_workspace (workspace_id),
+  CONSTRAINT fk_attachments_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+  CONSTRAINT fk_attachments_task FOREIGN KEY (task_id) REFERENCES tasks(id),
+  CONSTRAINT fk_attachments_comment FOREIGN KEY (comment_id) REFERENCES comments(id),
+  CONSTRAINT fk_attachments_uploader FOREIGN KEY (uploader_id) REFERENCES users(id)
+);
@@ -1,9 +1,35 @@
 // backend/scripts/migrate.js
 import { runSqlFile } from "./db-runner.js";
 
+// 순서대로 실행 (backend 기준 경로)
+const MIGRATIONS = [
+  "migrations/001_init.sql",
+  "migrations/002_task_completed_at.sql",
+  "migrations/003_task_histories.sql",
+  "migrations/004_workspace_member_roles.sql",
+  "migrations/005_workspace_invitations.sql",
+  "migrations/006_workspace_ownership_transfers.sql",
+  "migrations/007_trash.sql",
+  "migrations/008_cascade_soft_delete.sql",
+  "migrations/009_fulltext_search.sql",
+  "migrations/010_subtasks.sql",
+  "migrations/011_task_dependencies.sql",
+  "migrations/012_project_workflows.sql",
+  "migrations/013_task_board_position.sql",
+  "migrations/014_task_recurrences.sql",
+  "migrations/015_due_reminders.sql",
+  "migrations/016_notifications.sql",
+  "migrations/017_comment_mentions.sql",
+  "migrations/018_comment_threads_reactions.sql",
+  "migrations/019_comment_revisions.sql",
+  "migrations/020_comment_markdown.sql",
+  "migrations/021_attachments.sql",
+];
+
 async function main() {
-  // backend 기준 경로
-  await runSqlFile("migrations/001_init.sql");
+  for (const file of MIGRATIONS) {
+    await runSqlFile(file);
+  }
 }
 
 main().catch((e) => {
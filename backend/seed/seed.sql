@@ -3,10 +3,23 @@
 
 SET FOREIGN_KEY_CHECKS = 0;
 
+TRUNCATE TABLE attachments;
+TRUNCATE TABLE notifications;
+TRUNCATE TABLE task_followers;
+TRUNCATE TABLE task_dependencies;
+TRUNCATE TABLE task_histories;
 TRUNCATE TABLE task_tags;
+TRUNCATE TABLE comment_revisions;
+TRUNCATE TABLE comment_reactions;
+TRUNCATE TABLE comment_mentions;
 TRUNCATE TABLE comments;
+TRUNCATE TABLE task_recurrences;
 TRUNCATE TABLE tasks;
+TRUNCATE TABLE project_status_transitions;
+TRUNCATE TABLE project_statuses;
 TRUNCATE TABLE projects;
+TRUNCATE TABLE workspace_ownership_transfers;
+TRUNCATE TABLE workspace_invitations;
 TRUNCATE TABLE workspace_members;
 TRUNCATE TABLE tags;
 TRUNCATE TABLE workspaces;
@@ -75,8 +88,8 @@ WHERE n BETWEEN 1 AND 10;
 -- 4) WORKSPACE_MEMBERS
 -- =====================================================
 -- owner
-INSERT INTO workspace_members (workspace_id, user_id)
-SELECT w.id, u.id
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT w.id, u.id, 'OWNER'
 FROM workspaces w
 JOIN users u ON u.email = 'admin@example.com';
 
@@ -105,17 +118,29 @@ SELECT
 FROM workspaces w
 CROSS JOIN (SELECT 1 n UNION ALL SELECT 2 UNION ALL SELECT 3) p;
 
+-- 기본 워크플로우 (TODO/DOING/DONE)
+INSERT INTO project_statuses (project_id, `key`, name, category, position)
+SELECT p.id, s.k, s.name, s.category, s.position
+FROM projects p
+CROSS JOIN (
+  SELECT 'TODO' k, 'To Do' name, 'TODO' category, 1 position
+  UNION ALL SELECT 'DOING', 'Doing', 'IN_PROGRESS', 2
+  UNION ALL SELECT 'DONE', 'Done', 'DONE', 3
+) s;
+
 -- =====================================================
 -- 6) TASKS (project당 4개)
 -- =====================================================
 INSERT INTO tasks (
-  project_id, title, description, status, priority, due_at, created_by, assignee_id
+  project_id, title, description, status, status_category, position, priority, due_at, created_by, assignee_id
 )
 SELECT
   p.id,
   CONCAT('Task ', p.id, '-', k.n),
   'seed task',
   CASE k.n % 3 WHEN 0 THEN 'DONE' WHEN 1 THEN 'TODO' ELSE 'DOING' END,
+  CASE k.n % 3 WHEN 0 THEN 'DONE' WHEN 1 THEN 'TODO' ELSE 'IN_PROGRESS' END,
+  k.n * 1024,
   CASE k.n % 3 WHEN 0 THEN 'HIGH' WHEN 1 THEN 'LOW' ELSE 'MEDIUM' END,
   DATE_ADD(CURDATE(), INTERVAL (p.id + k.n) DAY),
   w.owner_id,
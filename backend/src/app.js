@@ -18,8 +18,15 @@ import usersRouter from "./routes/users.js";
 import workspacesRouter from "./routes/workspaces.js";
 import projectsRouter from "./routes/projects.js";
 import tasksRouter from "./routes/tasks.js";
+import boardRouter from "./routes/board.js";
 import commentsRouter from "./routes/comments.js";
+import attachmentsRouter, { commentAttachmentsRouter } from "./routes/attachments.js";
 import tagsRouter from "./routes/tags.js";
+import statsRouter from "./routes/stats.js";
+import invitationsRouter, { inviteeRouter } from "./routes/invitations.js";
+import trashRouter, { workspaceTrashRouter } from "./routes/trash.js";
+import workspaceTasksRouter from "./routes/workspaceTasks.js";
+import searchRouter from "./routes/search.js";
 import swaggerUi from "swagger-ui-express";
 import { swaggerSpec } from "./docs/swagger.js";
 
@@ -58,6 +65,9 @@ app.get(
   usersRouter
 );
 
+// 내 태스크 (모든 워크스페이스 횡단) - 태스크 변경 시 clearCache("tasks")로 같이 비워짐
+app.get("/api/users/me/tasks", requireAuth, cache("tasks", 30), usersRouter);
+
 app.use("/api/users", usersRouter);
 
 // 2. 워크스페이스 스코프 미들웨어
@@ -74,6 +84,16 @@ app.use(
   projectsRouter
 );
 
+// 5-0. 첨부 파일 (다운로드는 JSON이 아니라 캐시하지 않는다. tasks/comments 캐시보다 먼저 마운트)
+app.use(
+  "/api/workspaces/:workspaceId/projects/:projectId/tasks/:taskId/attachments",
+  attachmentsRouter
+);
+app.use(
+  "/api/workspaces/:workspaceId/projects/:projectId/tasks/:taskId/comments/:commentId/attachments",
+  commentAttachmentsRouter
+);
+
 // 5. 태스크 라우터
 app.use(
   "/api/workspaces/:workspaceId/projects/:projectId/tasks",
@@ -82,6 +102,22 @@ app.use(
   tasksRouter
 );
 
+// 5-1. 칸반 보드 (카드 이동 = 태스크 변경이라 tasks 캐시를 같이 쓴다)
+app.use(
+  "/api/workspaces/:workspaceId/projects/:projectId/board",
+  cache("tasks", 30),
+  clearCache("tasks"),
+  boardRouter
+);
+
+// 5-2. 워크스페이스 전체 태스크 (프로젝트 횡단 검색 / 일괄 변경)
+app.use(
+  "/api/workspaces/:workspaceId/tasks",
+  cache("tasks", 30),
+  clearCache("tasks"),
+  workspaceTasksRouter
+);
+
 // 6. 댓글 라우터
 app.use(
   "/api/workspaces/:workspaceId/projects/:projectId/tasks/:taskId/comments",
@@ -98,6 +134,30 @@ app.use(
   tagsRouter
 );
 
+// 8. 통계 라우터 (조회 전용)
+app.use("/api/workspaces/:workspaceId/stats", cache("stats", 60), statsRouter);
+
+// 8-1. 통합 검색 (조회 전용)
+app.use("/api/workspaces/:workspaceId/search", cache("search", 30), searchRouter);
+
+// 9. 초대 라우터 (관리: 워크스페이스 스코프 / 수락·거절: 초대받은 본인)
+app.use(
+  "/api/workspaces/:workspaceId/invitations",
+  cache("invitations", 30),
+  clearCache("invitations"),
+  invitationsRouter
+);
+app.use("/api/invitations", requireAuth, clearCache("workspaces"), inviteeRouter);
+
+// 10. 휴지통 라우터 (프로젝트/태스크: 워크스페이스 스코프 / 워크스페이스: owner 본인)
+app.use(
+  "/api/workspaces/:workspaceId/trash",
+  clearCache("projects"),
+  clearCache("tasks"),
+  trashRouter
+);
+app.use("/api/trash/workspaces", requireAuth, clearCache("workspaces"), workspaceTrashRouter);
+
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use(errorHandler);
 
@@ -27,6 +27,41 @@ export const env = {
   JWT_ACCESS_EXPIRES: process.env.JWT_ACCESS_EXPIRES ?? "900s",
   JWT_REFRESH_EXPIRES: process.env.JWT_REFRESH_EXPIRES ?? "7d",
 
+  // 워크스페이스 초대 토큰 (메일 링크로 나가므로 access/refresh와 다른 키 필수)
+  INVITE_TOKEN_SECRET: must("INVITE_TOKEN_SECRET"),
+  INVITE_TOKEN_EXPIRES: process.env.INVITE_TOKEN_EXPIRES || "7d",
+
+  // 메일 전송: outbox(로컬 파일, 기본) | console
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "outbox",
+  MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || "outbox",
+  MAIL_FROM: process.env.MAIL_FROM || "no-reply@localhost",
+  FRONTEND_URL: process.env.FRONTEND_URL || process.env.CORS_ORIGIN || "http://localhost:3000",
+
+  // 휴지통 보관 기간 (일). 지나면 trash:purge 워커가 영구 삭제
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10),
+
+  // 마감 알림 기본 리드 타임 (시간, 쉼표 구분). 사용자가 따로 정하지 않았을 때 사용
+  REMINDER_LEAD_HOURS: process.env.REMINDER_LEAD_HOURS || "24",
+
+  // 댓글(Markdown 원문) 최대 길이 (글자 수)
+  COMMENT_MAX_LENGTH: parseInt(process.env.COMMENT_MAX_LENGTH || "10000", 10),
+
+  // 첨부 파일: storage 드라이버 local(디스크, 기본) | s3 (S3 호환: AWS, MinIO 등)
+  ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || "local",
+  ATTACHMENT_LOCAL_DIR: process.env.ATTACHMENT_LOCAL_DIR || "uploads",
+  ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  ATTACHMENT_WORKSPACE_QUOTA_BYTES: parseInt(
+    process.env.ATTACHMENT_WORKSPACE_QUOTA_BYTES || String(1024 * 1024 * 1024),
+    10
+  ),
+  S3_ENDPOINT: process.env.S3_ENDPOINT || "",
+  S3_REGION: process.env.S3_REGION || "us-east-1",
+  S3_BUCKET: process.env.S3_BUCKET || "",
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || "",
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || "",
+  // MinIO 등 로컬 대체 서버는 path-style 주소가 필요
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === "true",
+
   VERSION: process.env.VERSION ?? "0.1.0",
   BUILD_TIME: process.env.BUILD_TIME ?? new Date().toISOString(),
 
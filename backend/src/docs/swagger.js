@@ -8,7 +8,7 @@ export const swaggerSpec = swaggerJSDoc({
       title: "WebService TermProject API",
       version: "1.0.0",
       description:
-        "JWT 인증 기반 협업 관리 API (workspaces/projects/tasks/comments/tags) + 소셜 로그인(Firebase, Kakao)",
+        "JWT 인증 기반 협업 관리 API (workspaces/projects/tasks/comments/tags/stats) + 소셜 로그인(Firebase, Kakao)",
     },
     servers: [{ url: "/api", description: "API base" }],
     tags: [
@@ -20,6 +20,10 @@ export const swaggerSpec = swaggerJSDoc({
       { name: "Tasks" },
       { name: "Comments" },
       { name: "Tags" },
+      { name: "Stats" },
+      { name: "Invitations" },
+      { name: "Trash" },
+      { name: "Search" },
     ],
     components: {
       securitySchemes: {
@@ -64,6 +68,90 @@ export const swaggerSpec = swaggerJSDoc({
           required: ["id", "email", "name", "role", "status"],
         },
 
+        Mention: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 7 },
+            commentId: { type: "integer", example: 1000 },
+            content: { type: "string", example: "@user2 please check" },
+            author: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "integer", example: 1 },
+                name: { type: "string", example: "user1" },
+              },
+            },
+            task: {
+              type: "object",
+              properties: {
+                id: { type: "integer", example: 100 },
+                title: { type: "string", example: "implement refresh rotation" },
+              },
+            },
+            projectId: { type: "integer", example: 10 },
+            workspaceId: { type: "integer", example: 1 },
+            createdAt: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+          },
+          required: ["id", "commentId", "content", "task", "projectId", "workspaceId"],
+        },
+
+        Notification: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            type: {
+              type: "string",
+              enum: [
+                "TASK_ASSIGNED",
+                "MENTIONED",
+                "WORKSPACE_ADDED",
+                "TASK_STATUS_CHANGED",
+                "TASK_COMMENTED",
+                "TASK_DUE_SOON",
+                "TASK_OVERDUE",
+              ],
+              example: "TASK_ASSIGNED",
+            },
+            actor: {
+              type: "object",
+              nullable: true,
+              description: "알림을 만든 사용자 (마감 알림은 null)",
+              properties: {
+                id: { type: "integer", example: 2 },
+                name: { type: "string", example: "user2" },
+              },
+            },
+            workspaceId: { type: "integer", nullable: true, example: 1 },
+            taskId: { type: "integer", nullable: true, example: 100 },
+            commentId: { type: "integer", nullable: true, example: null },
+            data: {
+              type: "object",
+              nullable: true,
+              description: "타입별 부가 정보 (title, projectId, from/to, name/role, dueAt, leadHours)",
+              example: { title: "implement refresh rotation", projectId: 10 },
+            },
+            read: { type: "boolean", example: false },
+            readAt: { type: "string", nullable: true, example: null },
+            createdAt: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+          },
+          required: ["id", "type", "read", "createdAt"],
+        },
+
+        ReminderSettings: {
+          type: "object",
+          properties: {
+            leadHours: {
+              type: "array",
+              description: "마감 몇 시간 전에 알릴지 (내림차순). 빈 배열 = 마감 전 알림 끔",
+              items: { type: "integer" },
+              example: [24, 1],
+            },
+            isDefault: { type: "boolean", description: "서버 기본값(REMINDER_LEAD_HOURS) 사용 중", example: false },
+          },
+          required: ["leadHours", "isDefault"],
+        },
+
         Workspace: {
           type: "object",
           properties: {
@@ -72,12 +160,33 @@ export const swaggerSpec = swaggerJSDoc({
             owner_id: { type: "integer", example: 1 },
             description: { type: "string", nullable: true, example: null },
             deleted_at: { type: "string", nullable: true, example: null },
+            deleted_by: { type: "integer", nullable: true, example: null },
             created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
             updated_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
           },
           required: ["id", "name", "owner_id"],
         },
 
+        WorkspaceInvitation: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 3 },
+            workspaceId: { type: "integer", example: 1 },
+            email: { type: "string", example: "friend@example.com" },
+            role: { type: "string", enum: ["ADMIN", "MEMBER", "VIEWER"], example: "MEMBER" },
+            status: {
+              type: "string",
+              enum: ["PENDING", "ACCEPTED", "DECLINED", "REVOKED"],
+              example: "PENDING",
+            },
+            invitedBy: { type: "integer", example: 1 },
+            expiresAt: { type: "string", example: "2025-12-29T10:00:00.000Z" },
+            respondedAt: { type: "string", nullable: true, example: null },
+            createdAt: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+          },
+          required: ["id", "workspaceId", "email", "role", "status"],
+        },
+
         Project: {
           type: "object",
           properties: {
@@ -88,38 +197,189 @@ export const swaggerSpec = swaggerJSDoc({
             status: { type: "string", example: "ACTIVE" },
             created_by: { type: "integer", example: 1 },
             deleted_at: { type: "string", nullable: true, example: null },
+            deleted_by: { type: "integer", nullable: true, example: null },
             created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
             updated_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
           },
           required: ["id", "workspace_id", "name", "status", "created_by"],
         },
 
+        ProjectWorkflow: {
+          type: "object",
+          properties: {
+            statuses: {
+              type: "array",
+              description: "position 순 상태 컬럼",
+              items: {
+                type: "object",
+                properties: {
+                  key: { type: "string", example: "IN_REVIEW" },
+                  name: { type: "string", example: "In Review" },
+                  category: { type: "string", enum: ["TODO", "IN_PROGRESS", "DONE"], example: "IN_PROGRESS" },
+                  position: { type: "integer", example: 3 },
+                },
+              },
+            },
+            transitions: {
+              type: "array",
+              description: "허용 전이 목록. 비어 있으면 모든 전이 허용",
+              items: {
+                type: "object",
+                properties: {
+                  from: { type: "string", example: "DOING" },
+                  to: { type: "string", example: "IN_REVIEW" },
+                },
+              },
+            },
+          },
+        },
+
         Task: {
           type: "object",
           properties: {
             id: { type: "integer", example: 100 },
             project_id: { type: "integer", example: 10 },
+            parent_task_id: { type: "integer", nullable: true, example: null },
+            recurrence_id: { type: "integer", nullable: true, description: "반복 시리즈 (TaskRecurrence)", example: null },
             title: { type: "string", example: "implement refresh rotation" },
-            description: { type: "string", nullable: true, example: null },
-            status: { type: "string", enum: ["TODO", "DOING", "DONE"], example: "TODO" },
+            description: { type: "string", nullable: true, description: "Markdown 원문", example: "Blocked by #12" },
+            descriptionHtml: { type: "string", nullable: true, description: "description을 렌더링 + sanitize한 HTML", example: '<p>Blocked by <a href="http://localhost:3000/workspaces/1/projects/10/tasks/12" class="task-link" data-task-id="12" rel="noopener noreferrer nofollow">#12</a></p>' },
+            taskLinks: { type: "array", items: { $ref: "#/components/schemas/TaskLink" } },
+            status: { type: "string", description: "프로젝트 워크플로우의 상태 key", example: "TODO" },
+            status_category: { type: "string", enum: ["TODO", "IN_PROGRESS", "DONE"], example: "TODO" },
+            position: { type: "number", description: "보드 컬럼 안 순서 (작을수록 위)", example: 2048 },
             priority: { type: "string", enum: ["LOW", "MEDIUM", "HIGH"], example: "MEDIUM" },
             due_at: { type: "string", nullable: true, example: null },
             created_by: { type: "integer", example: 1 },
             assignee_id: { type: "integer", nullable: true, example: null },
+            completed_at: { type: "string", nullable: true, example: null },
             deleted_at: { type: "string", nullable: true, example: null },
+            deleted_by: { type: "integer", nullable: true, example: null },
             created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
             updated_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+            progress: {
+              type: "object",
+              description: "직속 하위 태스크 진행률 (목록/상세 응답에서 계산)",
+              properties: {
+                done: { type: "integer", example: 2 },
+                total: { type: "integer", example: 5 },
+              },
+            },
+            blockedBy: {
+              type: "array",
+              description: "이 태스크를 막는 태스크 (목록/상세 응답에서 계산)",
+              items: { $ref: "#/components/schemas/TaskDependencySummary" },
+            },
+            blocking: {
+              type: "array",
+              description: "이 태스크가 막는 태스크",
+              items: { $ref: "#/components/schemas/TaskDependencySummary" },
+            },
           },
           required: ["id", "project_id", "title", "status", "priority", "created_by"],
         },
 
+        TaskRecurrence: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            freq: { type: "string", enum: ["DAILY", "WEEKLY", "MONTHLY"], example: "WEEKLY" },
+            interval: { type: "integer", example: 1 },
+            weekdays: { type: "array", nullable: true, items: { type: "string" }, example: ["MO"] },
+            monthDay: { type: "integer", nullable: true, example: null },
+            until: { type: "string", nullable: true, example: null },
+            count: { type: "integer", nullable: true, example: 12 },
+            occurrences: { type: "integer", description: "지금까지 만들어진 인스턴스 수", example: 1 },
+            nextDueAt: { type: "string", nullable: true, description: "다음 인스턴스 마감. null이면 종료", example: "2025-12-29T09:00:00.000Z" },
+            lastTaskId: { type: "integer", example: 100 },
+            rrule: { type: "string", example: "FREQ=WEEKLY;BYDAY=MO;COUNT=12" },
+          },
+          required: ["id", "freq", "interval", "occurrences", "lastTaskId", "rrule"],
+        },
+
+        TaskDependency: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            blocker_task_id: { type: "integer", example: 101 },
+            blocked_task_id: { type: "integer", example: 100 },
+            created_by: { type: "integer", example: 1 },
+            created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+          },
+          required: ["id", "blocker_task_id", "blocked_task_id", "created_by"],
+        },
+
+        TaskDependencySummary: {
+          type: "object",
+          properties: {
+            dependencyId: { type: "integer", example: 1 },
+            id: { type: "integer", example: 101 },
+            project_id: { type: "integer", example: 10 },
+            title: { type: "string", example: "design schema" },
+            status: { type: "string", example: "DOING" },
+            status_category: { type: "string", enum: ["TODO", "IN_PROGRESS", "DONE"], example: "IN_PROGRESS" },
+          },
+        },
+
+        TaskHistory: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            task_id: { type: "integer", example: 100 },
+            actor_id: { type: "integer", example: 1 },
+            action: { type: "string", enum: ["CREATE", "UPDATE", "DELETE"], example: "UPDATE" },
+            field: { type: "string", nullable: true, example: "status" },
+            old_value: { type: "string", nullable: true, example: "TODO" },
+            new_value: { type: "string", nullable: true, example: "DOING" },
+            created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
+            actor: {
+              type: "object",
+              properties: {
+                id: { type: "integer", example: 1 },
+                name: { type: "string", example: "user1" },
+                email: { type: "string", example: "user1@example.com" },
+              },
+            },
+          },
+          required: ["id", "task_id", "actor_id", "action"],
+        },
+
         Comment: {
           type: "object",
           properties: {
             id: { type: "integer", example: 1000 },
             task_id: { type: "integer", example: 100 },
+            parent_comment_id: { type: "integer", nullable: true, example: null, description: "답글이면 최상위 댓글 id" },
             user_id: { type: "integer", example: 1 },
-            content: { type: "string", example: "looks good" },
+            content: { type: "string", example: "looks good @user2", description: 'Markdown 원문. 삭제된 댓글이면 "[deleted]" (moderator에게는 원문)' },
+            contentHtml: { type: "string", nullable: true, description: "content를 렌더링 + sanitize한 HTML (일반 멤버에게 보이는 tombstone은 null)", example: "<p>looks good @user2</p>" },
+            taskLinks: { type: "array", items: { $ref: "#/components/schemas/TaskLink" } },
+            edited: { type: "boolean", example: true },
+            editedAt: { type: "string", nullable: true, example: "2025-12-22T10:05:00.000Z" },
+            deleted: { type: "boolean", example: false },
+            deletedAt: { type: "string", nullable: true, example: null, description: "moderator(ADMIN 이상)에게만" },
+            deletedBy: { type: "integer", nullable: true, example: null, description: "moderator(ADMIN 이상)에게만" },
+            mentions: {
+              type: "array",
+              description: "멘션된 워크스페이스 멤버",
+              items: {
+                type: "object",
+                properties: {
+                  userId: { type: "integer", example: 2 },
+                  name: { type: "string", example: "user2" },
+                },
+              },
+            },
+            reactions: {
+              type: "array",
+              items: { $ref: "#/components/schemas/CommentReaction" },
+            },
+            replyCount: { type: "integer", example: 2, description: "목록(스레드)에서만. 살아 있는 답글 수" },
+            replies: {
+              type: "array",
+              description: "목록(스레드)에서만. 답글(작성순)",
+              items: { type: "object", description: "Comment (replies/replyCount 없음)" },
+            },
             deleted_at: { type: "string", nullable: true, example: null },
             created_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
             updated_at: { type: "string", example: "2025-12-22T10:00:00.000Z" },
@@ -127,6 +387,80 @@ export const swaggerSpec = swaggerJSDoc({
           required: ["id", "task_id", "user_id", "content"],
         },
 
+        TaskLink: {
+          type: "object",
+          description: "본문의 #123 중 같은 워크스페이스의 살아 있는 태스크",
+          properties: {
+            taskId: { type: "integer", example: 12 },
+            projectId: { type: "integer", example: 10 },
+            title: { type: "string", example: "Fix login" },
+            url: { type: "string", example: "http://localhost:3000/workspaces/1/projects/10/tasks/12" },
+          },
+          required: ["taskId", "projectId", "title", "url"],
+        },
+
+        CommentReaction: {
+          type: "object",
+          properties: {
+            emoji: { type: "string", enum: ["THUMBS_UP", "HEART", "LAUGH", "HOORAY", "EYES", "ROCKET"], example: "THUMBS_UP" },
+            count: { type: "integer", example: 3 },
+            reactedByMe: { type: "boolean", example: true },
+          },
+          required: ["emoji", "count", "reactedByMe"],
+        },
+
+        CommentRevision: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 31 },
+            commentId: { type: "integer", example: 1000 },
+            editor: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "integer", example: 1 },
+                name: { type: "string", example: "user1" },
+              },
+            },
+            oldContent: { type: "string", example: "looks good" },
+            newContent: { type: "string", example: "looks good @user2" },
+            createdAt: { type: "string", example: "2025-12-22T10:05:00.000Z" },
+          },
+          required: ["id", "commentId", "oldContent", "newContent", "createdAt"],
+        },
+
+        Attachment: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 12 },
+            taskId: { type: "integer", example: 10 },
+            commentId: { type: "integer", nullable: true, example: null, description: "댓글 첨부면 댓글 id" },
+            fileName: { type: "string", example: "error.log" },
+            mimeType: { type: "string", example: "text/plain", description: "내용으로 판별한 타입" },
+            sizeBytes: { type: "integer", example: 2048 },
+            checksum: { type: "string", example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08", description: "SHA-256 (hex)" },
+            uploader: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "integer", example: 1 },
+                name: { type: "string", example: "user1" },
+              },
+            },
+            createdAt: { type: "string", example: "2025-12-22T10:05:00.000Z" },
+          },
+          required: ["id", "taskId", "commentId", "fileName", "mimeType", "sizeBytes", "checksum", "createdAt"],
+        },
+
+        AttachmentUsage: {
+          type: "object",
+          properties: {
+            usedBytes: { type: "integer", example: 1048576, description: "휴지통에 있는 태스크의 첨부 포함" },
+            quotaBytes: { type: "integer", example: 1073741824 },
+          },
+          required: ["usedBytes", "quotaBytes"],
+        },
+
         Tag: {
           type: "object",
           properties: {
@@ -147,6 +481,52 @@ export const swaggerSpec = swaggerJSDoc({
           },
           required: ["task_id", "tag_id"],
         },
+
+        BulkTaskResult: {
+          type: "object",
+          properties: {
+            taskId: { type: "integer", example: 100 },
+            ok: { type: "boolean", example: true },
+            action: { type: "string", enum: ["UPDATE", "DELETE"], example: "UPDATE" },
+            changes: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", example: "status" },
+                  before: { type: "string", nullable: true, example: "TODO" },
+                  after: { type: "string", nullable: true, example: "DONE" },
+                },
+              },
+            },
+            nextTaskId: { type: "integer", description: "반복 태스크의 다음 인스턴스가 만들어진 경우에만", example: 101 },
+            error: {
+              type: "object",
+              nullable: true,
+              properties: {
+                code: { type: "string", example: "RESOURCE_NOT_FOUND" },
+                message: { type: "string", example: "task not found" },
+              },
+            },
+          },
+          required: ["taskId", "ok"],
+        },
+
+        SearchHit: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["task", "comment", "project"], example: "task" },
+            id: { type: "integer", example: 100 },
+            score: { type: "number", example: 1.53 },
+            title: { type: "string", example: "implement <mark>refresh</mark> rotation" },
+            snippet: { type: "string", nullable: true, example: "…rotate the <mark>refresh</mark> token on every call…" },
+            projectId: { type: "integer", example: 10 },
+            taskId: { type: "integer", description: "comment only", example: 100 },
+            authorId: { type: "integer", description: "comment only", example: 1 },
+            status: { type: "string", description: "task / project only", example: "TODO" },
+          },
+          required: ["type", "id", "score", "title", "projectId"],
+        },
       },
     },
   },
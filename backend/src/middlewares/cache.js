@@ -72,4 +72,23 @@ export function clearCache(prefix) {
 
     next();
   };
-}
\ No newline at end of file
+}
+
+/**
+ * [직접 호출용] invalidateCache
+ * 다른 유저의 캐시까지 지워야 할 때 사용 (예: 소유권 이전 → 모든 멤버의 워크스페이스 상세)
+ * patterns: Redis KEYS 패턴 목록 (예: "workspaces:*:/api/workspaces/1*")
+ */
+export async function invalidateCache(...patterns) {
+  try {
+    for (const pattern of patterns) {
+      const keys = await redis.keys(pattern);
+      if (keys.length > 0) {
+        await redis.del(keys);
+        console.log(`Redis cache INVALIDATED: ${pattern} (${keys.length} keys)`);
+      }
+    }
+  } catch (err) {
+    console.error("Redis Invalidate Error:", err);
+  }
+}
@@ -2,10 +2,36 @@
 import { models } from "../models/index.js";
 import { sendError } from "../utils/http.js";
 
+// 워크스페이스 권한 (앞쪽일수록 상위)
+export const WORKSPACE_ROLES = ["OWNER", "ADMIN", "MEMBER", "VIEWER"];
+
+function roleRank(role) {
+  const i = WORKSPACE_ROLES.indexOf(role);
+  return i === -1 ? Infinity : i;
+}
+
+/**
+ * role이 minRole 이상인지
+ */
+export function hasWorkspaceRole(role, minRole) {
+  return roleRank(role) <= roleRank(minRole);
+}
+
+// OWNER는 워크스페이스 생성/소유권 이전으로만 부여된다
+export const ASSIGNABLE_WORKSPACE_ROLES = ["ADMIN", "MEMBER", "VIEWER"];
+
+/**
+ * 현재 요청자가 해당 role을 부여/회수할 수 있는지
+ * - ADMIN 부여/회수 및 ADMIN 멤버 제거는 OWNER만 가능
+ */
+export function canManageWorkspaceRole(req, role) {
+  return role !== "ADMIN" || hasWorkspaceRole(req.workspaceRole, "OWNER");
+}
+
 /**
  * 워크스페이스 멤버 여부만 체크
  * - ADMIN은 우회 가능
- * - 통과 시 req.workspace 세팅
+ * - 통과 시 req.workspace, req.workspaceRole 세팅
  */
 export function requireWorkspaceMember({ allowAdmin = true } = {}) {
   return async (req, res, next) => {
@@ -32,6 +58,7 @@ export function requireWorkspaceMember({ allowAdmin = true } = {}) {
       // ADMIN 우회
       if (allowAdmin && role === "ADMIN") {
         req.workspace = ws;
+        req.workspaceRole = "OWNER";
         return next();
       }
 
@@ -44,6 +71,7 @@ export function requireWorkspaceMember({ allowAdmin = true } = {}) {
       }
 
       req.workspace = ws;
+      req.workspaceRole = member.role;
       return next();
     } catch (err) {
       return next(err);
@@ -73,3 +101,28 @@ export function requireWorkspaceOwner({ allowAdmin = true } = {}) {
     return next();
   };
 }
+
+/**
+ * 워크스페이스 권한 체크 (minRole 이상만 통과)
+ * - requireWorkspaceMember 이후에 사용 (req.workspaceRole 필요)
+ * - 예: requireWorkspaceRole("MEMBER") => VIEWER 차단(읽기 전용)
+ */
+export function requireWorkspaceRole(minRole, { allowAdmin = true } = {}) {
+  if (!WORKSPACE_ROLES.includes(minRole)) {
+    throw new Error(`Unknown workspace role: ${minRole}`);
+  }
+
+  return (req, res, next) => {
+    if (allowAdmin && req.auth?.role === "ADMIN") return next();
+
+    if (!req.workspace || !req.workspaceRole) {
+      return sendError(res, "INTERNAL_SERVER_ERROR", "workspace not loaded");
+    }
+
+    if (!hasWorkspaceRole(req.workspaceRole, minRole)) {
+      return sendError(res, "FORBIDDEN", `workspace ${minRole.toLowerCase()} role required`);
+    }
+
+    return next();
+  };
+}
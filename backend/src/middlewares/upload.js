@@ -0,0 +1,30 @@
+// src/middlewares/upload.js
+import multer from "multer";
+import { env } from "../config/env.js";
+import { sendError } from "../utils/http.js";
+
+/**
+ * multipart/form-data 단일 파일 업로드
+ * - 파일은 메모리에만 (req.file.buffer). 타입 판별/저장은 services/attachments.js
+ * - 크기 초과는 413, 그 외 multipart 오류(필드명 불일치, 파일 2개 이상 등)는 400
+ */
+export function uploadSingle(field, { maxBytes = env.ATTACHMENT_MAX_BYTES } = {}) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return sendError(res, "PAYLOAD_TOO_LARGE", `file must be <= ${maxBytes} bytes`);
+        }
+        return sendError(res, "BAD_REQUEST", err.message, { field: err.field ?? field });
+      }
+      return next(err);
+    });
+  };
+}
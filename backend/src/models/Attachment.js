@@ -0,0 +1,28 @@
+// src/models/Attachment.js
+import { DataTypes } from "sequelize";
+
+export function defineAttachment(sequelize) {
+  const Attachment = sequelize.define(
+    "attachments",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      // 용량 집계용 (태스크가 다른 프로젝트로 옮겨가도 같은 워크스페이스)
+      workspace_id: { type: DataTypes.BIGINT, allowNull: false },
+      task_id: { type: DataTypes.BIGINT, allowNull: false },
+      // 댓글 첨부면 댓글 id (태스크 첨부는 NULL)
+      comment_id: { type: DataTypes.BIGINT, allowNull: true },
+      uploader_id: { type: DataTypes.BIGINT, allowNull: false },
+      file_name: { type: DataTypes.STRING(255), allowNull: false },
+      // 업로드 시 내용으로 판별한 타입 (클라이언트가 보낸 Content-Type은 쓰지 않음)
+      mime_type: { type: DataTypes.STRING(100), allowNull: false },
+      size_bytes: { type: DataTypes.BIGINT, allowNull: false },
+      checksum: { type: DataTypes.CHAR(64), allowNull: false },
+      storage_key: { type: DataTypes.STRING(255), allowNull: false, unique: true },
+    },
+    {
+      tableName: "attachments",
+      indexes: [{ fields: ["task_id", "comment_id"] }, { fields: ["workspace_id"] }],
+    }
+  );
+  return Attachment;
+}
@@ -7,12 +7,23 @@ export function defineComment(sequelize) {
     {
       id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
       task_id: { type: DataTypes.BIGINT, allowNull: false },
+      // 답글이면 최상위 댓글 id (1단계만)
+      parent_comment_id: { type: DataTypes.BIGINT, allowNull: true },
       user_id: { type: DataTypes.BIGINT, allowNull: false },
-      content: { type: DataTypes.STRING(500), allowNull: false },
+      // Markdown 원문 (길이 제한은 env.COMMENT_MAX_LENGTH)
+      content: { type: DataTypes.TEXT("medium"), allowNull: false },
+      // 마지막 수정 시각 (수정한 적 없으면 NULL)
+      edited_at: { type: DataTypes.DATE, allowNull: true },
+      // 삭제한 사용자 (tombstone). 태스크와 함께 연쇄 삭제된 댓글은 NULL
+      deleted_by: { type: DataTypes.BIGINT, allowNull: true },
     },
     {
       tableName: "comments",
-      indexes: [{ fields: ["task_id"] }],
+      indexes: [
+        { fields: ["task_id"] },
+        { fields: ["task_id", "parent_comment_id"] },
+        { type: "FULLTEXT", fields: ["content"], parser: "ngram" },
+      ],
     }
   );
   return Comment;
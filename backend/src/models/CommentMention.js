@@ -0,0 +1,23 @@
+// src/models/CommentMention.js
+import { DataTypes } from "sequelize";
+
+export function defineCommentMention(sequelize) {
+  const CommentMention = sequelize.define(
+    "comment_mentions",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      comment_id: { type: DataTypes.BIGINT, allowNull: false },
+      user_id: { type: DataTypes.BIGINT, allowNull: false },
+    },
+    {
+      tableName: "comment_mentions",
+      indexes: [{ unique: true, fields: ["comment_id", "user_id"] }, { fields: ["user_id", "id"] }],
+      // 댓글 soft delete 시에는 그대로 두고 조회에서 제외, 수정으로 빠진 멘션은 hard delete
+      paranoid: false,
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return CommentMention;
+}
@@ -0,0 +1,26 @@
+// src/models/CommentReaction.js
+import { DataTypes } from "sequelize";
+
+// 허용 이모지 (고정)
+export const REACTION_EMOJIS = ["THUMBS_UP", "HEART", "LAUGH", "HOORAY", "EYES", "ROCKET"];
+
+export function defineCommentReaction(sequelize) {
+  const CommentReaction = sequelize.define(
+    "comment_reactions",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      comment_id: { type: DataTypes.BIGINT, allowNull: false },
+      user_id: { type: DataTypes.BIGINT, allowNull: false },
+      emoji: { type: DataTypes.ENUM(...REACTION_EMOJIS), allowNull: false },
+    },
+    {
+      tableName: "comment_reactions",
+      indexes: [{ unique: true, fields: ["comment_id", "user_id", "emoji"] }],
+      paranoid: false, // 토글: 해제는 hard delete
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return CommentReaction;
+}
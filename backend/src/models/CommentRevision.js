@@ -0,0 +1,24 @@
+// src/models/CommentRevision.js
+import { DataTypes } from "sequelize";
+
+export function defineCommentRevision(sequelize) {
+  const CommentRevision = sequelize.define(
+    "comment_revisions",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      comment_id: { type: DataTypes.BIGINT, allowNull: false },
+      editor_id: { type: DataTypes.BIGINT, allowNull: false },
+      old_content: { type: DataTypes.TEXT("medium"), allowNull: false },
+      new_content: { type: DataTypes.TEXT("medium"), allowNull: false },
+    },
+    {
+      tableName: "comment_revisions",
+      indexes: [{ fields: ["comment_id", "created_at"] }],
+      paranoid: false, // 이력은 append-only
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return CommentRevision;
+}
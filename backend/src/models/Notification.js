@@ -0,0 +1,42 @@
+// src/models/Notification.js
+import { DataTypes } from "sequelize";
+
+export const NOTIFICATION_TYPES = [
+  "TASK_ASSIGNED",
+  "MENTIONED",
+  "WORKSPACE_ADDED",
+  "TASK_STATUS_CHANGED",
+  "TASK_COMMENTED",
+  "TASK_DUE_SOON",
+  "TASK_OVERDUE",
+];
+
+export function defineNotification(sequelize) {
+  const Notification = sequelize.define(
+    "notifications",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      user_id: { type: DataTypes.BIGINT, allowNull: false },
+      actor_id: { type: DataTypes.BIGINT, allowNull: true },
+      type: { type: DataTypes.ENUM(...NOTIFICATION_TYPES), allowNull: false },
+      workspace_id: { type: DataTypes.BIGINT, allowNull: true },
+      task_id: { type: DataTypes.BIGINT, allowNull: true },
+      comment_id: { type: DataTypes.BIGINT, allowNull: true },
+      data: { type: DataTypes.JSON, allowNull: true },
+      read_at: { type: DataTypes.DATE, allowNull: true },
+    },
+    {
+      tableName: "notifications",
+      indexes: [
+        { fields: ["user_id", "read_at", "id"] },
+        { fields: ["task_id"] },
+        { fields: ["workspace_id"] },
+      ],
+      paranoid: false, // 읽음 처리만 하고 삭제하지 않음 (태스크/워크스페이스 purge 시 같이 삭제)
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return Notification;
+}
@@ -11,10 +11,15 @@ export function defineProject(sequelize) {
       description: { type: DataTypes.STRING(255), allowNull: true },
       status: { type: DataTypes.ENUM("ACTIVE", "ARCHIVED"), allowNull: false, defaultValue: "ACTIVE" },
       created_by: { type: DataTypes.BIGINT, allowNull: false },
+      deleted_by: { type: DataTypes.BIGINT, allowNull: true },
     },
     {
       tableName: "projects",
-      indexes: [{ fields: ["workspace_id"] }, { fields: ["status"] }],
+      indexes: [
+        { fields: ["workspace_id"] },
+        { fields: ["status"] },
+        { type: "FULLTEXT", fields: ["name", "description"], parser: "ngram" },
+      ],
     }
   );
   return Project;
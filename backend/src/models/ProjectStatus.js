@@ -0,0 +1,28 @@
+// src/models/ProjectStatus.js
+import { DataTypes } from "sequelize";
+
+export function defineProjectStatus(sequelize) {
+  const ProjectStatus = sequelize.define(
+    "project_statuses",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      project_id: { type: DataTypes.BIGINT, allowNull: false },
+      key: { type: DataTypes.STRING(40), allowNull: false },
+      name: { type: DataTypes.STRING(60), allowNull: false },
+      category: { type: DataTypes.ENUM("TODO", "IN_PROGRESS", "DONE"), allowNull: false },
+      position: { type: DataTypes.INTEGER, allowNull: false },
+    },
+    {
+      tableName: "project_statuses",
+      indexes: [
+        { unique: true, fields: ["project_id", "key"] },
+        { fields: ["project_id", "position"] },
+      ],
+      paranoid: false, // 워크플로우 저장 시 통째로 교체
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    }
+  );
+  return ProjectStatus;
+}
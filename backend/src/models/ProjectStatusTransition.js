@@ -0,0 +1,23 @@
+// src/models/ProjectStatusTransition.js
+import { DataTypes } from "sequelize";
+
+export function defineProjectStatusTransition(sequelize) {
+  const ProjectStatusTransition = sequelize.define(
+    "project_status_transitions",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      project_id: { type: DataTypes.BIGINT, allowNull: false },
+      from_key: { type: DataTypes.STRING(40), allowNull: false },
+      to_key: { type: DataTypes.STRING(40), allowNull: false },
+    },
+    {
+      tableName: "project_status_transitions",
+      indexes: [{ unique: true, fields: ["project_id", "from_key", "to_key"] }],
+      paranoid: false,
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return ProjectStatusTransition;
+}
@@ -7,21 +7,40 @@ export function defineTask(sequelize) {
     {
       id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
       project_id: { type: DataTypes.BIGINT, allowNull: false },
+      parent_task_id: { type: DataTypes.BIGINT, allowNull: true },
+      recurrence_id: { type: DataTypes.BIGINT, allowNull: true },
       title: { type: DataTypes.STRING(120), allowNull: false },
       description: { type: DataTypes.TEXT, allowNull: true },
-      status: { type: DataTypes.ENUM("TODO", "DOING", "DONE"), allowNull: false, defaultValue: "TODO" },
+      // 프로젝트 워크플로우의 상태 key, 완료/집계 판단은 status_category로
+      status: { type: DataTypes.STRING(40), allowNull: false, defaultValue: "TODO" },
+      status_category: {
+        type: DataTypes.ENUM("TODO", "IN_PROGRESS", "DONE"),
+        allowNull: false,
+        defaultValue: "TODO",
+      },
+      // 보드 컬럼 안 순서 (services/board.js)
+      position: { type: DataTypes.DOUBLE, allowNull: false, defaultValue: 0 },
       priority: { type: DataTypes.ENUM("LOW", "MEDIUM", "HIGH"), allowNull: false, defaultValue: "MEDIUM" },
       due_at: { type: DataTypes.DATE, allowNull: true },
       created_by: { type: DataTypes.BIGINT, allowNull: false },
       assignee_id: { type: DataTypes.BIGINT, allowNull: true },
+      completed_at: { type: DataTypes.DATE, allowNull: true },
+      deleted_by: { type: DataTypes.BIGINT, allowNull: true },
     },
     {
       tableName: "tasks",
       indexes: [
         { fields: ["project_id"] },
+        { fields: ["parent_task_id"] },
+        { fields: ["recurrence_id"] },
         { fields: ["status"] },
+        { fields: ["status_category"] },
+        { fields: ["project_id", "status", "position"] },
         { fields: ["assignee_id"] },
         { fields: ["due_at"] },
+        { fields: ["due_at", "assignee_id"] },
+        { fields: ["completed_at"] },
+        { type: "FULLTEXT", fields: ["title", "description"], parser: "ngram" },
       ],
     }
   );
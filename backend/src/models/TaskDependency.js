@@ -0,0 +1,28 @@
+// src/models/TaskDependency.js
+import { DataTypes } from "sequelize";
+
+export function defineTaskDependency(sequelize) {
+  const TaskDependency = sequelize.define(
+    "task_dependencies",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      blocker_task_id: { type: DataTypes.BIGINT, allowNull: false },
+      blocked_task_id: { type: DataTypes.BIGINT, allowNull: false },
+      created_by: { type: DataTypes.BIGINT, allowNull: false },
+    },
+    {
+      tableName: "task_dependencies",
+      indexes: [
+        { unique: true, fields: ["blocker_task_id", "blocked_task_id"] },
+        { fields: ["blocked_task_id"] },
+      ],
+      // task_tags와 같은 규칙: 태스크 삭제 시 같이 soft delete, 직접 해제할 때는 force로 hard delete
+      paranoid: true,
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      deletedAt: "deleted_at",
+    }
+  );
+  return TaskDependency;
+}
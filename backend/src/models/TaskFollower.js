@@ -0,0 +1,22 @@
+// src/models/TaskFollower.js
+import { DataTypes } from "sequelize";
+
+export function defineTaskFollower(sequelize) {
+  const TaskFollower = sequelize.define(
+    "task_followers",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      task_id: { type: DataTypes.BIGINT, allowNull: false },
+      user_id: { type: DataTypes.BIGINT, allowNull: false },
+    },
+    {
+      tableName: "task_followers",
+      indexes: [{ unique: true, fields: ["task_id", "user_id"] }, { fields: ["user_id"] }],
+      paranoid: false,
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return TaskFollower;
+}
@@ -0,0 +1,26 @@
+// src/models/TaskHistory.js
+import { DataTypes } from "sequelize";
+
+export function defineTaskHistory(sequelize) {
+  const TaskHistory = sequelize.define(
+    "task_histories",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      task_id: { type: DataTypes.BIGINT, allowNull: false },
+      actor_id: { type: DataTypes.BIGINT, allowNull: false },
+      action: { type: DataTypes.ENUM("CREATE", "UPDATE", "DELETE", "RESTORE"), allowNull: false },
+      field: { type: DataTypes.STRING(40), allowNull: true },
+      old_value: { type: DataTypes.TEXT, allowNull: true },
+      new_value: { type: DataTypes.TEXT, allowNull: true },
+    },
+    {
+      tableName: "task_histories",
+      indexes: [{ fields: ["task_id", "created_at"] }, { fields: ["actor_id"] }],
+      paranoid: false, // 이력은 append-only
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return TaskHistory;
+}
@@ -0,0 +1,28 @@
+// src/models/TaskRecurrence.js
+import { DataTypes } from "sequelize";
+
+export function defineTaskRecurrence(sequelize) {
+  const TaskRecurrence = sequelize.define(
+    "task_recurrences",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      freq: { type: DataTypes.ENUM("DAILY", "WEEKLY", "MONTHLY"), allowNull: false },
+      interval_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      weekdays: { type: DataTypes.STRING(20), allowNull: true },
+      month_day: { type: DataTypes.TINYINT, allowNull: true },
+      starts_at: { type: DataTypes.DATE, allowNull: false },
+      until_at: { type: DataTypes.DATE, allowNull: true },
+      count_limit: { type: DataTypes.INTEGER, allowNull: true },
+      occurrences: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      // 다음 인스턴스 due_at, null이면 종료 (until/count 도달)
+      next_due_at: { type: DataTypes.DATE, allowNull: true },
+      last_task_id: { type: DataTypes.BIGINT, allowNull: true },
+      created_by: { type: DataTypes.BIGINT, allowNull: false },
+    },
+    {
+      tableName: "task_recurrences",
+      indexes: [{ fields: ["next_due_at"] }],
+    }
+  );
+  return TaskRecurrence;
+}
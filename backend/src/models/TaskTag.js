@@ -12,10 +12,12 @@ export function defineTaskTag(sequelize) {
     {
       tableName: "task_tags",
       indexes: [{ unique: true, fields: ["task_id", "tag_id"] }, { fields: ["tag_id"] }],
-      paranoid: false,
+      // 태스크 삭제 시 같이 soft delete (복구 시 되살림). 직접 떼어낼 때는 force로 hard delete
+      paranoid: true,
       timestamps: true,
       createdAt: "created_at",
       updatedAt: false,
+      deletedAt: "deleted_at",
     }
   );
   return TaskTag;
@@ -15,6 +15,8 @@ export function defineUser(sequelize) {
         allowNull: false,
         defaultValue: "ACTIVE",
       },
+      // 마감 알림 리드 타임(시간, 쉼표 구분). NULL = 기본값, "" = 끔
+      reminder_lead_hours: { type: DataTypes.STRING(40), allowNull: true },
     },
     { tableName: "users" }
   );
@@ -9,6 +9,7 @@ export function defineWorkspace(sequelize) {
       name: { type: DataTypes.STRING(80), allowNull: false },
       description: { type: DataTypes.STRING(255), allowNull: true },
       owner_id: { type: DataTypes.BIGINT, allowNull: false },
+      deleted_by: { type: DataTypes.BIGINT, allowNull: true },
     },
     { tableName: "workspaces" }
   );
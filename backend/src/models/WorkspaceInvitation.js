@@ -0,0 +1,38 @@
+// src/models/WorkspaceInvitation.js
+import { DataTypes } from "sequelize";
+
+export function defineWorkspaceInvitation(sequelize) {
+  const WorkspaceInvitation = sequelize.define(
+    "workspace_invitations",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      workspace_id: { type: DataTypes.BIGINT, allowNull: false },
+      email: { type: DataTypes.STRING(120), allowNull: false },
+      role: {
+        type: DataTypes.ENUM("ADMIN", "MEMBER", "VIEWER"),
+        allowNull: false,
+        defaultValue: "MEMBER",
+      },
+      token_hash: { type: DataTypes.CHAR(64), allowNull: false, unique: true },
+      status: {
+        type: DataTypes.ENUM("PENDING", "ACCEPTED", "DECLINED", "REVOKED"),
+        allowNull: false,
+        defaultValue: "PENDING",
+      },
+      invited_by: { type: DataTypes.BIGINT, allowNull: false },
+      responded_by: { type: DataTypes.BIGINT, allowNull: true },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      responded_at: { type: DataTypes.DATE, allowNull: true },
+    },
+    {
+      tableName: "workspace_invitations",
+      indexes: [{ fields: ["workspace_id", "status"] }, { fields: ["email"] }],
+      defaultScope: { attributes: { exclude: ["token_hash"] } },
+      paranoid: false, // status로 상태 관리
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    }
+  );
+  return WorkspaceInvitation;
+}
@@ -8,6 +8,11 @@ export function defineWorkspaceMember(sequelize) {
       id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
       workspace_id: { type: DataTypes.BIGINT, allowNull: false },
       user_id: { type: DataTypes.BIGINT, allowNull: false },
+      role: {
+        type: DataTypes.ENUM("OWNER", "ADMIN", "MEMBER", "VIEWER"),
+        allowNull: false,
+        defaultValue: "MEMBER",
+      },
     },
     {
       tableName: "workspace_members",
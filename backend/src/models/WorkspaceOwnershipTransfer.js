@@ -0,0 +1,28 @@
+// src/models/WorkspaceOwnershipTransfer.js
+import { DataTypes } from "sequelize";
+
+export function defineWorkspaceOwnershipTransfer(sequelize) {
+  const WorkspaceOwnershipTransfer = sequelize.define(
+    "workspace_ownership_transfers",
+    {
+      id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+      workspace_id: { type: DataTypes.BIGINT, allowNull: false },
+      from_user_id: { type: DataTypes.BIGINT, allowNull: false },
+      to_user_id: { type: DataTypes.BIGINT, allowNull: false },
+      actor_id: { type: DataTypes.BIGINT, allowNull: false },
+      previous_owner_action: {
+        type: DataTypes.ENUM("ADMIN", "MEMBER", "VIEWER", "REMOVE"),
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "workspace_ownership_transfers",
+      indexes: [{ fields: ["workspace_id"] }],
+      paranoid: false, // 이력은 append-only
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+    }
+  );
+  return WorkspaceOwnershipTransfer;
+}
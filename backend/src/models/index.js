@@ -6,11 +6,24 @@ import { defineUserProvider } from "./UserProvider.js";
 import { defineUserRefreshToken } from "./UserRefreshToken.js";
 import { defineWorkspace } from "./Workspace.js";
 import { defineWorkspaceMember } from "./WorkspaceMember.js";
+import { defineWorkspaceInvitation } from "./WorkspaceInvitation.js";
+import { defineWorkspaceOwnershipTransfer } from "./WorkspaceOwnershipTransfer.js";
 import { defineProject } from "./Project.js";
+import { defineProjectStatus } from "./ProjectStatus.js";
+import { defineProjectStatusTransition } from "./ProjectStatusTransition.js";
 import { defineTask } from "./Task.js";
 import { defineComment } from "./Comment.js";
+import { defineCommentMention } from "./CommentMention.js";
+import { defineCommentReaction } from "./CommentReaction.js";
+import { defineCommentRevision } from "./CommentRevision.js";
 import { defineTag } from "./Tag.js";
 import { defineTaskTag } from "./TaskTag.js";
+import { defineTaskHistory } from "./TaskHistory.js";
+import { defineTaskDependency } from "./TaskDependency.js";
+import { defineTaskRecurrence } from "./TaskRecurrence.js";
+import { defineTaskFollower } from "./TaskFollower.js";
+import { defineNotification } from "./Notification.js";
+import { defineAttachment } from "./Attachment.js";
 
 export const models = {
   User: defineUser(sequelize),
@@ -19,13 +32,28 @@ export const models = {
 
   Workspace: defineWorkspace(sequelize),
   WorkspaceMember: defineWorkspaceMember(sequelize),
+  WorkspaceInvitation: defineWorkspaceInvitation(sequelize),
+  WorkspaceOwnershipTransfer: defineWorkspaceOwnershipTransfer(sequelize),
 
   Project: defineProject(sequelize),
+  ProjectStatus: defineProjectStatus(sequelize),
+  ProjectStatusTransition: defineProjectStatusTransition(sequelize),
   Task: defineTask(sequelize),
   Comment: defineComment(sequelize),
+  CommentMention: defineCommentMention(sequelize),
+  CommentReaction: defineCommentReaction(sequelize),
+  CommentRevision: defineCommentRevision(sequelize),
 
   Tag: defineTag(sequelize),
   TaskTag: defineTaskTag(sequelize),
+
+  TaskHistory: defineTaskHistory(sequelize),
+  TaskDependency: defineTaskDependency(sequelize),
+  TaskRecurrence: defineTaskRecurrence(sequelize),
+  TaskFollower: defineTaskFollower(sequelize),
+
+  Notification: defineNotification(sequelize),
+  Attachment: defineAttachment(sequelize),
 };
 
 // --------------------
@@ -37,11 +65,24 @@ const {
   UserRefreshToken,
   Workspace,
   WorkspaceMember,
+  WorkspaceInvitation,
+  WorkspaceOwnershipTransfer,
   Project,
+  ProjectStatus,
+  ProjectStatusTransition,
   Task,
   Comment,
+  CommentMention,
+  CommentReaction,
+  CommentRevision,
   Tag,
   TaskTag,
+  TaskHistory,
+  TaskDependency,
+  TaskRecurrence,
+  TaskFollower,
+  Notification,
+  Attachment,
 } = models;
 
 // User - Provider / RefreshToken
@@ -54,6 +95,7 @@ UserRefreshToken.belongsTo(User, { foreignKey: "user_id", as: "user" });
 // Workspace - Members
 Workspace.belongsTo(User, { foreignKey: "owner_id", as: "owner" });
 User.hasMany(Workspace, { foreignKey: "owner_id", as: "ownedWorkspaces" });
+Workspace.belongsTo(User, { foreignKey: "deleted_by", as: "deleter" });
 
 Workspace.hasMany(WorkspaceMember, { foreignKey: "workspace_id", as: "members" });
 WorkspaceMember.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
@@ -61,11 +103,27 @@ WorkspaceMember.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspac
 User.hasMany(WorkspaceMember, { foreignKey: "user_id", as: "workspaceMemberships" });
 WorkspaceMember.belongsTo(User, { foreignKey: "user_id", as: "user" });
 
+// Workspace - Invitations
+Workspace.hasMany(WorkspaceInvitation, { foreignKey: "workspace_id", as: "invitations" });
+WorkspaceInvitation.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
+
+WorkspaceInvitation.belongsTo(User, { foreignKey: "invited_by", as: "inviter" });
+
+// Workspace - Ownership transfers
+Workspace.hasMany(WorkspaceOwnershipTransfer, { foreignKey: "workspace_id", as: "ownershipTransfers" });
+WorkspaceOwnershipTransfer.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
+
 // Workspace - Projects
 Workspace.hasMany(Project, { foreignKey: "workspace_id", as: "projects" });
 Project.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
 
 Project.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+Project.belongsTo(User, { foreignKey: "deleted_by", as: "deleter" });
+
+// Project - Workflow
+Project.hasMany(ProjectStatus, { foreignKey: "project_id", as: "statuses" });
+ProjectStatus.belongsTo(Project, { foreignKey: "project_id", as: "project" });
+Project.hasMany(ProjectStatusTransition, { foreignKey: "project_id", as: "transitions" });
 
 // Project - Tasks
 Project.hasMany(Task, { foreignKey: "project_id", as: "tasks" });
@@ -73,6 +131,23 @@ Task.belongsTo(Project, { foreignKey: "project_id", as: "project" });
 
 Task.belongsTo(User, { foreignKey: "created_by", as: "creator" });
 Task.belongsTo(User, { foreignKey: "assignee_id", as: "assignee" });
+Task.belongsTo(User, { foreignKey: "deleted_by", as: "deleter" });
+
+// Task - Subtasks (self 1:N)
+Task.hasMany(Task, { foreignKey: "parent_task_id", as: "subtasks" });
+Task.belongsTo(Task, { foreignKey: "parent_task_id", as: "parent" });
+
+// Task - Dependencies (blocker → blocked)
+Task.hasMany(TaskDependency, { foreignKey: "blocked_task_id", as: "blockerLinks" });
+Task.hasMany(TaskDependency, { foreignKey: "blocker_task_id", as: "blockingLinks" });
+TaskDependency.belongsTo(Task, { foreignKey: "blocker_task_id", as: "blocker" });
+TaskDependency.belongsTo(Task, { foreignKey: "blocked_task_id", as: "blocked" });
+
+// Task - Recurrence (시리즈 1 : 인스턴스 N)
+TaskRecurrence.hasMany(Task, { foreignKey: "recurrence_id", as: "instances" });
+Task.belongsTo(TaskRecurrence, { foreignKey: "recurrence_id", as: "recurrence" });
+TaskRecurrence.belongsTo(Task, { foreignKey: "last_task_id", as: "lastTask" });
+TaskRecurrence.belongsTo(User, { foreignKey: "created_by", as: "creator" });
 
 // Task - Comments
 Task.hasMany(Comment, { foreignKey: "task_id", as: "comments" });
@@ -80,6 +155,23 @@ Comment.belongsTo(Task, { foreignKey: "task_id", as: "task" });
 
 Comment.belongsTo(User, { foreignKey: "user_id", as: "author" });
 
+// Comment - Mentions
+Comment.hasMany(CommentMention, { foreignKey: "comment_id", as: "mentions" });
+CommentMention.belongsTo(Comment, { foreignKey: "comment_id", as: "comment" });
+CommentMention.belongsTo(User, { foreignKey: "user_id", as: "user" });
+
+// Comment - Replies (1단계) / Reactions
+Comment.hasMany(Comment, { foreignKey: "parent_comment_id", as: "replies" });
+Comment.belongsTo(Comment, { foreignKey: "parent_comment_id", as: "parent" });
+Comment.hasMany(CommentReaction, { foreignKey: "comment_id", as: "reactions" });
+CommentReaction.belongsTo(Comment, { foreignKey: "comment_id", as: "comment" });
+
+// Comment - Revisions / tombstone
+Comment.hasMany(CommentRevision, { foreignKey: "comment_id", as: "revisions" });
+CommentRevision.belongsTo(Comment, { foreignKey: "comment_id", as: "comment" });
+CommentRevision.belongsTo(User, { foreignKey: "editor_id", as: "editor" });
+Comment.belongsTo(User, { foreignKey: "deleted_by", as: "deleter" });
+
 // Workspace - Tags
 Workspace.hasMany(Tag, { foreignKey: "workspace_id", as: "tags" });
 Tag.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
@@ -105,5 +197,29 @@ Tag.hasMany(TaskTag, { foreignKey: "tag_id", as: "taskTags" });
 TaskTag.belongsTo(Task, { foreignKey: "task_id", as: "task" });
 Task.hasMany(TaskTag, { foreignKey: "task_id", as: "taskTags" });
 
+// Task - History
+Task.hasMany(TaskHistory, { foreignKey: "task_id", as: "histories" });
+TaskHistory.belongsTo(Task, { foreignKey: "task_id", as: "task" });
+
+TaskHistory.belongsTo(User, { foreignKey: "actor_id", as: "actor" });
+
+// Task - Followers
+Task.hasMany(TaskFollower, { foreignKey: "task_id", as: "followers" });
+TaskFollower.belongsTo(Task, { foreignKey: "task_id", as: "task" });
+TaskFollower.belongsTo(User, { foreignKey: "user_id", as: "user" });
+
+// User - Notifications
+User.hasMany(Notification, { foreignKey: "user_id", as: "notifications" });
+Notification.belongsTo(User, { foreignKey: "actor_id", as: "actor" });
+Notification.belongsTo(Workspace, { foreignKey: "workspace_id", as: "workspace" });
+Notification.belongsTo(Task, { foreignKey: "task_id", as: "task" });
+
+// Task / Comment - Attachments
+Task.hasMany(Attachment, { foreignKey: "task_id", as: "attachments" });
+Comment.hasMany(Attachment, { foreignKey: "comment_id", as: "attachments" });
+Attachment.belongsTo(Task, { foreignKey: "task_id", as: "task" });
+Attachment.belongsTo(Comment, { foreignKey: "comment_id", as: "comment" });
+Attachment.belongsTo(User, { foreignKey: "uploader_id", as: "uploader" });
+
 
 export { sequelize };
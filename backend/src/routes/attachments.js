@@ -0,0 +1,604 @@
+// src/routes/attachments.js
+import express from "express";
+import { pipeline } from "stream/promises";
+import { models } from "../models/index.js";
+import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole, hasWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { uploadSingle } from "../middlewares/upload.js";
+import { canModerateComments } from "../services/comments.js";
+import {
+  storeAttachment,
+  removeAttachment,
+  listAttachments,
+  presentAttachment,
+  workspaceUsage,
+} from "../services/attachments.js";
+import { getStorage } from "../services/storage.js";
+
+/**
+ * 첨부 파일
+ * - router: /api/workspaces/:workspaceId/projects/:projectId/tasks/:taskId/attachments
+ *   (태스크 첨부 업로드/목록 + 댓글 첨부 포함 다운로드/삭제)
+ * - commentAttachmentsRouter: .../tasks/:taskId/comments/:commentId/attachments (댓글 첨부 업로드/목록)
+ *
+ * 전제: app.js에서 requireAuth, requireWorkspaceMember()가 먼저 적용됨
+ * => req.auth, req.workspace, req.workspaceRole 존재
+ */
+const router = express.Router({ mergeParams: true });
+export const commentAttachmentsRouter = express.Router({ mergeParams: true });
+
+async function loadProjectTaskOr404(req, res) {
+  const workspaceId = req.workspace.id;
+  const projectId = Number(req.params.projectId);
+  const taskId = Number(req.params.taskId);
+
+  if (!projectId) {
+    sendError(res, "BAD_REQUEST", "invalid projectId");
+    return null;
+  }
+  if (!taskId) {
+    sendError(res, "BAD_REQUEST", "invalid taskId");
+    return null;
+  }
+
+  const project = await models.Project.findOne({
+    where: { id: projectId, workspace_id: workspaceId, deleted_at: null },
+  });
+  if (!project) {
+    sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+    return null;
+  }
+
+  const task = await models.Task.findOne({
+    where: { id: taskId, project_id: projectId, deleted_at: null },
+  });
+  if (!task) {
+    sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+    return null;
+  }
+
+  return { project, task };
+}
+
+// 태스크 소속 첨부. tombstone 댓글의 첨부는 moderator에게만 보인다
+async function loadAttachmentOr404(req, res, task) {
+  const attachmentId = Number(req.params.attachmentId);
+  if (!attachmentId) {
+    sendError(res, "BAD_REQUEST", "invalid attachmentId");
+    return null;
+  }
+
+  const a = await models.Attachment.findOne({
+    where: { id: attachmentId, task_id: task.id, deleted_at: null },
+    include: [{ model: models.Comment, as: "comment", attributes: ["id", "deleted_at"], paranoid: false }],
+  });
+  if (!a || (a.comment?.deleted_at && !canModerateComments(req))) {
+    sendError(res, "RESOURCE_NOT_FOUND", "attachment not found");
+    return null;
+  }
+  return a;
+}
+
+async function upload(req, res, { task, comment = null }) {
+  if (!req.file) return sendError(res, "BAD_REQUEST", "file required", { field: "file" });
+
+  const out = await storeAttachment({
+    workspaceId: req.workspace.id,
+    task,
+    comment,
+    uploaderId: req.auth.userId,
+    file: req.file,
+  });
+  if (out.error) return sendError(res, out.error.code, out.error.message, out.error.details);
+
+  const a = await models.Attachment.findByPk(out.attachment.id, {
+    include: [{ model: models.User, as: "uploader", attributes: ["id", "name"] }],
+  });
+  return sendCreated(res, { attachment: presentAttachment(a), usage: out.usage });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Attachments
+ *     description: Task / comment file attachments
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/attachments:
+ *   get:
+ *     tags: [Attachments]
+ *     summary: List task attachments
+ *     description: '태스크와 그 댓글의 첨부 전부 (id 오름차순, commentId로 구분). 삭제된 댓글(tombstone)의 첨부는 moderator(워크스페이스 ADMIN 이상)에게만. usage는 워크스페이스 전체 사용량(휴지통 포함)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/Attachment"
+ *                 usage:
+ *                   $ref: "#/components/schemas/AttachmentUsage"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *   post:
+ *     tags: [Attachments]
+ *     summary: Upload task attachment
+ *     description: 'multipart/form-data, 필드명 file (1개). 크기 최대 ATTACHMENT_MAX_BYTES(기본 10MB), 워크스페이스 합계 최대 ATTACHMENT_WORKSPACE_QUOTA_BYTES(기본 1GB, 휴지통 포함). 타입은 내용(매직 바이트)으로 판별: 이미지(png/jpeg/gif/webp), pdf, zip/gzip, Office 문서, UTF-8 텍스트(txt/csv/md/json/로그)만 허용 (role >= MEMBER)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachment:
+ *                   $ref: "#/components/schemas/Attachment"
+ *                 usage:
+ *                   $ref: "#/components/schemas/AttachmentUsage"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / file required / multipart 오류)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       413:
+ *         description: PAYLOAD_TOO_LARGE (파일 크기 초과 / 워크스페이스 용량 초과, 후자는 details에 usage)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       415:
+ *         description: UNSUPPORTED_MEDIA_TYPE (허용하지 않는 파일 형식)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/")
+  .get(async (req, res) => {
+    const ok = await loadProjectTaskOr404(req, res);
+    if (!ok) return;
+
+    const rows = await listAttachments(ok.task.id, { moderator: canModerateComments(req) });
+    const usage = await workspaceUsage(req.workspace.id);
+    return sendOk(res, { attachments: rows.map(presentAttachment), usage });
+  })
+  .post(
+    requireWorkspaceRole("MEMBER"),
+    rateLimit({
+      windowSec: 60,
+      max: 20,
+      keyGenerator: (req) =>
+        `rl:attachments:upload:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    uploadSingle("file"),
+    async (req, res) => {
+      const ok = await loadProjectTaskOr404(req, res);
+      if (!ok) return;
+
+      return upload(req, res, { task: ok.task });
+    }
+  );
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/attachments/{attachmentId}/download:
+ *   get:
+ *     tags: [Attachments]
+ *     summary: Download attachment
+ *     description: '태스크/댓글 첨부 공통. 항상 Content-Disposition: attachment + X-Content-Type-Options: nosniff (브라우저에서 바로 렌더링하지 않음). 삭제된 댓글의 첨부는 moderator만'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: file body (Content-Type = 판별된 mimeType)
+ *         content:
+ *           application/octet-stream:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid attachmentId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / attachment not found / 저장소에 파일 없음)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/:attachmentId/download", async (req, res) => {
+  const ok = await loadProjectTaskOr404(req, res);
+  if (!ok) return;
+
+  const a = await loadAttachmentOr404(req, res, ok.task);
+  if (!a) return;
+
+  const body = await getStorage().get(a.storage_key);
+  if (!body) return sendError(res, "RESOURCE_NOT_FOUND", "attachment file not found");
+
+  res.attachment(a.file_name);
+  res.setHeader("Content-Type", a.mime_type);
+  res.setHeader("Content-Length", String(a.size_bytes));
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  try {
+    await pipeline(body, res);
+  } catch (e) {
+    // 전송 도중 끊김(클라이언트 중단 등)은 응답을 바꿀 수 없으니 로그만
+    console.error("[attachments] download stream failed:", a.id, e);
+    if (!res.headersSent) throw e;
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/attachments/{attachmentId}:
+ *   delete:
+ *     tags: [Attachments]
+ *     summary: Delete attachment
+ *     description: '업로더 본인 또는 워크스페이스 ADMIN 이상. 휴지통을 거치지 않고 바로 삭제(파일 포함, 용량 즉시 반환)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: no content
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid attachmentId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER / not uploader or workspace admin)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / attachment not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.delete(
+  "/:attachmentId",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 20,
+    keyGenerator: (req) =>
+      `rl:attachments:delete:${req.auth.userId}:${req.params.attachmentId}`,
+  }),
+  async (req, res) => {
+    const ok = await loadProjectTaskOr404(req, res);
+    if (!ok) return;
+
+    const a = await loadAttachmentOr404(req, res, ok.task);
+    if (!a) return;
+
+    // 업로더 본인 또는 워크스페이스 ADMIN 이상만 삭제 가능
+    if (a.uploader_id !== req.auth.userId && !hasWorkspaceRole(req.workspaceRole, "ADMIN")) {
+      return sendError(res, "FORBIDDEN", "only uploader or workspace admin can delete");
+    }
+
+    await removeAttachment(a);
+    return sendNoContent(res);
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}/attachments:
+ *   get:
+ *     tags: [Attachments]
+ *     summary: List comment attachments
+ *     description: '댓글 1개의 첨부 (id 오름차순). 삭제된 댓글은 moderator(워크스페이스 ADMIN 이상)만. 다운로드/삭제는 태스크 첨부 경로(/attachments/{attachmentId}) 공통'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/Attachment"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / comment not found, 삭제된 댓글 + role < ADMIN 포함)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *   post:
+ *     tags: [Attachments]
+ *     summary: Upload comment attachment
+ *     description: '댓글 작성자 본인만 (삭제되지 않은 댓글). 제한(크기/용량/형식)은 태스크 첨부와 같다 (role >= MEMBER)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachment:
+ *                   $ref: "#/components/schemas/Attachment"
+ *                 usage:
+ *                   $ref: "#/components/schemas/AttachmentUsage"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId / file required / multipart 오류)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER / not comment author)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / comment not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       413:
+ *         description: PAYLOAD_TOO_LARGE (파일 크기 초과 / 워크스페이스 용량 초과, 후자는 details에 usage)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       415:
+ *         description: UNSUPPORTED_MEDIA_TYPE (허용하지 않는 파일 형식)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+commentAttachmentsRouter
+  .route("/")
+  .get(async (req, res) => {
+    const ok = await loadProjectTaskOr404(req, res);
+    if (!ok) return;
+
+    const commentId = Number(req.params.commentId);
+    if (!commentId) return sendError(res, "BAD_REQUEST", "invalid commentId");
+
+    const moderator = canModerateComments(req);
+    const where = { id: commentId, task_id: ok.task.id };
+    if (!moderator) where.deleted_at = null;
+    const c = await models.Comment.findOne({ where, paranoid: false });
+    if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
+
+    const rows = await listAttachments(ok.task.id, { commentId: c.id, moderator });
+    return sendOk(res, { attachments: rows.map(presentAttachment) });
+  })
+  .post(
+    requireWorkspaceRole("MEMBER"),
+    rateLimit({
+      windowSec: 60,
+      max: 20,
+      keyGenerator: (req) =>
+        `rl:attachments:upload:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    uploadSingle("file"),
+    async (req, res) => {
+      const ok = await loadProjectTaskOr404(req, res);
+      if (!ok) return;
+
+      const commentId = Number(req.params.commentId);
+      if (!commentId) return sendError(res, "BAD_REQUEST", "invalid commentId");
+
+      const c = await models.Comment.findOne({
+        where: { id: commentId, task_id: ok.task.id, deleted_at: null },
+      });
+      if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
+
+      if (c.user_id !== req.auth.userId) {
+        return sendError(res, "FORBIDDEN", "only comment author can attach files");
+      }
+
+      return upload(req, res, { task: ok.task, comment: c });
+    }
+  );
+
+export default router;
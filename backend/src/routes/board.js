@@ -0,0 +1,311 @@
+// src/routes/board.js
+import express from "express";
+import { models, sequelize } from "../models/index.js";
+import { sendOk, sendError } from "../utils/http.js";
+import { parseFilters } from "../utils/listQuery.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { snapshotTask, diffTaskSnapshot, recordTaskHistory } from "../services/taskHistory.js";
+import { buildTaskFilters } from "../services/taskFilters.js";
+import { applyStatus, checkStatusGuards, presentTasks } from "../services/taskMutations.js";
+import { loadWorkflow, findStatus, checkStatusChange } from "../services/workflows.js";
+import { BOARD_ORDER, resolveBoardPosition } from "../services/board.js";
+import { completeRecurringTask } from "../services/recurrence.js";
+import { notifyTaskChanges } from "../services/notifications.js";
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * 전제:
+ * app.js에서 아래가 먼저 적용됨
+ * app.use("/api/workspaces/:workspaceId", requireAuth, requireWorkspaceMember());
+ *
+ * => req.auth 존재
+ * => req.workspace 존재 (deleted_at null까지 확인됨)
+ */
+
+async function loadProjectOr404(req, res) {
+  const projectId = Number(req.params.projectId);
+  if (!projectId) {
+    sendError(res, "BAD_REQUEST", "invalid projectId");
+    return null;
+  }
+
+  const project = await models.Project.findOne({
+    where: { id: projectId, workspace_id: req.workspace.id, deleted_at: null },
+  });
+  if (!project) {
+    sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+    return null;
+  }
+  return project;
+}
+
+// 생략(undefined)은 그대로, 값이 있으면 양의 정수만
+function toOptionalId(v) {
+  if (v === undefined || v === null) return undefined;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/board:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Kanban board (tasks grouped by workflow status, in board order)
+ *     description: '워크플로우 상태 순서대로 컬럼을 만들고, 컬럼 안 태스크는 position 오름차순(같으면 id). 태스크 목록과 같은 필터(keyword,priority,assigneeId,tagId,dueFrom/dueTo,statusCategory) 사용 가능.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: priority
+ *         schema: { type: string, enum: [LOW, MEDIUM, HIGH] }
+ *       - in: query
+ *         name: assigneeId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: tagId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [columns]
+ *               properties:
+ *                 columns:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key: { type: string, example: "DOING" }
+ *                       name: { type: string, example: "Doing" }
+ *                       category: { type: string, enum: [TODO, IN_PROGRESS, DONE], example: "IN_PROGRESS" }
+ *                       count: { type: integer, example: 2 }
+ *                       tasks:
+ *                         type: array
+ *                         items: { $ref: "#/components/schemas/Task" }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/", async (req, res) => {
+  const project = await loadProjectOr404(req, res);
+  if (!project) return;
+
+  const { where, include } = buildTaskFilters(parseFilters(req.query));
+  where.project_id = project.id;
+
+  const [workflow, tasks] = await Promise.all([
+    loadWorkflow(project.id),
+    models.Task.findAll({ where, include, order: BOARD_ORDER }),
+  ]);
+  const presented = await presentTasks(tasks);
+
+  const columns = workflow.statuses.map((s) => {
+    const cards = presented.filter((t) => t.status === s.key);
+    return { key: s.key, name: s.name, category: s.category, count: cards.length, tasks: cards };
+  });
+
+  return sendOk(res, { columns });
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/board/tasks/{taskId}/move:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Move card (status + position in one call)
+ *     description: |
+ *       status 컬럼의 afterTaskId 바로 아래 / beforeTaskId 바로 위에 카드를 놓는다. 바뀌는 건 옮긴 태스크 한 행뿐(분수 랭킹).
+ *       - status 생략 시 현재 컬럼 안에서 순서만 변경
+ *       - afterTaskId/beforeTaskId 둘 다 생략하면 컬럼 맨 아래
+ *       - 상태가 바뀌면 단건 PATCH와 같은 검사(워크플로우 전이, 열린 하위 태스크, blocker). force=true면 진행(blocker는 warnings로 알림)
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status: { type: string, example: "DOING" }
+ *               afterTaskId: { type: integer, description: "card directly above", example: 101 }
+ *               beforeTaskId: { type: integer, description: "card directly below", example: 102 }
+ *               force: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [task]
+ *               properties:
+ *                 task:
+ *                   $ref: "#/components/schemas/Task"
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code: { type: string, example: "OPEN_BLOCKERS" }
+ *                       message: { type: string }
+ *                       blockers: { type: array, items: { type: integer } }
+ *                 nextTaskId:
+ *                   type: integer
+ *                   description: "반복 태스크를 DONE 카테고리로 옮겨 다음 인스턴스가 만들어진 경우에만"
+ *       400:
+ *         description: BAD_REQUEST (invalid taskId / invalid status / afterTaskId, beforeTaskId not in target column)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (transition not allowed / open subtasks / open blockers)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/tasks/:taskId/move",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 120,
+    keyGenerator: (req) => `rl:board:move:${req.auth.userId}:${req.params.projectId}`,
+  }),
+  async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const afterTaskId = toOptionalId(req.body?.afterTaskId);
+    const beforeTaskId = toOptionalId(req.body?.beforeTaskId);
+    if (Number.isNaN(afterTaskId) || Number.isNaN(beforeTaskId)) {
+      return sendError(res, "BAD_REQUEST", "invalid afterTaskId/beforeTaskId");
+    }
+    if (afterTaskId === taskId || beforeTaskId === taskId) {
+      return sendError(res, "BAD_REQUEST", "cannot place task next to itself");
+    }
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const status = req.body?.status ?? task.status;
+    let target = null;
+    if (status !== task.status) {
+      const workflow = await loadWorkflow(project.id);
+      const badStatus = checkStatusChange(workflow, task.status, status);
+      if (badStatus) return sendError(res, badStatus.code, badStatus.message);
+      target = findStatus(workflow, status);
+    }
+
+    const { error: guard, warnings } = await checkStatusGuards(task, target, {
+      force: req.body?.force === true,
+    });
+    if (guard) return sendError(res, guard.code, guard.message, guard.details);
+
+    const completing = target?.category === "DONE" && task.status_category !== "DONE";
+    const placed = await sequelize.transaction(async (t) => {
+      const r = await resolveBoardPosition(task, status, { afterTaskId, beforeTaskId }, { transaction: t });
+      if (r.error) return r;
+
+      const before = snapshotTask(task);
+      if (target) applyStatus(task, target);
+      task.position = r.position;
+      await task.save({ transaction: t });
+      const changes = diffTaskSnapshot(before, snapshotTask(task));
+      await recordTaskHistory(
+        { taskId: task.id, actorId: req.auth.userId, action: "UPDATE", changes },
+        { transaction: t }
+      );
+      await notifyTaskChanges(task, changes, {
+        actorId: req.auth.userId,
+        workspaceId: req.workspace.id,
+        transaction: t,
+      });
+      // 반복 태스크면 다음 인스턴스
+      const nextTask = completing
+        ? await completeRecurringTask(task, { actorId: req.auth.userId, transaction: t })
+        : null;
+      return { ...r, nextTask };
+    });
+    if (placed.error) return sendError(res, placed.error.code, placed.error.message);
+
+    const [presented] = await presentTasks([task]);
+    return sendOk(res, {
+      task: presented,
+      ...(warnings ? { warnings } : {}),
+      ...(placed.nextTask ? { nextTaskId: placed.nextTask.id } : {}),
+    });
+  }
+);
+
+export default router;
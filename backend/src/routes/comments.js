@@ -1,10 +1,34 @@
 // src/routes/comments.js
 import express from "express";
 import { Op } from "sequelize";
-import { models } from "../models/index.js";
+import { models, sequelize } from "../models/index.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
-import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
 import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole, hasWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { syncCommentMentions } from "../services/mentions.js";
+import {
+  REACTION_EMOJIS,
+  canModerateComments,
+  threadRootsWhere,
+  findReplyParent,
+  presentComments,
+  presentThreads,
+  toggleReaction,
+  validateCommentContent,
+  editComment,
+  tombstoneComment,
+  presentRevision,
+} from "../services/comments.js";
+import { notifyComment, notifyMentioned } from "../services/notifications.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -63,7 +87,7 @@ async function loadProjectTaskOr404(req, res) {
  *   get:
  *     tags: [Comments]
  *     summary: List comments in task
- *     description: 'deleted_at=null만 반환. Pagination(1-base) + sort + filters(keyword,authorId,dateFrom/dateTo). Allowed sort fields: id, created_at, user_id'
+ *     description: '최상위 댓글(스레드) 단위로 반환. 각 스레드에 replies(살아 있는 답글, 작성순) + replyCount. 삭제된 최상위 댓글은 살아 있는 답글이 있을 때만 content="[deleted]", deleted=true로 포함. 삭제된 댓글은 tombstone: moderator(워크스페이스 ADMIN 이상)에게는 원문 + deletedAt/deletedBy. 각 댓글에 mentions, reactions, edited/editedAt 포함. 필터는 최상위 댓글 기준. Pagination(1-base) + sort + filters(keyword,authorId,dateFrom/dateTo). Allowed sort fields: id, created_at, user_id'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -87,6 +111,14 @@ async function loadProjectTaskOr404(req, res) {
  *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
  *         description: 'Page size (max 50)'
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,ASC" }
  *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, user_id'
@@ -110,6 +142,10 @@ async function loadProjectTaskOr404(req, res) {
  *         name: dateTo
  *         schema: { type: string, format: date }
  *         description: 'created_at <= dateTo (YYYY-MM-DD)'
+ *       - in: query
+ *         name: includeDeleted
+ *         schema: { type: boolean, default: false }
+ *         description: '삭제된 댓글(tombstone)과 답글 전부 포함. 워크스페이스 ADMIN 이상만'
  *     responses:
  *       200:
  *         description: ok
@@ -134,7 +170,7 @@ async function loadProjectTaskOr404(req, res) {
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / includeDeleted and role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -174,7 +210,8 @@ async function loadProjectTaskOr404(req, res) {
  *             type: object
  *             required: [content]
  *             properties:
- *               content: { type: string, example: "Looks good." }
+ *               content: { type: string, example: "Looks good. @user2 please check #12", description: "Markdown (최대 COMMENT_MAX_LENGTH자, 기본 10000). @username 또는 @[userId]로 워크스페이스 멤버 멘션 (알림 발송), #123은 같은 워크스페이스 태스크 링크" }
+ *               parentCommentId: { type: integer, nullable: true, example: 12, description: "답글 대상 최상위 댓글 id (1단계만, 부모 댓글 작성자에게 알림)" }
  *     responses:
  *       201:
  *         description: created
@@ -187,17 +224,17 @@ async function loadProjectTaskOr404(req, res) {
  *                 comment:
  *                   $ref: "#/components/schemas/Comment"
  *       400:
- *         description: BAD_REQUEST (invalid projectId / invalid taskId / content required). VALIDATION_FAILED may include details.
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / content required / content too long / invalid parentCommentId / replies can only be one level deep). VALIDATION_FAILED may include details.
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       404:
- *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / parent comment not found)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -223,8 +260,26 @@ router
       "created_at,ASC"
     );
 
+    // 삭제된 댓글(tombstone) 전부 보기는 moderator만
+    const moderator = canModerateComments(req);
+    let includeDeleted = false;
+    if (req.query.includeDeleted !== undefined) {
+      if (!["true", "false"].includes(String(req.query.includeDeleted))) {
+        return sendError(res, "INVALID_QUERY_PARAM", "includeDeleted must be true or false");
+      }
+      includeDeleted = String(req.query.includeDeleted) === "true";
+      if (includeDeleted && !moderator) {
+        return sendError(res, "FORBIDDEN", "only workspace admin can view deleted comments");
+      }
+    }
+    const view = { viewerId: req.auth.userId, workspaceId: req.workspace.id, moderator, includeDeleted };
+
+    // 최상위 댓글(스레드) 단위로 페이지네이션 + 필터. 답글은 스레드에 전부 붙는다
     const f = parseFilters(req.query);
-    const where = { task_id: taskId, deleted_at: null };
+    const where = threadRootsWhere(taskId, { includeDeleted });
+
+    // 내용/작성자 필터는 삭제된 댓글에 걸면 "[deleted]" 뒤의 원문/작성자를 추측할 수 있다 → moderator만
+    if (!moderator && (f.keyword || f.authorId)) where.deleted_at = null;
 
     if (f.keyword) where.content = { [Op.like]: `%${f.keyword}%` };
 
@@ -239,16 +294,33 @@ router
       if (f.dateTo) where.created_at[Op.lte] = new Date(`${f.dateTo}T23:59:59.999Z`);
     }
 
-    const result = await models.Comment.findAndCountAll({
+    // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+    const cursor = parseCursor(req.query, sort);
+    if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+    if (cursor) {
+      const rows = await models.Comment.findAll({
+        where: withCursor(where, cursor),
+        order: cursor.order,
+        limit: cursor.limit + 1,
+        paranoid: false,
+      });
+      const presented = await presentThreads(rows.slice(0, cursor.limit), view);
+      return sendOk(res, toCursorResult(rows, cursor, (_, i) => presented[i]));
+    }
+
+    const { rows, count } = await models.Comment.findAndCountAll({
       where,
       order,
       limit,
       offset,
+      paranoid: false,
     });
 
-    return sendOk(res, toPageResult(result, page, size, sort));
+    const presented = await presentThreads(rows, view);
+    return sendOk(res, toPageResult({ rows: presented, count }, page, size, sort));
   })
   .post(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 60,
@@ -261,17 +333,37 @@ router
 
       const taskId = Number(req.params.taskId);
       const userId = req.auth.userId;
-      const { content } = req.body;
-
-      if (!content) return sendError(res, "BAD_REQUEST", "content required");
-
-      const c = await models.Comment.create({
-        task_id: taskId,
-        user_id: userId,
-        content,
+      const { content, parentCommentId } = req.body;
+
+      const invalid = validateCommentContent(content);
+      if (invalid) return sendError(res, invalid.code, invalid.message);
+
+      let parent = null;
+      if (parentCommentId !== undefined && parentCommentId !== null) {
+        const found = await findReplyParent(taskId, parentCommentId);
+        if (found.error) return sendError(res, found.error.code, found.error.message);
+        parent = found.parent;
+      }
+
+      const c = await sequelize.transaction(async (t) => {
+        const created = await models.Comment.create(
+          { task_id: taskId, parent_comment_id: parent?.id ?? null, user_id: userId, content },
+          { transaction: t }
+        );
+        // 멘션된 멤버 → MENTIONED, 태스크 작성자/담당자/팔로워 → TASK_COMMENTED
+        const { added } = await syncCommentMentions(created, req.workspace.id, { transaction: t });
+        await notifyComment(ok.task, created, {
+          actorId: userId,
+          workspaceId: req.workspace.id,
+          mentionedIds: added,
+          parentAuthorId: parent?.user_id ?? null,
+          transaction: t,
+        });
+        return created;
       });
 
-      return sendCreated(res, { comment: c });
+      const [presented] = await presentComments([c], { viewerId: userId, workspaceId: req.workspace.id });
+      return sendCreated(res, { comment: presented });
     }
   );
 
@@ -298,7 +390,7 @@ router
  *           schema:
  *             type: object
  *             properties:
- *               content: { type: string, example: "Updated comment." }
+ *               content: { type: string, example: "Updated comment. @[3]", description: "이전 내용은 revisions에 기록(edited=true). 멘션은 diff: 새로 추가된 멤버만 알림, 빠진 멘션은 삭제" }
  *     responses:
  *       200:
  *         description: ok
@@ -311,12 +403,12 @@ router
  *                 comment:
  *                   $ref: "#/components/schemas/Comment"
  *       400:
- *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId). VALIDATION_FAILED may include details.
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId / content required / content too long). VALIDATION_FAILED may include details.
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER / not comment author)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -333,7 +425,8 @@ router
  *
  *   delete:
  *     tags: [Comments]
- *     summary: Delete comment (soft delete)
+ *     summary: Delete comment (tombstone)
+ *     description: '내용/이력은 남기고 deleted_at, deleted_by만 기록. 일반 멤버에게는 "[deleted]", moderator(ADMIN 이상)에게는 원문. 답글은 남고, 답글이 있는 최상위 댓글은 목록에 tombstone으로 표시'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -354,14 +447,14 @@ router
  *         schema: { type: integer }
  *     responses:
  *       204:
- *         description: No Content (soft deleted)
+ *         description: No Content (tombstoned)
  *       400:
  *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId). VALIDATION_FAILED may include details.
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER / not comment author and role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -379,6 +472,7 @@ router
 router
   .route("/:commentId")
   .patch(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 30,
@@ -400,13 +494,37 @@ router
       });
       if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
 
-      if (content !== undefined) c.content = content;
-      await c.save();
-
-      return sendOk(res, { comment: c });
+      if (c.user_id !== req.auth.userId) {
+        return sendError(res, "FORBIDDEN", "only comment author can edit");
+      }
+
+      if (content !== undefined) {
+        const invalid = validateCommentContent(content);
+        if (invalid) return sendError(res, invalid.code, invalid.message);
+
+        await sequelize.transaction(async (t) => {
+          // 이전 내용은 comment_revisions에 남긴다. 내용이 같으면 이력/멘션 변화 없음
+          const changed = await editComment(c, content, { editorId: req.auth.userId, transaction: t });
+          if (!changed) return;
+          // 이미 멘션돼 있던 사람은 다시 알리지 않는다
+          const { added } = await syncCommentMentions(c, req.workspace.id, { transaction: t });
+          await notifyMentioned(ok.task, c, added, {
+            actorId: req.auth.userId,
+            workspaceId: req.workspace.id,
+            transaction: t,
+          });
+        });
+      }
+
+      const [presented] = await presentComments([c], {
+        viewerId: req.auth.userId,
+        workspaceId: req.workspace.id,
+      });
+      return sendOk(res, { comment: presented });
     }
   )
   .delete(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 20,
@@ -426,11 +544,231 @@ router
       });
       if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
 
-      c.deleted_at = new Date();
-      await c.save();
+      // 작성자 본인 또는 워크스페이스 ADMIN 이상만 삭제 가능
+      if (c.user_id !== req.auth.userId && !hasWorkspaceRole(req.workspaceRole, "ADMIN")) {
+        return sendError(res, "FORBIDDEN", "only comment author or workspace admin can delete");
+      }
+
+      // tombstone: 내용은 남기고 일반 멤버에게는 "[deleted]"로 보인다
+      await tombstoneComment(c, { actorId: req.auth.userId });
 
       return sendNoContent(res);
     }
   );
 
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}/reactions:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Toggle reaction on comment
+ *     description: '같은 이모지를 다시 보내면 해제. 사용자당 댓글 + 이모지 하나. 응답은 집계된 reactions(reactedByMe 포함)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [emoji]
+ *             properties:
+ *               emoji: { type: string, enum: [THUMBS_UP, HEART, LAUGH, HOORAY, EYES, ROCKET], example: "THUMBS_UP" }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [reacted, reactions]
+ *               properties:
+ *                 reacted: { type: boolean, example: true, description: "true = 추가됨, false = 해제됨" }
+ *                 reactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/CommentReaction"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId / invalid emoji)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / comment not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/:commentId/reactions",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 60,
+    keyGenerator: (req) =>
+      `rl:comments:react:${req.auth.userId}:${req.params.commentId}`,
+  }),
+  async (req, res) => {
+    const ok = await loadProjectTaskOr404(req, res);
+    if (!ok) return;
+
+    const taskId = Number(req.params.taskId);
+    const commentId = Number(req.params.commentId);
+    if (!commentId) return sendError(res, "BAD_REQUEST", "invalid commentId");
+
+    const { emoji } = req.body ?? {};
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return sendError(res, "BAD_REQUEST", `emoji must be one of ${REACTION_EMOJIS.join(", ")}`);
+    }
+
+    const c = await models.Comment.findOne({
+      where: { id: commentId, task_id: taskId, deleted_at: null },
+    });
+    if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
+
+    const reacted = await toggleReaction(c.id, req.auth.userId, emoji);
+    const [presented] = await presentComments([c], {
+      viewerId: req.auth.userId,
+      workspaceId: req.workspace.id,
+    });
+
+    return sendOk(res, { reacted, reactions: presented.reactions });
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/comments/{commentId}/revisions:
+ *   get:
+ *     tags: [Comments]
+ *     summary: List comment edit history
+ *     description: '수정할 때마다 1건(oldContent/newContent). 삭제된 댓글의 이력은 moderator(워크스페이스 ADMIN 이상)만. Allowed sort fields: id, created_at'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'Page number (1-base)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *         description: 'Page size (max 50)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,DESC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/CommentRevision"
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "created_at,DESC" }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid commentId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / comment not found, 삭제된 댓글 + role < ADMIN 포함)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/:commentId/revisions", async (req, res) => {
+  const ok = await loadProjectTaskOr404(req, res);
+  if (!ok) return;
+
+  const taskId = Number(req.params.taskId);
+  const commentId = Number(req.params.commentId);
+  if (!commentId) return sendError(res, "BAD_REQUEST", "invalid commentId");
+
+  // tombstone의 이력은 moderator만 (일반 멤버에게는 없는 댓글)
+  const where = { id: commentId, task_id: taskId };
+  if (!canModerateComments(req)) where.deleted_at = null;
+  const c = await models.Comment.findOne({ where, paranoid: false });
+  if (!c) return sendError(res, "RESOURCE_NOT_FOUND", "comment not found");
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, ["id", "created_at"], "created_at,DESC");
+
+  const { rows, count } = await models.CommentRevision.findAndCountAll({
+    where: { comment_id: c.id },
+    include: [{ model: models.User, as: "editor", attributes: ["id", "name"] }],
+    order: [...order, ["id", order[0][1]]],
+    limit,
+    offset,
+  });
+
+  return sendOk(res, toPageResult({ rows: rows.map(presentRevision), count }, page, size, sort));
+});
+
 export default router;
@@ -0,0 +1,567 @@
+// src/routes/invitations.js
+import express from "express";
+import { Op } from "sequelize";
+import { models, sequelize } from "../models/index.js";
+import { env } from "../config/env.js";
+import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
+import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import { signInviteToken, verifyInviteToken, inviteTtlSeconds, hashToken } from "../utils/jwt.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import {
+  requireWorkspaceRole,
+  canManageWorkspaceRole,
+  ASSIGNABLE_WORKSPACE_ROLES,
+} from "../middlewares/requireWorkspaceMember.js";
+import { sendMail } from "../services/mailer.js";
+
+/**
+ * 워크스페이스 초대
+ * - router: /api/workspaces/:workspaceId/invitations (ADMIN 이상, 초대 생성/목록/취소)
+ * - inviteeRouter: /api/invitations (초대받은 본인, 수락/거절)
+ */
+const router = express.Router({ mergeParams: true });
+export const inviteeRouter = express.Router();
+
+const INVITATION_STATUS = ["PENDING", "ACCEPTED", "DECLINED", "REVOKED"];
+
+function isEmail(s) {
+  return typeof s === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+}
+
+function normalizeEmail(s) {
+  return String(s).trim().toLowerCase();
+}
+
+function invitationPublic(inv) {
+  return {
+    id: inv.id,
+    workspaceId: inv.workspace_id,
+    email: inv.email,
+    role: inv.role,
+    status: inv.status,
+    invitedBy: inv.invited_by,
+    expiresAt: inv.expires_at,
+    respondedAt: inv.responded_at,
+    createdAt: inv.created_at,
+  };
+}
+
+async function sendInvitationMail({ workspace, inviter, email, token }) {
+  const link = `${env.FRONTEND_URL}/invitations?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: `[${workspace.name}] 워크스페이스 초대`,
+    text:
+      `${inviter?.name ?? "누군가"}님이 "${workspace.name}" 워크스페이스에 초대했습니다.\n` +
+      `아래 링크에서 수락 또는 거절할 수 있습니다.\n\n${link}\n`,
+  });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Invitations
+ *     description: Workspace invitations (email)
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/invitations:
+ *   get:
+ *     tags: [Invitations]
+ *     summary: List invitations (ADMIN)
+ *     description: 'status 기본값은 PENDING (만료된 PENDING은 제외). Allowed sort fields: id, created_at, expires_at, email'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'Page number (1-base)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *         description: 'Page size (max 50)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,DESC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, expires_at, email'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING, ACCEPTED, DECLINED, REVOKED], default: PENDING }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by email (LIKE)'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/WorkspaceInvitation" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "created_at,DESC" }
+ *       400:
+ *         description: BAD_REQUEST (invalid status)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Invite by email (ADMIN)
+ *     description: '서명된 만료 토큰을 생성해 이메일로 전송한다. ADMIN 초대는 OWNER만 가능.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, example: "friend@example.com" }
+ *               role: { type: string, enum: [ADMIN, MEMBER, VIEWER], example: "MEMBER" }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [invitation]
+ *               properties:
+ *                 invitation: { $ref: "#/components/schemas/WorkspaceInvitation" }
+ *       400:
+ *         description: VALIDATION_FAILED (email) / BAD_REQUEST (invalid role)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN / only owner can invite admin)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: DUPLICATE_RESOURCE (already member / invitation already pending)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/")
+  .get(requireWorkspaceRole("ADMIN"), async (req, res) => {
+    const workspaceId = req.workspace.id;
+
+    const { page, size, offset, limit } = parsePagination(req.query);
+    const { sort, order } = parseSort(
+      req.query,
+      ["id", "created_at", "expires_at", "email"],
+      "created_at,DESC"
+    );
+    const f = parseFilters(req.query);
+
+    const status = f.status ?? "PENDING";
+    if (!INVITATION_STATUS.includes(status)) {
+      return sendError(res, "BAD_REQUEST", "invalid status");
+    }
+
+    const where = { workspace_id: workspaceId, status };
+    if (status === "PENDING") where.expires_at = { [Op.gt]: new Date() };
+    if (f.keyword) where.email = { [Op.like]: `%${f.keyword}%` };
+
+    const result = await models.WorkspaceInvitation.findAndCountAll({
+      where,
+      order,
+      limit,
+      offset,
+    });
+
+    return sendOk(
+      res,
+      toPageResult(
+        { rows: result.rows.map(invitationPublic), count: result.count },
+        page,
+        size,
+        sort
+      )
+    );
+  })
+  .post(
+    requireWorkspaceRole("ADMIN"),
+    rateLimit({
+      windowSec: 60,
+      max: 20,
+      keyGenerator: (req) => `rl:invitations:create:${req.auth.userId}:${req.workspace.id}`,
+    }),
+    async (req, res) => {
+      const workspaceId = req.workspace.id;
+      const { email: rawEmail, role = "MEMBER" } = req.body;
+
+      if (!isEmail(rawEmail)) {
+        return sendError(res, "VALIDATION_FAILED", "validation failed", { email: "invalid email" });
+      }
+      if (!ASSIGNABLE_WORKSPACE_ROLES.includes(role)) {
+        return sendError(res, "BAD_REQUEST", "invalid role");
+      }
+      if (!canManageWorkspaceRole(req, role)) {
+        return sendError(res, "FORBIDDEN", "only owner can invite admin");
+      }
+
+      const email = normalizeEmail(rawEmail);
+
+      const existingUser = await models.User.findOne({ where: { email } });
+      if (existingUser) {
+        const member = await models.WorkspaceMember.findOne({
+          where: { workspace_id: workspaceId, user_id: existingUser.id },
+        });
+        if (member) return sendError(res, "DUPLICATE_RESOURCE", "already member");
+      }
+
+      const pending = await models.WorkspaceInvitation.findOne({
+        where: {
+          workspace_id: workspaceId,
+          email,
+          status: "PENDING",
+          expires_at: { [Op.gt]: new Date() },
+        },
+      });
+      if (pending) return sendError(res, "DUPLICATE_RESOURCE", "invitation already pending");
+
+      const token = signInviteToken({ workspaceId, email });
+
+      const invitation = await models.WorkspaceInvitation.create({
+        workspace_id: workspaceId,
+        email,
+        role,
+        token_hash: hashToken(token),
+        status: "PENDING",
+        invited_by: req.auth.userId,
+        expires_at: new Date(Date.now() + inviteTtlSeconds() * 1000),
+      });
+
+      const inviter = await models.User.findByPk(req.auth.userId, { attributes: ["id", "name"] });
+
+      try {
+        await sendInvitationMail({ workspace: req.workspace, inviter, email, token });
+      } catch (e) {
+        // 메일 실패해도 초대 자체는 유지 (재발송은 취소 후 재초대)
+        console.error("[invitations] mail send failed:", e);
+      }
+
+      return sendCreated(res, { invitation: invitationPublic(invitation) });
+    }
+  );
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/invitations/{invitationId}:
+ *   delete:
+ *     tags: [Invitations]
+ *     summary: Revoke pending invitation (ADMIN)
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content (revoked)
+ *       400:
+ *         description: BAD_REQUEST (invalid invitationId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (invitation not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (invitation is not pending)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.delete("/:invitationId", requireWorkspaceRole("ADMIN"), async (req, res) => {
+  const workspaceId = req.workspace.id;
+  const invitationId = Number(req.params.invitationId);
+  if (!invitationId) return sendError(res, "BAD_REQUEST", "invalid invitationId");
+
+  const invitation = await models.WorkspaceInvitation.findOne({
+    where: { id: invitationId, workspace_id: workspaceId },
+  });
+  if (!invitation) return sendError(res, "RESOURCE_NOT_FOUND", "invitation not found");
+
+  if (invitation.status !== "PENDING") {
+    return sendError(res, "STATE_CONFLICT", "invitation is not pending");
+  }
+
+  invitation.status = "REVOKED";
+  invitation.responded_by = req.auth.userId;
+  invitation.responded_at = new Date();
+  await invitation.save();
+
+  return sendNoContent(res);
+});
+
+// 공통: 토큰 검증 + 초대 조회 + 수신자 본인 확인
+async function loadInvitationForInviteeOr4xx(req, res) {
+  const { token } = req.body;
+  if (!token || typeof token !== "string") {
+    sendError(res, "BAD_REQUEST", "token required");
+    return null;
+  }
+
+  try {
+    verifyInviteToken(token);
+  } catch (e) {
+    if (e?.name === "TokenExpiredError") {
+      sendError(res, "STATE_CONFLICT", "invitation expired");
+    } else {
+      sendError(res, "BAD_REQUEST", "invalid invitation token");
+    }
+    return null;
+  }
+
+  const invitation = await models.WorkspaceInvitation.findOne({
+    where: { token_hash: hashToken(token) },
+  });
+  if (!invitation) {
+    sendError(res, "RESOURCE_NOT_FOUND", "invitation not found");
+    return null;
+  }
+
+  if (invitation.status !== "PENDING") {
+    sendError(res, "STATE_CONFLICT", `invitation already ${invitation.status.toLowerCase()}`);
+    return null;
+  }
+  if (invitation.expires_at <= new Date()) {
+    sendError(res, "STATE_CONFLICT", "invitation expired");
+    return null;
+  }
+
+  const user = await models.User.findByPk(req.auth.userId);
+  if (!user) {
+    sendError(res, "USER_NOT_FOUND", "user not found");
+    return null;
+  }
+  if (!user.email || normalizeEmail(user.email) !== invitation.email) {
+    sendError(res, "FORBIDDEN", "invitation is for another email");
+    return null;
+  }
+
+  const workspace = await models.Workspace.findByPk(invitation.workspace_id);
+  if (!workspace) {
+    sendError(res, "RESOURCE_NOT_FOUND", "workspace not found");
+    return null;
+  }
+
+  return { invitation, user, workspace };
+}
+
+/**
+ * @swagger
+ * /invitations/accept:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Accept invitation
+ *     description: '로그인한 사용자의 이메일이 초대 이메일과 같아야 한다. 수락 시 초대된 role로 workspace_members에 추가된다.'
+ *     security: [{ cookieAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, example: "eyJhbGciOi..." }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [workspace, invitation]
+ *               properties:
+ *                 workspace: { $ref: "#/components/schemas/Workspace" }
+ *                 invitation: { $ref: "#/components/schemas/WorkspaceInvitation" }
+ *       400:
+ *         description: BAD_REQUEST (token required / invalid invitation token)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN (invitation is for another email)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (invitation not found / workspace not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (invitation expired / already accepted / declined / revoked)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+inviteeRouter.post("/accept", async (req, res) => {
+  const ok = await loadInvitationForInviteeOr4xx(req, res);
+  if (!ok) return;
+
+  const { invitation, user, workspace } = ok;
+
+  await sequelize.transaction(async (t) => {
+    const existed = await models.WorkspaceMember.findOne({
+      where: { workspace_id: workspace.id, user_id: user.id },
+      transaction: t,
+    });
+    if (!existed) {
+      await models.WorkspaceMember.create(
+        { workspace_id: workspace.id, user_id: user.id, role: invitation.role },
+        { transaction: t }
+      );
+    }
+
+    invitation.status = "ACCEPTED";
+    invitation.responded_by = user.id;
+    invitation.responded_at = new Date();
+    await invitation.save({ transaction: t });
+  });
+
+  return sendOk(res, { workspace, invitation: invitationPublic(invitation) });
+});
+
+/**
+ * @swagger
+ * /invitations/decline:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Decline invitation
+ *     security: [{ cookieAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, example: "eyJhbGciOi..." }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [invitation]
+ *               properties:
+ *                 invitation: { $ref: "#/components/schemas/WorkspaceInvitation" }
+ *       400:
+ *         description: BAD_REQUEST (token required / invalid invitation token)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN (invitation is for another email)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (invitation not found / workspace not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (invitation expired / already accepted / declined / revoked)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+inviteeRouter.post("/decline", async (req, res) => {
+  const ok = await loadInvitationForInviteeOr4xx(req, res);
+  if (!ok) return;
+
+  const { invitation, user } = ok;
+
+  invitation.status = "DECLINED";
+  invitation.responded_by = user.id;
+  invitation.responded_at = new Date();
+  await invitation.save();
+
+  return sendOk(res, { invitation: invitationPublic(invitation) });
+});
+
+export default router;
@@ -1,10 +1,28 @@
 // src/routes/projects.js
 import express from "express";
 import { Op } from "sequelize";
-import { models } from "../models/index.js";
+import { models, sequelize } from "../models/index.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
-import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  enumSortFields,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
 import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { invalidateCache } from "../middlewares/cache.js";
+import { softDeleteProjects } from "../services/trash.js";
+import {
+  createDefaultWorkflow,
+  loadWorkflow,
+  parseWorkflowBody,
+  replaceWorkflow,
+} from "../services/workflows.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -47,6 +65,14 @@ const router = express.Router({ mergeParams: true });
  *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
  *         description: 'Page size (max 50)'
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,DESC" }
  *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, name, status'
@@ -131,7 +157,7 @@ const router = express.Router({ mergeParams: true });
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -174,6 +200,18 @@ router
       if (f.dateTo) where.created_at[Op.lte] = new Date(`${f.dateTo}T23:59:59.999Z`);
     }
 
+    // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+    const cursor = parseCursor(req.query, sort, { enums: enumSortFields(models.Project) });
+    if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+    if (cursor) {
+      const rows = await models.Project.findAll({
+        where: withCursor(where, cursor),
+        order: cursor.order,
+        limit: cursor.limit + 1,
+      });
+      return sendOk(res, toCursorResult(rows, cursor));
+    }
+
     const result = await models.Project.findAndCountAll({
       where,
       order,
@@ -184,6 +222,7 @@ router
     return sendOk(res, toPageResult(result, page, size, sort));
   })
   .post(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 30,
@@ -197,12 +236,20 @@ router
 
       if (!name) return sendError(res, "BAD_REQUEST", "name required");
 
-      const p = await models.Project.create({
-        workspace_id: workspaceId,
-        name,
-        description: description ?? null,
-        status: "ACTIVE",
-        created_by: userId,
+      // 프로젝트 + 기본 워크플로우(TODO/DOING/DONE)
+      const p = await sequelize.transaction(async (t) => {
+        const created = await models.Project.create(
+          {
+            workspace_id: workspaceId,
+            name,
+            description: description ?? null,
+            status: "ACTIVE",
+            created_by: userId,
+          },
+          { transaction: t }
+        );
+        await createDefaultWorkflow(created.id, { transaction: t });
+        return created;
       });
 
       return sendCreated(res, { project: p });
@@ -300,7 +347,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -317,6 +364,7 @@ router
  *   delete:
  *     tags: [Projects]
  *     summary: Delete project (soft delete)
+ *     description: '하위 태스크/댓글/태그 연결까지 한 트랜잭션에서 soft delete. 휴지통에서 복구 가능.'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -336,7 +384,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -366,6 +414,7 @@ router
     return sendOk(res, { project: p });
   })
   .patch(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 30,
@@ -399,6 +448,7 @@ router
     }
   )
   .delete(
+    requireWorkspaceRole("ADMIN"),
     rateLimit({
       windowSec: 60,
       max: 20,
@@ -415,11 +465,205 @@ router
       });
       if (!p) return sendError(res, "RESOURCE_NOT_FOUND", "project not found");
 
-      p.deleted_at = new Date();
-      await p.save();
+      // 하위 태스크/댓글/태그 연결까지 같은 트랜잭션에서 soft delete
+      await sequelize.transaction((t) =>
+        softDeleteProjects([p.id], { actorId: req.auth.userId, transaction: t })
+      );
 
       return sendNoContent(res);
     }
   );
 
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/workflow:
+ *   get:
+ *     tags: [Projects]
+ *     summary: Get project workflow (status columns + transitions)
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [workflow]
+ *               properties:
+ *                 workflow:
+ *                   $ref: "#/components/schemas/ProjectWorkflow"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   put:
+ *     tags: [Projects]
+ *     summary: Replace project workflow
+ *     description: |
+ *       상태 컬럼 전체를 순서대로 교체한다 (position = 배열 순서).
+ *       - key는 대문자/숫자/_ (최대 40자), category는 TODO/IN_PROGRESS/DONE. DONE 카테고리가 최소 1개 필요
+ *       - transitions를 주면 그 전이만 허용, 비우면 모든 전이 허용
+ *       - 빠지는 상태를 쓰는 태스크(휴지통 포함)가 있으면 remap으로 옮길 상태를 지정해야 함 (없으면 409 + details.statuses)
+ *       - 카테고리가 바뀐 상태의 태스크는 status_category/completed_at이 같이 갱신됨
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [statuses]
+ *             properties:
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [key, category]
+ *                   properties:
+ *                     key: { type: string, example: "IN_REVIEW" }
+ *                     name: { type: string, example: "In Review" }
+ *                     category: { type: string, enum: [TODO, IN_PROGRESS, DONE], example: "IN_PROGRESS" }
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from: { type: string, example: "DOING" }
+ *                     to: { type: string, example: "IN_REVIEW" }
+ *               remap:
+ *                 type: object
+ *                 description: '빠지는 상태 key → 남는 상태 key'
+ *                 example: { QA: "IN_REVIEW" }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [workflow, remappedTasks]
+ *               properties:
+ *                 workflow:
+ *                   $ref: "#/components/schemas/ProjectWorkflow"
+ *                 remappedTasks: { type: integer, example: 3 }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid statuses / transitions / remap)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (statuses in use must be remapped)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/:projectId/workflow")
+  .get(async (req, res) => {
+    const projectId = Number(req.params.projectId);
+    if (!projectId) return sendError(res, "BAD_REQUEST", "invalid projectId");
+
+    const p = await models.Project.findOne({
+      where: { id: projectId, workspace_id: req.workspace.id, deleted_at: null },
+    });
+    if (!p) return sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+
+    return sendOk(res, { workflow: await loadWorkflow(p.id) });
+  })
+  .put(
+    requireWorkspaceRole("ADMIN"),
+    rateLimit({
+      windowSec: 60,
+      max: 10,
+      keyGenerator: (req) =>
+        `rl:projects:workflow:${req.auth.userId}:${req.params.projectId}`,
+    }),
+    async (req, res) => {
+      const workspaceId = req.workspace.id;
+      const projectId = Number(req.params.projectId);
+      if (!projectId) return sendError(res, "BAD_REQUEST", "invalid projectId");
+
+      const p = await models.Project.findOne({
+        where: { id: projectId, workspace_id: workspaceId, deleted_at: null },
+      });
+      if (!p) return sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+
+      const parsed = parseWorkflowBody(req.body);
+      if (parsed.error) return sendError(res, parsed.error.code, parsed.error.message);
+
+      const result = await sequelize.transaction(async (t) => {
+        const r = await replaceWorkflow(p, parsed, { actorId: req.auth.userId, transaction: t });
+        if (r.error) return r;
+        return { ...r, workflow: await loadWorkflow(p.id, { transaction: t }) };
+      });
+      if (result.error) {
+        return sendError(res, result.error.code, result.error.message, result.error.details);
+      }
+
+      // 상태가 바뀐 태스크는 모든 멤버의 태스크 목록/워크플로우 캐시에 걸려 있다
+      await invalidateCache(
+        `projects:*:/api/workspaces/${workspaceId}/projects/${p.id}*`,
+        `tasks:*:/api/workspaces/${workspaceId}*`,
+        "tasks:*:/api/users/me/tasks*"
+      );
+
+      return sendOk(res, { workflow: result.workflow, remappedTasks: result.remappedTasks });
+    }
+  );
+
 export default router;
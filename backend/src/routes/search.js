@@ -0,0 +1,126 @@
+// src/routes/search.js
+import express from "express";
+import { sendOk, sendError } from "../utils/http.js";
+import { parsePagination, toPageResult } from "../utils/listQuery.js";
+import { searchWorkspace, SEARCH_TYPES, MIN_QUERY_LENGTH } from "../services/search.js";
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * 전제:
+ * app.js에서 아래가 먼저 적용됨
+ * app.use("/api/workspaces/:workspaceId", requireAuth, requireWorkspaceMember());
+ *
+ * => req.auth 존재
+ * => req.workspace 존재
+ */
+
+const MAX_QUERY_LENGTH = 100;
+
+// 타입별로 상위 page * size건을 읽어 합치므로 깊은 페이지는 막는다
+const MAX_RESULT_WINDOW = 1000;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Search
+ *     description: Workspace full-text search (tasks / comments / projects)
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/search:
+ *   get:
+ *     tags: [Search]
+ *     summary: Full-text search in workspace
+ *     description: 'MySQL FULLTEXT(ngram) 기반. 태스크(title, description) / 댓글(content) / 프로젝트(name, description)를 relevance(score) 내림차순으로 섞어서 반환. title/snippet은 HTML escape 후 검색어를 <mark>로 감싼 문자열. 삭제된 항목 및 삭제된 상위 리소스의 하위 항목은 제외.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, minLength: 2, maxLength: 100 }
+ *         description: '검색어 (2자 이상)'
+ *       - in: query
+ *         name: types
+ *         schema: { type: string, example: "task,comment" }
+ *         description: '검색 대상 (task, comment, project 콤마 구분). 기본 전체'
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'page * size <= 1000 (상위 1000건까지만 조회 가능)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 q: { type: string, example: "refresh" }
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/SearchHit" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 7 }
+ *                 totalPages: { type: integer, example: 1 }
+ *       400:
+ *         description: INVALID_QUERY_PARAM (q required / q too short / q too long / invalid types / page * size > 1000)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/", async (req, res) => {
+  const q = String(req.query.q ?? "").trim();
+  if (!q) return sendError(res, "INVALID_QUERY_PARAM", "q required");
+  if (q.length < MIN_QUERY_LENGTH) {
+    return sendError(res, "INVALID_QUERY_PARAM", `q must be at least ${MIN_QUERY_LENGTH} chars`);
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return sendError(res, "INVALID_QUERY_PARAM", `q must be at most ${MAX_QUERY_LENGTH} chars`);
+  }
+
+  let types = SEARCH_TYPES;
+  if (req.query.types !== undefined) {
+    types = [...new Set(String(req.query.types).split(",").map((s) => s.trim()).filter(Boolean))];
+    if (types.length === 0 || types.some((t) => !SEARCH_TYPES.includes(t))) {
+      return sendError(res, "INVALID_QUERY_PARAM", `types must be of ${SEARCH_TYPES.join(", ")}`);
+    }
+  }
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  if (!(offset + limit <= MAX_RESULT_WINDOW)) {
+    return sendError(res, "INVALID_QUERY_PARAM", `page * size must be <= ${MAX_RESULT_WINDOW}`);
+  }
+
+  const result = await searchWorkspace({
+    workspaceId: req.workspace.id,
+    q,
+    types,
+    offset,
+    limit,
+  });
+
+  return sendOk(res, { q, ...toPageResult(result, page, size) });
+});
+
+export default router;
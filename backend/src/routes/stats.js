@@ -0,0 +1,483 @@
+// src/routes/stats.js
+import express from "express";
+import { Op, fn, col } from "sequelize";
+import { models } from "../models/index.js";
+import { sendOk, sendError } from "../utils/http.js";
+import { parseFilters } from "../utils/listQuery.js";
+import { STATUS_CATEGORIES } from "../services/workflows.js";
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * 전제:
+ * app.js에서 아래가 먼저 적용됨
+ * app.use("/api/workspaces/:workspaceId", requireAuth, requireWorkspaceMember());
+ *
+ * => req.auth 존재
+ * => req.workspace 존재
+ */
+
+const VALID_PRIORITY = ["LOW", "MEDIUM", "HIGH"];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 86_400_000;
+
+// 워크스페이스 내 프로젝트 목록 (projectId 필터가 있으면 해당 프로젝트만)
+async function loadProjectsOr404(req, res) {
+  const f = parseFilters(req.query);
+  const where = { workspace_id: req.workspace.id, deleted_at: null };
+
+  if (f.projectId) {
+    const pid = Number(f.projectId);
+    if (!Number.isInteger(pid) || pid <= 0) {
+      sendError(res, "BAD_REQUEST", "invalid projectId");
+      return null;
+    }
+    where.id = pid;
+  }
+
+  const projects = await models.Project.findAll({
+    where,
+    attributes: ["id", "name"],
+    order: [["id", "ASC"]],
+  });
+
+  if (f.projectId && projects.length === 0) {
+    sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+    return null;
+  }
+
+  return projects;
+}
+
+function zeroCounts(keys) {
+  return Object.fromEntries(keys.map((k) => [k, 0]));
+}
+
+function toDateKey(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Stats
+ *     description: Workspace analytics
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/stats/tasks:
+ *   get:
+ *     tags: [Stats]
+ *     summary: Task counts by status/priority/assignee per project
+ *     description: 'deleted_at=null 태스크만 집계. projectId를 주면 해당 프로젝트만 집계한다. byStatus는 프로젝트 워크플로우 key별(totals는 key별 합산), byCategory는 TODO/IN_PROGRESS/DONE 카테고리별.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *         description: 'Filter by project'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [projects, totals]
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       projectId: { type: integer, example: 10 }
+ *                       name: { type: string, example: "backend" }
+ *                       total: { type: integer, example: 12 }
+ *                       byStatus:
+ *                         type: object
+ *                         example: { TODO: 5, DOING: 2, IN_REVIEW: 1, DONE: 4 }
+ *                       byCategory:
+ *                         type: object
+ *                         example: { TODO: 5, IN_PROGRESS: 3, DONE: 4 }
+ *                       byPriority:
+ *                         type: object
+ *                         example: { LOW: 2, MEDIUM: 7, HIGH: 3 }
+ *                       byAssignee:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             assigneeId: { type: integer, nullable: true, example: 2 }
+ *                             count: { type: integer, example: 4 }
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer, example: 12 }
+ *                     byStatus: { type: object, example: { TODO: 5, DOING: 2, IN_REVIEW: 1, DONE: 4 } }
+ *                     byCategory: { type: object, example: { TODO: 5, IN_PROGRESS: 3, DONE: 4 } }
+ *                     byPriority: { type: object, example: { LOW: 2, MEDIUM: 7, HIGH: 3 } }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/tasks", async (req, res) => {
+  const projects = await loadProjectsOr404(req, res);
+  if (!projects) return;
+
+  const where = {
+    project_id: { [Op.in]: projects.map((p) => p.id) },
+    deleted_at: null,
+  };
+
+  const countBy = (field) =>
+    models.Task.findAll({
+      attributes: ["project_id", field, [fn("COUNT", col("id")), "count"]],
+      where,
+      group: ["project_id", field],
+      raw: true,
+    });
+
+  const [statusRows, categoryRows, priorityRows, assigneeRows, workflowRows] = await Promise.all([
+    countBy("status"),
+    countBy("status_category"),
+    countBy("priority"),
+    countBy("assignee_id"),
+    models.ProjectStatus.findAll({
+      where: { project_id: where.project_id },
+      attributes: ["project_id", "key"],
+      order: [["project_id", "ASC"], ["position", "ASC"]],
+      raw: true,
+    }),
+  ]);
+
+  // 상태 컬럼은 프로젝트마다 다르다 → 워크플로우 key로 0 채우기
+  const keysOf = (projectId) =>
+    workflowRows.filter((r) => Number(r.project_id) === projectId).map((r) => r.key);
+
+  const byProject = new Map(
+    projects.map((p) => [
+      p.id,
+      {
+        projectId: p.id,
+        name: p.name,
+        total: 0,
+        byStatus: zeroCounts(keysOf(p.id)),
+        byCategory: zeroCounts(STATUS_CATEGORIES),
+        byPriority: zeroCounts(VALID_PRIORITY),
+        byAssignee: [],
+      },
+    ])
+  );
+
+  const totals = {
+    total: 0,
+    byStatus: zeroCounts([...new Set(workflowRows.map((r) => r.key))]),
+    byCategory: zeroCounts(STATUS_CATEGORIES),
+    byPriority: zeroCounts(VALID_PRIORITY),
+  };
+
+  for (const r of statusRows) {
+    const s = byProject.get(Number(r.project_id));
+    if (!s) continue;
+    const n = Number(r.count);
+    s.byStatus[r.status] = n;
+    totals.byStatus[r.status] = (totals.byStatus[r.status] ?? 0) + n;
+  }
+
+  for (const r of categoryRows) {
+    const s = byProject.get(Number(r.project_id));
+    if (!s) continue;
+    const n = Number(r.count);
+    s.byCategory[r.status_category] = n;
+    s.total += n;
+    totals.byCategory[r.status_category] += n;
+    totals.total += n;
+  }
+
+  for (const r of priorityRows) {
+    const s = byProject.get(Number(r.project_id));
+    if (!s) continue;
+    const n = Number(r.count);
+    s.byPriority[r.priority] = n;
+    totals.byPriority[r.priority] += n;
+  }
+
+  for (const r of assigneeRows) {
+    const s = byProject.get(Number(r.project_id));
+    if (!s) continue;
+    s.byAssignee.push({
+      assigneeId: r.assignee_id === null ? null : Number(r.assignee_id),
+      count: Number(r.count),
+    });
+  }
+
+  return sendOk(res, { projects: [...byProject.values()], totals });
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/stats/overdue:
+ *   get:
+ *     tags: [Stats]
+ *     summary: Overdue task counts per project/assignee
+ *     description: 'due_at < now 이고 DONE 카테고리가 아닌 태스크를 집계한다.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *         description: 'Filter by project'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [asOf, total, projects]
+ *               properties:
+ *                 asOf: { type: string, example: "2025-12-26T12:00:00.000Z" }
+ *                 total: { type: integer, example: 3 }
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       projectId: { type: integer, example: 10 }
+ *                       name: { type: string, example: "backend" }
+ *                       overdue: { type: integer, example: 3 }
+ *                       byAssignee:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             assigneeId: { type: integer, nullable: true, example: 2 }
+ *                             count: { type: integer, example: 1 }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/overdue", async (req, res) => {
+  const projects = await loadProjectsOr404(req, res);
+  if (!projects) return;
+
+  const asOf = new Date();
+
+  const rows = await models.Task.findAll({
+    attributes: ["project_id", "assignee_id", [fn("COUNT", col("id")), "count"]],
+    where: {
+      project_id: { [Op.in]: projects.map((p) => p.id) },
+      deleted_at: null,
+      status_category: { [Op.ne]: "DONE" },
+      due_at: { [Op.lt]: asOf },
+    },
+    group: ["project_id", "assignee_id"],
+    raw: true,
+  });
+
+  const byProject = new Map(
+    projects.map((p) => [p.id, { projectId: p.id, name: p.name, overdue: 0, byAssignee: [] }])
+  );
+
+  let total = 0;
+  for (const r of rows) {
+    const s = byProject.get(Number(r.project_id));
+    if (!s) continue;
+    const n = Number(r.count);
+    s.overdue += n;
+    s.byAssignee.push({
+      assigneeId: r.assignee_id === null ? null : Number(r.assignee_id),
+      count: n,
+    });
+    total += n;
+  }
+
+  return sendOk(res, { asOf: asOf.toISOString(), total, projects: [...byProject.values()] });
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/stats/activity:
+ *   get:
+ *     tags: [Stats]
+ *     summary: Created vs completed task counts per day
+ *     description: 'UTC 일 단위 집계. completed는 completed_at(DONE 전환 시각) 기준. 기본 범위는 최근 30일, 최대 366일.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *         description: 'Filter by project'
+ *       - in: query
+ *         name: dateFrom
+ *         schema: { type: string, format: date }
+ *         description: 'Range start (YYYY-MM-DD, inclusive)'
+ *       - in: query
+ *         name: dateTo
+ *         schema: { type: string, format: date }
+ *         description: 'Range end (YYYY-MM-DD, inclusive)'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [dateFrom, dateTo, days, totals]
+ *               properties:
+ *                 dateFrom: { type: string, example: "2025-12-01" }
+ *                 dateTo: { type: string, example: "2025-12-07" }
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date: { type: string, example: "2025-12-01" }
+ *                       created: { type: integer, example: 4 }
+ *                       completed: { type: integer, example: 2 }
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     created: { type: integer, example: 20 }
+ *                     completed: { type: integer, example: 11 }
+ *       400:
+ *         description: INVALID_QUERY_PARAM (invalid dateFrom/dateTo / range too large) / BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/activity", async (req, res) => {
+  const f = parseFilters(req.query);
+
+  if ((f.dateFrom && !DATE_RE.test(f.dateFrom)) || (f.dateTo && !DATE_RE.test(f.dateTo))) {
+    return sendError(res, "INVALID_QUERY_PARAM", "dateFrom/dateTo must be YYYY-MM-DD");
+  }
+
+  const to = f.dateTo
+    ? new Date(`${f.dateTo}T00:00:00.000Z`)
+    : new Date(`${toDateKey(new Date())}T00:00:00.000Z`);
+  const from = f.dateFrom
+    ? new Date(`${f.dateFrom}T00:00:00.000Z`)
+    : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return sendError(res, "INVALID_QUERY_PARAM", "invalid date range");
+  }
+
+  const dayCount = Math.round((to - from) / DAY_MS) + 1;
+  if (dayCount > MAX_RANGE_DAYS) {
+    return sendError(res, "INVALID_QUERY_PARAM", `date range must be <= ${MAX_RANGE_DAYS} days`);
+  }
+
+  const projects = await loadProjectsOr404(req, res);
+  if (!projects) return;
+
+  const range = { [Op.gte]: from, [Op.lt]: new Date(to.getTime() + DAY_MS) };
+  const projectIds = { [Op.in]: projects.map((p) => p.id) };
+
+  const countPerDay = (field) =>
+    models.Task.findAll({
+      attributes: [[fn("DATE", col(field)), "day"], [fn("COUNT", col("id")), "count"]],
+      where: { project_id: projectIds, deleted_at: null, [field]: range },
+      group: [fn("DATE", col(field))],
+      raw: true,
+    });
+
+  const [createdRows, completedRows] = await Promise.all([
+    countPerDay("created_at"),
+    countPerDay("completed_at"),
+  ]);
+
+  const days = new Map();
+  for (let i = 0; i < dayCount; i++) {
+    const key = toDateKey(new Date(from.getTime() + i * DAY_MS));
+    days.set(key, { date: key, created: 0, completed: 0 });
+  }
+
+  const totals = { created: 0, completed: 0 };
+  const apply = (rows, field) => {
+    for (const r of rows) {
+      const key = r.day instanceof Date ? toDateKey(r.day) : String(r.day).slice(0, 10);
+      const d = days.get(key);
+      if (!d) continue;
+      d[field] = Number(r.count);
+      totals[field] += d[field];
+    }
+  };
+  apply(createdRows, "created");
+  apply(completedRows, "completed");
+
+  return sendOk(res, {
+    dateFrom: toDateKey(from),
+    dateTo: toDateKey(to),
+    days: [...days.values()],
+    totals,
+  });
+});
+
+export default router;
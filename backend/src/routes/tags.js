@@ -1,9 +1,10 @@
 // src/routes/tags.js
 import express from "express";
 import { Op } from "sequelize";
-import { models } from "../models/index.js";
+import { models, sequelize } from "../models/index.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
 import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -168,7 +169,7 @@ async function loadProjectTaskOr404(req, res) {
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -215,7 +216,7 @@ router
 
     return sendOk(res, toPageResult(result, page, size, sort));
   })
-  .post(async (req, res) => {
+  .post(requireWorkspaceRole("ADMIN"), async (req, res) => {
     const workspaceId = req.workspace.id;
     const { name } = req.body;
 
@@ -254,7 +255,7 @@ router
  *   delete:
  *     tags: [Tags]
  *     summary: Delete workspace tag
- *     description: 물리 삭제(destroy). tagId가 workspace에 속하지 않으면 RESOURCE_NOT_FOUND.
+ *     description: 물리 삭제(destroy). 태스크에 붙은 연결(task_tags, 휴지통 포함)도 함께 삭제. tagId가 workspace에 속하지 않으면 RESOURCE_NOT_FOUND.
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -274,7 +275,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -289,7 +290,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  */
-router.delete("/tags/:tagId", async (req, res) => {
+router.delete("/tags/:tagId", requireWorkspaceRole("ADMIN"), async (req, res) => {
   const workspaceId = req.workspace.id;
   const tagId = Number(req.params.tagId);
 
@@ -300,7 +301,11 @@ router.delete("/tags/:tagId", async (req, res) => {
   });
   if (!tag) return sendError(res, "RESOURCE_NOT_FOUND", "tag not found");
 
-  await tag.destroy();
+  // 휴지통에 있는 태스크의 연결까지 포함해서 정리 후 태그 삭제
+  await sequelize.transaction(async (t) => {
+    await models.TaskTag.destroy({ where: { tag_id: tag.id }, force: true, transaction: t });
+    await tag.destroy({ transaction: t });
+  });
   return sendNoContent(res);
 });
 
@@ -456,7 +461,7 @@ router.delete("/tags/:tagId", async (req, res) => {
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -526,7 +531,7 @@ router
 
     return sendOk(res, toPageResult(result, page, size, sort));
   })
-  .post(async (req, res) => {
+  .post(requireWorkspaceRole("MEMBER"), async (req, res) => {
     const ok = await loadProjectTaskOr404(req, res);
     if (!ok) return;
 
@@ -583,7 +588,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -598,16 +603,21 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  */
-router.delete("/projects/:projectId/tasks/:taskId/tags/:tagId", async (req, res) => {
-  const ok = await loadProjectTaskOr404(req, res);
-  if (!ok) return;
+router.delete(
+  "/projects/:projectId/tasks/:taskId/tags/:tagId",
+  requireWorkspaceRole("MEMBER"),
+  async (req, res) => {
+    const ok = await loadProjectTaskOr404(req, res);
+    if (!ok) return;
 
-  const tagId = Number(req.params.tagId);
-  if (!tagId) return sendError(res, "BAD_REQUEST", "invalid tagId");
+    const tagId = Number(req.params.tagId);
+    if (!tagId) return sendError(res, "BAD_REQUEST", "invalid tagId");
 
-  const taskId = Number(req.params.taskId);
-  await models.TaskTag.destroy({ where: { task_id: taskId, tag_id: tagId } });
-  return sendNoContent(res);
-});
+    const taskId = Number(req.params.taskId);
+    // 직접 떼어낸 연결은 복구 대상이 아니므로 hard delete (유니크키 재부착 충돌 방지)
+    await models.TaskTag.destroy({ where: { task_id: taskId, tag_id: tagId }, force: true });
+    return sendNoContent(res);
+  }
+);
 
 export default router;
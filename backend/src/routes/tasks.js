@@ -1,10 +1,53 @@
 // src/routes/tasks.js
 import express from "express";
 import { Op } from "sequelize";
-import { models } from "../models/index.js";
+import { models, sequelize } from "../models/index.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
-import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
 import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import {
+  TRACKED_TASK_FIELDS,
+  snapshotTask,
+  diffTaskSnapshot,
+  recordTaskHistory,
+} from "../services/taskHistory.js";
+import { softDeleteTasks } from "../services/trash.js";
+import { buildTaskFilters, TASK_SORT_FIELDS, projectTaskSortEnums } from "../services/taskFilters.js";
+import {
+  validateTaskFields,
+  applyTaskFields,
+  canDeleteTask,
+  loadTargetProject,
+  checkStatusGuards,
+  presentTasks,
+} from "../services/taskMutations.js";
+import { moveTask, duplicateTask, checkMovable } from "../services/taskTransfer.js";
+import {
+  loadWorkflow,
+  findStatus,
+  initialStatus,
+  checkStatusChange,
+} from "../services/workflows.js";
+import { MAX_TASK_DEPTH, getTaskDepth } from "../services/subtasks.js";
+import { findCyclePath } from "../services/taskDependencies.js";
+import { nextPosition, placeAtEnd } from "../services/board.js";
+import {
+  parseRecurrenceBody,
+  setRecurrence,
+  findRecurrence,
+  presentRecurrence,
+  completeRecurringTask,
+} from "../services/recurrence.js";
+import { notifyTaskCreated, notifyTaskChanges } from "../services/notifications.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -17,9 +60,6 @@ const router = express.Router({ mergeParams: true });
  * => req.workspace 존재 (deleted_at null까지 확인됨)
  */
 
-const VALID_STATUS = ["TODO", "DOING", "DONE"];
-const VALID_PRIORITY = ["LOW", "MEDIUM", "HIGH"];
-
 async function loadProjectOr404(req, res) {
   const workspaceId = req.workspace.id;
   const projectId = Number(req.params.projectId);
@@ -41,6 +81,44 @@ async function loadProjectOr404(req, res) {
   return project;
 }
 
+// body.status 검증 (생성: 워크플로우에 있는 상태인지만). 문제 없으면 null
+function checkInitialStatus(workflow, status) {
+  return status === undefined ? null : checkStatusChange(workflow, null, status);
+}
+
+// 생성 + CREATE 이력 (body 검증은 호출 측). status 생략 시 워크플로우 기본 상태
+async function createTask(req, { projectId, workflow, parentTaskId = null }) {
+  const { title, description, status, priority, dueAt, assigneeId } = req.body;
+  const userId = req.auth.userId;
+  const st = status !== undefined ? findStatus(workflow, status) : initialStatus(workflow);
+
+  return sequelize.transaction(async (t) => {
+    const created = await models.Task.create(
+      {
+        project_id: projectId,
+        parent_task_id: parentTaskId,
+        title,
+        description: description ?? null,
+        status: st.key,
+        status_category: st.category,
+        position: await nextPosition(projectId, st.key, { transaction: t }),
+        priority: priority ?? "MEDIUM",
+        due_at: dueAt ?? null,
+        created_by: userId,
+        assignee_id: assigneeId ?? null,
+        completed_at: st.category === "DONE" ? new Date() : null,
+      },
+      { transaction: t }
+    );
+    await recordTaskHistory(
+      { taskId: created.id, actorId: userId, action: "CREATE" },
+      { transaction: t }
+    );
+    await notifyTaskCreated(created, { actorId: userId, workspaceId: req.workspace.id, transaction: t });
+    return created;
+  });
+}
+
 /**
  * @swagger
  * tags:
@@ -54,7 +132,7 @@ async function loadProjectOr404(req, res) {
  *   get:
  *     tags: [Tasks]
  *     summary: List tasks in project
- *     description: 'deleted_at=null만 반환. Pagination(1-base) + sort + filters(keyword,status,assigneeId,dueFrom/dueTo). Allowed sort fields: id, created_at, due_at, status, priority'
+ *     description: 'deleted_at=null만 반환. 각 태스크에 progress(직속 하위 태스크 done/total) 포함. Pagination(1-base) + sort + filters(keyword,status,priority,assigneeId,tagId,dueFrom/dueTo). Allowed sort fields: id, created_at, updated_at, due_at, status(워크플로우 상태 순서), priority, position'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -74,22 +152,42 @@ async function loadProjectOr404(req, res) {
  *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
  *         description: 'Page size (max 50)'
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,DESC" }
- *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, due_at, status, priority'
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, updated_at, due_at, status(워크플로우 상태 순서), priority, position'
  *       - in: query
  *         name: keyword
  *         schema: { type: string }
  *         description: 'Search by title/description (LIKE)'
  *       - in: query
  *         name: status
- *         schema: { type: string, enum: [TODO, DOING, DONE] }
- *         description: 'Filter by task status'
+ *         schema: { type: string }
+ *         description: 'Filter by workflow status key (e.g. TODO, DOING, IN_REVIEW)'
+ *       - in: query
+ *         name: statusCategory
+ *         schema: { type: string, enum: [TODO, IN_PROGRESS, DONE] }
+ *         description: 'Filter by status category'
+ *       - in: query
+ *         name: priority
+ *         schema: { type: string, enum: [LOW, MEDIUM, HIGH] }
+ *         description: 'Filter by task priority'
  *       - in: query
  *         name: assigneeId
  *         schema: { type: integer }
  *         description: 'Filter by assignee_id'
  *       - in: query
+ *         name: tagId
+ *         schema: { type: integer }
+ *         description: 'Tasks having this tag attached'
+ *       - in: query
  *         name: dueFrom
  *         schema: { type: string, format: date }
  *         description: 'due_at >= dueFrom (YYYY-MM-DD)'
@@ -160,7 +258,7 @@ async function loadProjectOr404(req, res) {
  *             properties:
  *               title: { type: string, example: "Implement swagger docs" }
  *               description: { type: string, nullable: true, example: "..." }
- *               status: { type: string, enum: [TODO, DOING, DONE], example: "TODO" }
+ *               status: { type: string, example: "TODO", description: '생략 시 워크플로우 기본 상태' }
  *               priority: { type: string, enum: [LOW, MEDIUM, HIGH], example: "MEDIUM" }
  *               dueAt: { type: string, nullable: true, example: "2025-12-26T12:00:00.000Z" }
  *               assigneeId: { type: integer, nullable: true, example: 2 }
@@ -176,12 +274,12 @@ async function loadProjectOr404(req, res) {
  *                 task:
  *                   $ref: "#/components/schemas/Task"
  *       400:
- *         description: BAD_REQUEST (invalid projectId / title required / invalid status / invalid priority). VALIDATION_FAILED may include details.
+ *         description: BAD_REQUEST (invalid projectId / title required / invalid status / invalid priority / invalid dueAt / invalid assigneeId). VALIDATION_FAILED (details.assigneeId: 워크스페이스 멤버가 아닌 담당자).
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -206,47 +304,41 @@ router
 
     const { page, size, offset, limit } = parsePagination(req.query);
 
-    const { sort, order } = parseSort(
-      req.query,
-      ["id", "created_at", "due_at", "status", "priority"],
-      "created_at,DESC"
-    );
-
-    const f = parseFilters(req.query);
-    const where = { project_id: projectId, deleted_at: null };
-
-    if (f.keyword) {
-      where[Op.or] = [
-        { title: { [Op.like]: `%${f.keyword}%` } },
-        { description: { [Op.like]: `%${f.keyword}%` } },
-      ];
-    }
-
-    if (f.status && VALID_STATUS.includes(f.status)) {
-      where.status = f.status;
-    }
+    const enums = await projectTaskSortEnums(project.id);
+    const { sort, order } = parseSort(req.query, TASK_SORT_FIELDS, "created_at,DESC", { enums });
 
-    if (f.assigneeId) {
-      const aid = Number(f.assigneeId);
-      if (Number.isFinite(aid) && aid > 0) where.assignee_id = aid;
-    }
+    const { where, include } = buildTaskFilters(parseFilters(req.query));
+    where.project_id = projectId;
 
-    if (f.dueFrom || f.dueTo) {
-      where.due_at = {};
-      if (f.dueFrom) where.due_at[Op.gte] = new Date(`${f.dueFrom}T00:00:00.000Z`);
-      if (f.dueTo) where.due_at[Op.lte] = new Date(`${f.dueTo}T23:59:59.999Z`);
+    // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+    const cursor = parseCursor(req.query, sort, { enums });
+    if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+    if (cursor) {
+      const rows = await models.Task.findAll({
+        where: withCursor(where, cursor),
+        include,
+        order: cursor.order,
+        limit: cursor.limit + 1,
+      });
+      const result = toCursorResult(rows, cursor);
+      result.content = await presentTasks(result.content);
+      return sendOk(res, result);
     }
 
     const result = await models.Task.findAndCountAll({
       where,
+      include,
       order,
       limit,
       offset,
+      distinct: true,
     });
+    result.rows = await presentTasks(result.rows);
 
     return sendOk(res, toPageResult(result, page, size, sort));
   })
   .post(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 30,
@@ -257,31 +349,18 @@ router
       const project = await loadProjectOr404(req, res);
       if (!project) return;
 
-      const projectId = Number(req.params.projectId);
-      const userId = req.auth.userId;
-
-      const { title, description, status, priority, dueAt, assigneeId } = req.body;
-      if (!title) return sendError(res, "BAD_REQUEST", "title required");
+      if (!req.body.title) return sendError(res, "BAD_REQUEST", "title required");
 
-      if (status !== undefined && !VALID_STATUS.includes(status)) {
-        return sendError(res, "BAD_REQUEST", "invalid status");
-      }
-      if (priority !== undefined && !VALID_PRIORITY.includes(priority)) {
-        return sendError(res, "BAD_REQUEST", "invalid priority");
-      }
+      const invalid = await validateTaskFields(req.body, { workspaceId: req.workspace.id });
+      if (invalid) return sendError(res, invalid.code, invalid.message, invalid.details);
 
-      const task = await models.Task.create({
-        project_id: projectId,
-        title,
-        description: description ?? null,
-        status: status ?? "TODO",
-        priority: priority ?? "MEDIUM",
-        due_at: dueAt ?? null,
-        created_by: userId,
-        assignee_id: assigneeId ?? null,
-      });
+      const workflow = await loadWorkflow(project.id);
+      const badStatus = checkInitialStatus(workflow, req.body.status);
+      if (badStatus) return sendError(res, badStatus.code, badStatus.message);
 
-      return sendCreated(res, { task });
+      const task = await createTask(req, { projectId: project.id, workflow });
+      const [presented] = await presentTasks([task]);
+      return sendCreated(res, { task: presented });
     }
   );
 
@@ -291,6 +370,7 @@ router
  *   get:
  *     tags: [Tasks]
  *     summary: Get task detail
+ *     description: 'progress(직속 하위 태스크 done/total) 포함.'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -340,7 +420,7 @@ router
  *   patch:
  *     tags: [Tasks]
  *     summary: Update task
- *     description: status는 TODO/DOING/DONE, priority는 LOW/MEDIUM/HIGH만 허용.
+ *     description: status는 프로젝트 워크플로우의 key만(전이 규칙이 있으면 그에 따라), priority는 LOW/MEDIUM/HIGH만 허용. DONE 카테고리가 아닌 하위 태스크가 있으면 DONE 카테고리로, DONE 카테고리가 아닌 blocker가 있으면 IN_PROGRESS/DONE 카테고리로 바꿀 수 없음. force=true면 진행(blocker는 warnings로 알림). 전이 규칙은 force로 무시할 수 없음.
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -364,10 +444,11 @@ router
  *             properties:
  *               title: { type: string, example: "Updated title" }
  *               description: { type: string, nullable: true, example: "..." }
- *               status: { type: string, enum: [TODO, DOING, DONE], example: "DOING" }
+ *               status: { type: string, example: "DOING" }
  *               priority: { type: string, enum: [LOW, MEDIUM, HIGH], example: "HIGH" }
  *               dueAt: { type: string, nullable: true, example: "2025-12-26T12:00:00.000Z" }
  *               assigneeId: { type: integer, nullable: true, example: 3 }
+ *               force: { type: boolean, default: false, description: "open subtasks / open blockers가 있어도 상태 변경 허용" }
  *     responses:
  *       200:
  *         description: ok
@@ -379,13 +460,26 @@ router
  *               properties:
  *                 task:
  *                   $ref: "#/components/schemas/Task"
+ *                 warnings:
+ *                   type: array
+ *                   description: "force=true로 열린 blocker를 무시한 경우에만"
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code: { type: string, example: "OPEN_BLOCKERS" }
+ *                       message: { type: string, example: "task is blocked by open tasks" }
+ *                       blockers: { type: array, items: { type: integer }, example: [101] }
+ *                 nextTaskId:
+ *                   type: integer
+ *                   description: "반복 태스크를 DONE 카테고리로 바꿔 다음 인스턴스가 만들어진 경우에만"
+ *                   example: 101
  *       400:
- *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid status / invalid priority). VALIDATION_FAILED may include details.
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid status / invalid priority / invalid dueAt / invalid assigneeId). VALIDATION_FAILED (details.assigneeId: 워크스페이스 멤버가 아닌 담당자).
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -394,6 +488,11 @@ router
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (task has open subtasks, details.openSubtasks / task is blocked by open tasks, details.blockers)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       500:
  *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
  *         content:
@@ -403,6 +502,7 @@ router
  *   delete:
  *     tags: [Tasks]
  *     summary: Delete task (soft delete)
+ *     description: '하위 태스크/댓글/태그 연결까지 함께 soft delete. 휴지통에서 복구 가능.'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -426,7 +526,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( not workspace member)
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER / not task creator and role < ADMIN)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -456,9 +556,11 @@ router
     });
     if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
 
-    return sendOk(res, { task });
+    const [presented] = await presentTasks([task]);
+    return sendOk(res, { task: presented });
   })
   .patch(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 30,
@@ -478,27 +580,59 @@ router
       });
       if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
 
-      const { title, description, status, priority, dueAt, assigneeId } = req.body;
+      const invalid = await validateTaskFields(req.body, { workspaceId: req.workspace.id });
+      if (invalid) return sendError(res, invalid.code, invalid.message, invalid.details);
 
-      if (status !== undefined && !VALID_STATUS.includes(status)) {
-        return sendError(res, "BAD_REQUEST", "invalid status");
-      }
-      if (priority !== undefined && !VALID_PRIORITY.includes(priority)) {
-        return sendError(res, "BAD_REQUEST", "invalid priority");
+      // 상태 값/전이는 프로젝트 워크플로우 기준
+      let workflow = null;
+      let target = null;
+      if (req.body.status !== undefined && req.body.status !== task.status) {
+        workflow = await loadWorkflow(task.project_id);
+        const badStatus = checkStatusChange(workflow, task.status, req.body.status);
+        if (badStatus) return sendError(res, badStatus.code, badStatus.message);
+        target = findStatus(workflow, req.body.status);
       }
 
-      if (title !== undefined) task.title = title;
-      if (description !== undefined) task.description = description;
-      if (status !== undefined) task.status = status;
-      if (priority !== undefined) task.priority = priority;
-      if (dueAt !== undefined) task.due_at = dueAt;
-      if (assigneeId !== undefined) task.assignee_id = assigneeId;
+      // 열린 하위 태스크 / 끝나지 않은 blocker (force=true면 진행하고 blocker는 warnings로 알림)
+      const { error: guard, warnings } = await checkStatusGuards(task, target, {
+        force: req.body.force === true,
+      });
+      if (guard) return sendError(res, guard.code, guard.message, guard.details);
+
+      const completing = target?.category === "DONE" && task.status_category !== "DONE";
+      const before = snapshotTask(task);
+      applyTaskFields(task, req.body, workflow);
+
+      const nextTask = await sequelize.transaction(async (t) => {
+        // 다른 상태 컬럼으로 가면 보드에서 맨 아래
+        if (target) await placeAtEnd(task, { transaction: t });
+        await task.save({ transaction: t });
+        const changes = diffTaskSnapshot(before, snapshotTask(task));
+        await recordTaskHistory(
+          { taskId: task.id, actorId: req.auth.userId, action: "UPDATE", changes },
+          { transaction: t }
+        );
+        await notifyTaskChanges(task, changes, {
+          actorId: req.auth.userId,
+          workspaceId: req.workspace.id,
+          transaction: t,
+        });
+        // 반복 태스크면 다음 인스턴스
+        return completing
+          ? completeRecurringTask(task, { actorId: req.auth.userId, transaction: t })
+          : null;
+      });
 
-      await task.save();
-      return sendOk(res, { task });
+      const [presented] = await presentTasks([task]);
+      return sendOk(res, {
+        task: presented,
+        ...(warnings ? { warnings } : {}),
+        ...(nextTask ? { nextTaskId: nextTask.id } : {}),
+      });
     }
   )
   .delete(
+    requireWorkspaceRole("MEMBER"),
     rateLimit({
       windowSec: 60,
       max: 20,
@@ -518,11 +652,1205 @@ router
       });
       if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
 
-      task.deleted_at = new Date();
-      await task.save();
+      if (!canDeleteTask(req, task)) {
+        return sendError(res, "FORBIDDEN", "only task creator or workspace admin can delete");
+      }
+
+      // 댓글/태그 연결까지 같이 soft delete (+ DELETE 이력)
+      await sequelize.transaction((t) =>
+        softDeleteTasks([task.id], { actorId: req.auth.userId, transaction: t })
+      );
 
       return sendNoContent(res);
     }
   );
 
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/subtasks:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: List subtasks (direct children)
+ *     description: 'deleted_at=null인 직속 하위 태스크만 반환. 각 항목에 progress 포함. Allowed sort fields: id, created_at, updated_at, due_at, status(워크플로우 상태 순서), priority, position'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'Page number (1-base)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *         description: 'Page size (max 50)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,ASC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, updated_at, due_at, status(워크플로우 상태 순서), priority, position'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/Task"
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 3 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "created_at,ASC" }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Create subtask
+ *     description: '부모 태스크와 같은 프로젝트에 생성. 최상위 태스크 포함 최대 3단계까지.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title: { type: string, example: "Step 1: schema" }
+ *               description: { type: string, nullable: true, example: null }
+ *               status: { type: string, example: "TODO", description: '생략 시 워크플로우 기본 상태' }
+ *               priority: { type: string, enum: [LOW, MEDIUM, HIGH], example: "MEDIUM" }
+ *               dueAt: { type: string, nullable: true, example: "2025-12-31T00:00:00.000Z" }
+ *               assigneeId: { type: integer, nullable: true, example: 2 }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [task]
+ *               properties:
+ *                 task:
+ *                   $ref: "#/components/schemas/Task"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / title required / invalid status / invalid priority / invalid dueAt / invalid assigneeId / subtask depth limit exceeded). VALIDATION_FAILED (details.assigneeId: 워크스페이스 멤버가 아닌 담당자)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/:taskId/subtasks")
+  .get(async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const parent = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!parent) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const { page, size, offset, limit } = parsePagination(req.query);
+    const { sort, order } = parseSort(req.query, TASK_SORT_FIELDS, "created_at,ASC", {
+      enums: await projectTaskSortEnums(project.id),
+    });
+
+    const result = await models.Task.findAndCountAll({
+      where: { parent_task_id: parent.id, deleted_at: null },
+      order: [...order, ["id", order[0][1]]],
+      limit,
+      offset,
+    });
+    result.rows = await presentTasks(result.rows);
+
+    return sendOk(res, toPageResult(result, page, size, sort));
+  })
+  .post(
+    requireWorkspaceRole("MEMBER"),
+    rateLimit({
+      windowSec: 60,
+      max: 30,
+      keyGenerator: (req) =>
+        `rl:tasks:create:${req.auth.userId}:${req.params.projectId}`,
+    }),
+    async (req, res) => {
+      const project = await loadProjectOr404(req, res);
+      if (!project) return;
+
+      const taskId = Number(req.params.taskId);
+      if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+      const parent = await models.Task.findOne({
+        where: { id: taskId, project_id: project.id, deleted_at: null },
+      });
+      if (!parent) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+      if (!req.body.title) return sendError(res, "BAD_REQUEST", "title required");
+
+      const invalid = await validateTaskFields(req.body, { workspaceId: req.workspace.id });
+      if (invalid) return sendError(res, invalid.code, invalid.message, invalid.details);
+
+      if ((await getTaskDepth(parent)) >= MAX_TASK_DEPTH) {
+        return sendError(res, "BAD_REQUEST", `subtask depth limit (${MAX_TASK_DEPTH}) exceeded`);
+      }
+
+      const workflow = await loadWorkflow(project.id);
+      const badStatus = checkInitialStatus(workflow, req.body.status);
+      if (badStatus) return sendError(res, badStatus.code, badStatus.message);
+
+      const task = await createTask(req, {
+        projectId: project.id,
+        workflow,
+        parentTaskId: parent.id,
+      });
+      const [presented] = await presentTasks([task]);
+      return sendCreated(res, { task: presented });
+    }
+  );
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/dependencies:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Add dependency (blocks / blocked-by)
+ *     description: 'blockedBy 또는 blocks 중 하나만 지정. 상대 태스크는 같은 워크스페이스의 삭제되지 않은 태스크여야 함. 순환이 생기면 STATE_CONFLICT(details.cycle에 경로). 태스크 응답의 blockedBy/blocking으로 조회.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               blockedBy: { type: integer, description: "이 태스크를 막는 태스크 id", example: 101 }
+ *               blocks: { type: integer, description: "이 태스크가 막는 태스크 id", example: 102 }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [dependency]
+ *               properties:
+ *                 dependency:
+ *                   $ref: "#/components/schemas/TaskDependency"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / exactly one of blockedBy, blocks required / invalid task id / task cannot depend on itself)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / related task not found in workspace)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: DUPLICATE_RESOURCE (dependency already exists) / STATE_CONFLICT (dependency would create a cycle)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/:taskId/dependencies",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 30,
+    keyGenerator: (req) => `rl:tasks:dependencies:${req.auth.userId}:${req.params.taskId}`,
+  }),
+  async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const { blockedBy, blocks } = req.body ?? {};
+    if ((blockedBy === undefined) === (blocks === undefined)) {
+      return sendError(res, "BAD_REQUEST", "exactly one of blockedBy, blocks required");
+    }
+    const otherId = Number(blockedBy ?? blocks);
+    if (!Number.isInteger(otherId) || otherId <= 0) {
+      return sendError(res, "BAD_REQUEST", "invalid task id");
+    }
+    if (otherId === taskId) return sendError(res, "BAD_REQUEST", "task cannot depend on itself");
+
+    const other = await models.Task.findOne({
+      where: { id: otherId, deleted_at: null },
+      include: [
+        {
+          model: models.Project,
+          as: "project",
+          where: { workspace_id: req.workspace.id, deleted_at: null },
+          attributes: [],
+        },
+      ],
+    });
+    if (!other) return sendError(res, "RESOURCE_NOT_FOUND", "related task not found in workspace");
+
+    const blockerId = blockedBy !== undefined ? otherId : taskId;
+    const blockedId = blockedBy !== undefined ? taskId : otherId;
+    const pair = { blocker_task_id: blockerId, blocked_task_id: blockedId };
+
+    const existing = await models.TaskDependency.findOne({ where: pair, paranoid: false });
+    if (existing && !existing.deleted_at) {
+      return sendError(res, "DUPLICATE_RESOURCE", "dependency already exists");
+    }
+
+    const cycle = await findCyclePath(blockerId, blockedId);
+    if (cycle) {
+      return sendError(res, "STATE_CONFLICT", "dependency would create a cycle", { cycle });
+    }
+
+    const dependency = await sequelize.transaction(async (t) => {
+      // 한쪽 태스크 삭제로 같이 지워졌던 링크가 남아 있으면 정리 후 새로 만든다 (unique key)
+      if (existing) await existing.destroy({ force: true, transaction: t });
+      return models.TaskDependency.create(
+        { ...pair, created_by: req.auth.userId },
+        { transaction: t }
+      );
+    });
+
+    return sendCreated(res, { dependency });
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/dependencies/{dependencyId}:
+ *   delete:
+ *     tags: [Tasks]
+ *     summary: Remove dependency
+ *     description: '이 태스크가 blocker 또는 blocked인 링크만 삭제 가능 (hard delete).'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: dependencyId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid dependencyId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / dependency not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.delete(
+  "/:taskId/dependencies/:dependencyId",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 30,
+    keyGenerator: (req) => `rl:tasks:dependencies:${req.auth.userId}:${req.params.taskId}`,
+  }),
+  async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+    const dependencyId = Number(req.params.dependencyId);
+    if (!dependencyId) return sendError(res, "BAD_REQUEST", "invalid dependencyId");
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const dependency = await models.TaskDependency.findOne({
+      where: {
+        id: dependencyId,
+        [Op.or]: [{ blocker_task_id: taskId }, { blocked_task_id: taskId }],
+      },
+    });
+    if (!dependency) return sendError(res, "RESOURCE_NOT_FOUND", "dependency not found");
+
+    await dependency.destroy({ force: true });
+    return sendNoContent(res);
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/recurrence:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Get task recurrence rule
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [recurrence]
+ *               properties:
+ *                 recurrence:
+ *                   $ref: "#/components/schemas/TaskRecurrence"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / recurrence not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   put:
+ *     tags: [Tasks]
+ *     summary: Set task recurrence rule
+ *     description: |
+ *       반복 규칙 설정. 반복 중이 아니면 이 태스크가 첫 인스턴스(due_at 기준)가 되고, 이미 반복 중이면 시리즈 규칙만 교체한다.
+ *       - rrule(FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT) 또는 같은 내용의 필드로 지정
+ *       - weekdays/monthDay 생략 시 첫 인스턴스 due_at의 요일/날짜, 짧은 달은 말일
+ *       - 마지막 인스턴스가 DONE 카테고리가 되거나, 스케줄 작업(npm run tasks:recur)에서 마지막 인스턴스 마감이 지나면 다음 인스턴스 생성 (담당자/우선순위/태그 유지)
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rrule: { type: string, example: "FREQ=WEEKLY;BYDAY=MO;COUNT=12" }
+ *               freq: { type: string, enum: [DAILY, WEEKLY, MONTHLY], example: "WEEKLY" }
+ *               interval: { type: integer, minimum: 1, maximum: 99, default: 1 }
+ *               weekdays: { type: array, items: { type: string, enum: [MO, TU, WE, TH, FR, SA, SU] }, example: ["MO"] }
+ *               monthDay: { type: integer, minimum: 1, maximum: 31 }
+ *               until: { type: string, example: "2026-12-31", description: "until과 count는 함께 쓸 수 없음" }
+ *               count: { type: integer, minimum: 1, maximum: 1000, description: "전체 인스턴스 수 (첫 인스턴스 포함)" }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [recurrence]
+ *               properties:
+ *                 recurrence:
+ *                   $ref: "#/components/schemas/TaskRecurrence"
+ *       400:
+ *         description: BAD_REQUEST (invalid taskId / invalid freq, interval, weekdays, monthDay, until, count / unsupported RRULE part / task dueAt required)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   delete:
+ *     tags: [Tasks]
+ *     summary: Stop task recurrence
+ *     description: '시리즈 반복 중지. 이미 만들어진 인스턴스는 그대로 둔다.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found / recurrence not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/:taskId/recurrence")
+  .get(async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const series = await findRecurrence(task);
+    if (!series) return sendError(res, "RESOURCE_NOT_FOUND", "recurrence not found");
+
+    return sendOk(res, { recurrence: presentRecurrence(series) });
+  })
+  .put(
+    requireWorkspaceRole("MEMBER"),
+    rateLimit({
+      windowSec: 60,
+      max: 20,
+      keyGenerator: (req) => `rl:tasks:recurrence:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    async (req, res) => {
+      const project = await loadProjectOr404(req, res);
+      if (!project) return;
+
+      const taskId = Number(req.params.taskId);
+      if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+      const task = await models.Task.findOne({
+        where: { id: taskId, project_id: project.id, deleted_at: null },
+      });
+      if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+      const parsed = parseRecurrenceBody(req.body);
+      if (parsed.error) return sendError(res, parsed.error.code, parsed.error.message);
+
+      const result = await sequelize.transaction((t) =>
+        setRecurrence(task, parsed.rule, { actorId: req.auth.userId, transaction: t })
+      );
+      if (result.error) return sendError(res, result.error.code, result.error.message);
+
+      return sendOk(res, { recurrence: presentRecurrence(result.recurrence) });
+    }
+  )
+  .delete(
+    requireWorkspaceRole("MEMBER"),
+    rateLimit({
+      windowSec: 60,
+      max: 20,
+      keyGenerator: (req) => `rl:tasks:recurrence:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    async (req, res) => {
+      const project = await loadProjectOr404(req, res);
+      if (!project) return;
+
+      const taskId = Number(req.params.taskId);
+      if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+      const task = await models.Task.findOne({
+        where: { id: taskId, project_id: project.id, deleted_at: null },
+      });
+      if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+      const series = await findRecurrence(task);
+      if (!series) return sendError(res, "RESOURCE_NOT_FOUND", "recurrence not found");
+
+      // soft delete = 반복 중지 (인스턴스의 recurrence_id는 이력용으로 남김)
+      await series.destroy();
+      return sendNoContent(res);
+    }
+  );
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/follow:
+ *   put:
+ *     tags: [Tasks]
+ *     summary: Follow task
+ *     description: '팔로우하면 태스크 상태 변경/댓글 알림을 받는다. 읽기 권한(VIEWER)만 있어도 가능, 이미 팔로우 중이면 그대로 200'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [following]
+ *               properties:
+ *                 following: { type: boolean, example: true }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   delete:
+ *     tags: [Tasks]
+ *     summary: Unfollow task
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content (팔로우 중이 아니어도 204)
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/:taskId/follow")
+  .put(
+    rateLimit({
+      windowSec: 60,
+      max: 30,
+      keyGenerator: (req) => `rl:tasks:follow:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    async (req, res) => {
+      const project = await loadProjectOr404(req, res);
+      if (!project) return;
+
+      const taskId = Number(req.params.taskId);
+      if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+      const task = await models.Task.findOne({
+        where: { id: taskId, project_id: project.id, deleted_at: null },
+      });
+      if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+      await models.TaskFollower.findOrCreate({
+        where: { task_id: task.id, user_id: req.auth.userId },
+        defaults: { task_id: task.id, user_id: req.auth.userId },
+      });
+      return sendOk(res, { following: true });
+    }
+  )
+  .delete(
+    rateLimit({
+      windowSec: 60,
+      max: 30,
+      keyGenerator: (req) => `rl:tasks:follow:${req.auth.userId}:${req.params.taskId}`,
+    }),
+    async (req, res) => {
+      const project = await loadProjectOr404(req, res);
+      if (!project) return;
+
+      const taskId = Number(req.params.taskId);
+      if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+      const task = await models.Task.findOne({
+        where: { id: taskId, project_id: project.id, deleted_at: null },
+      });
+      if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+      await models.TaskFollower.destroy({ where: { task_id: task.id, user_id: req.auth.userId } });
+      return sendNoContent(res);
+    }
+  );
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/move:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Move task to another project
+ *     description: '같은 워크스페이스의 다른 프로젝트로 이동. 댓글/태그 연결은 그대로 유지. 태그가 워크스페이스 단위라 다른 워크스페이스로는 이동 불가. 하위 태스크도 함께 이동하며, 하위 태스크 단독 이동은 불가. UPDATE(project_id) 이력 기록.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [projectId]
+ *             properties:
+ *               projectId: { type: integer, description: "target project", example: 11 }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [task]
+ *               properties:
+ *                 task:
+ *                   $ref: "#/components/schemas/Task"
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / task already in project / cannot move tasks across workspaces / subtask cannot be moved alone)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/:taskId/move",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 30,
+    keyGenerator: (req) => `rl:tasks:move:${req.auth.userId}:${req.params.taskId}`,
+  }),
+  async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const target = await loadTargetProject(req.workspace.id, req.body?.projectId);
+    if (target.error) return sendError(res, target.error.code, target.error.message);
+    if (Number(target.project.id) === Number(project.id)) {
+      return sendError(res, "BAD_REQUEST", "task already in project");
+    }
+    const notMovable = checkMovable(task);
+    if (notMovable) return sendError(res, notMovable.code, notMovable.message);
+
+    await sequelize.transaction((t) =>
+      moveTask(task, target.project, { actorId: req.auth.userId, transaction: t })
+    );
+
+    const [presented] = await presentTasks([task]);
+    return sendOk(res, { task: presented });
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/duplicate:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Duplicate task
+ *     description: '새 태스크로 복제 (작성자=요청자, status=대상 프로젝트 워크플로우 기본 상태, 하위 태스크는 제외). 태그 연결은 항상 복사, 댓글은 includeComments=true일 때만 복사(원 작성자 유지). projectId 생략 시 같은 프로젝트, 다른 워크스페이스 프로젝트는 불가.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId: { type: integer, description: "target project (default: same project)", example: 11 }
+ *               title: { type: string, description: "default: original title", example: "Implement login (copy)" }
+ *               includeComments: { type: boolean, default: false }
+ *     responses:
+ *       201:
+ *         description: created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [task, copiedTags, copiedComments]
+ *               properties:
+ *                 task:
+ *                   $ref: "#/components/schemas/Task"
+ *                 copiedTags: { type: integer, example: 2 }
+ *                 copiedComments: { type: integer, example: 0 }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid title / cannot move tasks across workspaces)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/:taskId/duplicate",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 30,
+    keyGenerator: (req) => `rl:tasks:duplicate:${req.auth.userId}:${req.params.projectId}`,
+  }),
+  async (req, res) => {
+    const project = await loadProjectOr404(req, res);
+    if (!project) return;
+
+    const taskId = Number(req.params.taskId);
+    if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+    const task = await models.Task.findOne({
+      where: { id: taskId, project_id: project.id, deleted_at: null },
+    });
+    if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+    const { projectId, title, includeComments } = req.body ?? {};
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return sendError(res, "BAD_REQUEST", "invalid title");
+    }
+
+    let targetProject = project;
+    if (projectId !== undefined) {
+      const target = await loadTargetProject(req.workspace.id, projectId);
+      if (target.error) return sendError(res, target.error.code, target.error.message);
+      targetProject = target.project;
+    }
+
+    const result = await sequelize.transaction((t) =>
+      duplicateTask(task, targetProject, {
+        actorId: req.auth.userId,
+        title,
+        includeComments: includeComments === true,
+        transaction: t,
+      })
+    );
+
+    const [presented] = await presentTasks([result.task]);
+    return sendCreated(res, { ...result, task: presented });
+  }
+);
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/projects/{projectId}/tasks/{taskId}/history:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: List task change history
+ *     description: 'CREATE/UPDATE/DELETE 이력. UPDATE는 변경된 필드마다 1건(old_value/new_value). Allowed sort fields: id, created_at'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'Page number (1-base)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *         description: 'Page size (max 50)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,DESC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at'
+ *       - in: query
+ *         name: field
+ *         schema: { type: string, enum: [title, description, status, priority, due_at, assignee_id, project_id] }
+ *         description: 'Filter by changed field'
+ *       - in: query
+ *         name: authorId
+ *         schema: { type: integer }
+ *         description: 'Filter by actor_id'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: "#/components/schemas/TaskHistory"
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 5 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "created_at,DESC" }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId / invalid taskId / invalid field)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found / task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/:taskId/history", async (req, res) => {
+  const project = await loadProjectOr404(req, res);
+  if (!project) return;
+
+  const projectId = Number(req.params.projectId);
+  const taskId = Number(req.params.taskId);
+  if (!taskId) return sendError(res, "BAD_REQUEST", "invalid taskId");
+
+  const task = await models.Task.findOne({
+    where: { id: taskId, project_id: projectId, deleted_at: null },
+  });
+  if (!task) return sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, ["id", "created_at"], "created_at,DESC");
+  const f = parseFilters(req.query);
+
+  const where = { task_id: taskId };
+
+  if (req.query.field !== undefined) {
+    if (!TRACKED_TASK_FIELDS.includes(req.query.field)) {
+      return sendError(res, "BAD_REQUEST", "invalid field");
+    }
+    where.field = req.query.field;
+  }
+
+  if (f.authorId) {
+    const aid = Number(f.authorId);
+    if (Number.isFinite(aid) && aid > 0) where.actor_id = aid;
+  }
+
+  const result = await models.TaskHistory.findAndCountAll({
+    where,
+    include: [{ model: models.User, as: "actor", attributes: ["id", "name", "email"] }],
+    order: [...order, ["id", order[0][1]]],
+    limit,
+    offset,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
 export default router;
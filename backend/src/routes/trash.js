@@ -0,0 +1,736 @@
+// src/routes/trash.js
+import express from "express";
+import { Op } from "sequelize";
+import { models, sequelize } from "../models/index.js";
+import { sendOk, sendError, sendNoContent } from "../utils/http.js";
+import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import {
+  restoreTasks,
+  restoreProject,
+  restoreWorkspace,
+  purgeTasks,
+  purgeProjects,
+  purgeWorkspace,
+} from "../services/trash.js";
+import { presentTasks } from "../services/taskMutations.js";
+
+/**
+ * 휴지통 (soft delete 된 리소스 조회/복구/영구삭제)
+ * - router: /api/workspaces/:workspaceId/trash (프로젝트/태스크)
+ * - workspaceTrashRouter: /api/trash/workspaces (삭제된 워크스페이스는 워크스페이스 스코프로 접근 불가)
+ */
+const router = express.Router({ mergeParams: true });
+export const workspaceTrashRouter = express.Router();
+
+const DELETER = { model: models.User, as: "deleter", attributes: ["id", "name", "email"] };
+
+function applyDeletedRange(where, f) {
+  where.deleted_at = { [Op.ne]: null };
+  if (f.dateFrom) where.deleted_at[Op.gte] = new Date(`${f.dateFrom}T00:00:00.000Z`);
+  if (f.dateTo) where.deleted_at[Op.lte] = new Date(`${f.dateTo}T23:59:59.999Z`);
+}
+
+async function loadDeletedProjectOr4xx(req, res) {
+  const projectId = Number(req.params.projectId);
+  if (!projectId) {
+    sendError(res, "BAD_REQUEST", "invalid projectId");
+    return null;
+  }
+
+  const project = await models.Project.findOne({
+    where: { id: projectId, workspace_id: req.workspace.id },
+    paranoid: false,
+  });
+  if (!project) {
+    sendError(res, "RESOURCE_NOT_FOUND", "project not found");
+    return null;
+  }
+  if (!project.deleted_at) {
+    sendError(res, "STATE_CONFLICT", "project is not in trash");
+    return null;
+  }
+  return project;
+}
+
+async function loadDeletedTaskOr4xx(req, res) {
+  const taskId = Number(req.params.taskId);
+  if (!taskId) {
+    sendError(res, "BAD_REQUEST", "invalid taskId");
+    return null;
+  }
+
+  const task = await models.Task.findOne({
+    where: { id: taskId },
+    include: [
+      {
+        model: models.Project,
+        as: "project",
+        where: { workspace_id: req.workspace.id },
+        paranoid: false,
+      },
+    ],
+    paranoid: false,
+  });
+  if (!task) {
+    sendError(res, "RESOURCE_NOT_FOUND", "task not found");
+    return null;
+  }
+  if (!task.deleted_at) {
+    sendError(res, "STATE_CONFLICT", "task is not in trash");
+    return null;
+  }
+  return task;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Trash
+ *     description: Soft-deleted resources (list / restore / purge)
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/projects:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List deleted projects
+ *     description: 'deleted_at != null 프로젝트. deleter(삭제한 사용자) 포함. Allowed sort fields: id, deleted_at, name'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "deleted_at,DESC" }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by name (LIKE)'
+ *       - in: query
+ *         name: dateFrom
+ *         schema: { type: string, format: date }
+ *         description: 'deleted_at >= dateFrom'
+ *       - in: query
+ *         name: dateTo
+ *         schema: { type: string, format: date }
+ *         description: 'deleted_at <= dateTo'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/Project" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 2 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "deleted_at,DESC" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/projects", async (req, res) => {
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, ["id", "deleted_at", "name"], "deleted_at,DESC");
+  const f = parseFilters(req.query);
+
+  const where = { workspace_id: req.workspace.id };
+  applyDeletedRange(where, f);
+  if (f.keyword) where.name = { [Op.like]: `%${f.keyword}%` };
+
+  const result = await models.Project.findAndCountAll({
+    where,
+    include: [DELETER],
+    paranoid: false,
+    order,
+    limit,
+    offset,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/tasks:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List deleted tasks
+ *     description: 'deleted_at != null 태스크 (삭제된 프로젝트의 태스크 포함). Allowed sort fields: id, deleted_at, title'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "deleted_at,DESC" }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by title (LIKE)'
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: dateFrom
+ *         schema: { type: string, format: date }
+ *         description: 'deleted_at >= dateFrom'
+ *       - in: query
+ *         name: dateTo
+ *         schema: { type: string, format: date }
+ *         description: 'deleted_at <= dateTo'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/Task" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 4 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "deleted_at,DESC" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/tasks", async (req, res) => {
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, ["id", "deleted_at", "title"], "deleted_at,DESC");
+  const f = parseFilters(req.query);
+
+  const where = {};
+  applyDeletedRange(where, f);
+  if (f.keyword) where.title = { [Op.like]: `%${f.keyword}%` };
+
+  if (f.projectId) {
+    const pid = Number(f.projectId);
+    if (Number.isFinite(pid) && pid > 0) where.project_id = pid;
+  }
+
+  const result = await models.Task.findAndCountAll({
+    where,
+    include: [
+      {
+        model: models.Project,
+        as: "project",
+        where: { workspace_id: req.workspace.id },
+        attributes: ["id", "name", "deleted_at"],
+        paranoid: false,
+      },
+      DELETER,
+    ],
+    paranoid: false,
+    order,
+    limit,
+    offset,
+    distinct: true,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/projects/{projectId}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore deleted project (ADMIN)
+ *     description: '프로젝트와 함께 삭제된 태스크(댓글/태그 연결 포함)도 복구한다. (프로젝트 삭제 전에 개별 삭제된 태스크는 제외)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [project, restoredTasks]
+ *               properties:
+ *                 project: { $ref: "#/components/schemas/Project" }
+ *                 restoredTasks: { type: integer, example: 4 }
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (project is not in trash)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post("/projects/:projectId/restore", requireWorkspaceRole("ADMIN"), async (req, res) => {
+  const project = await loadDeletedProjectOr4xx(req, res);
+  if (!project) return;
+
+  const { restoredTasks } = await sequelize.transaction((t) =>
+    restoreProject(project, { actorId: req.auth.userId, transaction: t })
+  );
+
+  await project.reload({ paranoid: false });
+  return sendOk(res, { project, restoredTasks });
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/tasks/{taskId}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore deleted task
+ *     description: '태스크와 함께 삭제된 하위 태스크/댓글/태그 연결도 복구한다. 상위 프로젝트나 부모 태스크가 삭제 상태면 STATE_CONFLICT (먼저 복구).'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [task]
+ *               properties:
+ *                 task: { $ref: "#/components/schemas/Task" }
+ *       400:
+ *         description: BAD_REQUEST (invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (task is not in trash / project is deleted / parent task is deleted)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post("/tasks/:taskId/restore", requireWorkspaceRole("MEMBER"), async (req, res) => {
+  const task = await loadDeletedTaskOr4xx(req, res);
+  if (!task) return;
+
+  if (task.project.deleted_at) {
+    return sendError(res, "STATE_CONFLICT", "project is deleted; restore project first");
+  }
+  if (task.parent_task_id) {
+    const parent = await models.Task.findByPk(task.parent_task_id, { paranoid: false });
+    if (parent?.deleted_at) {
+      return sendError(res, "STATE_CONFLICT", "parent task is deleted; restore parent first");
+    }
+  }
+
+  await sequelize.transaction((t) =>
+    restoreTasks([task], { actorId: req.auth.userId, transaction: t })
+  );
+
+  // 다른 태스크 응답과 같은 모양 (progress, blockedBy/blocking, descriptionHtml)
+  const [restored] = await presentTasks([await models.Task.findByPk(task.id)]);
+  return sendOk(res, { task: restored });
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/projects/{projectId}:
+ *   delete:
+ *     tags: [Trash]
+ *     summary: Permanently delete project (ADMIN)
+ *     description: '휴지통에 있는 프로젝트만 가능. 하위 태스크/댓글/태그 연결/이력까지 hard delete.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content (purged)
+ *       400:
+ *         description: BAD_REQUEST (invalid projectId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (project is not in trash)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.delete("/projects/:projectId", requireWorkspaceRole("ADMIN"), async (req, res) => {
+  const project = await loadDeletedProjectOr4xx(req, res);
+  if (!project) return;
+
+  await sequelize.transaction((t) => purgeProjects([project.id], { transaction: t }));
+  return sendNoContent(res);
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/trash/tasks/{taskId}:
+ *   delete:
+ *     tags: [Trash]
+ *     summary: Permanently delete task (ADMIN)
+ *     description: '휴지통에 있는 태스크만 가능. 하위 태스크/댓글/태그 연결/이력까지 hard delete.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content (purged)
+ *       400:
+ *         description: BAD_REQUEST (invalid taskId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < ADMIN)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (task not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (task is not in trash)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.delete("/tasks/:taskId", requireWorkspaceRole("ADMIN"), async (req, res) => {
+  const task = await loadDeletedTaskOr4xx(req, res);
+  if (!task) return;
+
+  await sequelize.transaction((t) => purgeTasks([task.id], { transaction: t }));
+  return sendNoContent(res);
+});
+
+// 삭제된 워크스페이스: owner 본인 또는 시스템 ADMIN만
+async function loadDeletedWorkspaceOr4xx(req, res) {
+  const workspaceId = Number(req.params.workspaceId);
+  if (!workspaceId) {
+    sendError(res, "BAD_REQUEST", "invalid workspaceId");
+    return null;
+  }
+
+  const ws = await models.Workspace.findByPk(workspaceId, { paranoid: false });
+  if (!ws) {
+    sendError(res, "RESOURCE_NOT_FOUND", "workspace not found");
+    return null;
+  }
+  if (req.auth.role !== "ADMIN" && ws.owner_id !== req.auth.userId) {
+    sendError(res, "FORBIDDEN", "workspace owner only");
+    return null;
+  }
+  if (!ws.deleted_at) {
+    sendError(res, "STATE_CONFLICT", "workspace is not in trash");
+    return null;
+  }
+  return ws;
+}
+
+/**
+ * @swagger
+ * /trash/workspaces:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List my deleted workspaces
+ *     description: '내가 owner인 삭제된 워크스페이스 (시스템 ADMIN은 전체). Allowed sort fields: id, deleted_at, name'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "deleted_at,DESC" }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by name (LIKE)'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/Workspace" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 1 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "deleted_at,DESC" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+workspaceTrashRouter.get("/", async (req, res) => {
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, ["id", "deleted_at", "name"], "deleted_at,DESC");
+  const f = parseFilters(req.query);
+
+  const where = {};
+  applyDeletedRange(where, f);
+  if (req.auth.role !== "ADMIN") where.owner_id = req.auth.userId;
+  if (f.keyword) where.name = { [Op.like]: `%${f.keyword}%` };
+
+  const result = await models.Workspace.findAndCountAll({
+    where,
+    include: [DELETER],
+    paranoid: false,
+    order,
+    limit,
+    offset,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
+/**
+ * @swagger
+ * /trash/workspaces/{workspaceId}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore deleted workspace (OWNER)
+ *     description: '워크스페이스와 함께 삭제된 프로젝트/태스크/댓글/태그 연결도 복구한다.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [workspace, restoredProjects, restoredTasks]
+ *               properties:
+ *                 workspace: { $ref: "#/components/schemas/Workspace" }
+ *                 restoredProjects: { type: integer, example: 2 }
+ *                 restoredTasks: { type: integer, example: 8 }
+ *       400:
+ *         description: BAD_REQUEST (invalid workspaceId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN (workspace owner only)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (workspace not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (workspace is not in trash)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+workspaceTrashRouter.post("/:workspaceId/restore", async (req, res) => {
+  const ws = await loadDeletedWorkspaceOr4xx(req, res);
+  if (!ws) return;
+
+  const restored = await sequelize.transaction((t) =>
+    restoreWorkspace(ws, { actorId: req.auth.userId, transaction: t })
+  );
+
+  await ws.reload({ paranoid: false });
+  return sendOk(res, { workspace: ws, ...restored });
+});
+
+/**
+ * @swagger
+ * /trash/workspaces/{workspaceId}:
+ *   delete:
+ *     tags: [Trash]
+ *     summary: Permanently delete workspace (OWNER)
+ *     description: '휴지통에 있는 워크스페이스만 가능. 프로젝트/태스크/댓글/태그/멤버십까지 hard delete.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: No Content (purged)
+ *       400:
+ *         description: BAD_REQUEST (invalid workspaceId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN (workspace owner only)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (workspace not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (workspace is not in trash)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+workspaceTrashRouter.delete("/:workspaceId", async (req, res) => {
+  const ws = await loadDeletedWorkspaceOr4xx(req, res);
+  if (!ws) return;
+
+  await sequelize.transaction((t) => purgeWorkspace(ws.id, { transaction: t }));
+  return sendNoContent(res);
+});
+
+export default router;
@@ -4,11 +4,42 @@ import { rateLimit } from "../middlewares/rateLimit.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
 import { models } from "../models/index.js";
 import { Op } from "sequelize";
-import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  enumSortFields,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
+import { buildTaskFilters, CROSS_PROJECT_TASK_SORT_FIELDS } from "../services/taskFilters.js";
+import { parseReminderBody, presentReminderSettings } from "../services/reminders.js";
+import {
+  NOTIFICATION_TYPES,
+  presentNotification,
+  countUnread,
+  markAllRead,
+} from "../services/notifications.js";
 
 const router = Router();
 const { User } = models;
 
+function presentMention(m) {
+  const { comment } = m;
+  return {
+    id: m.id,
+    commentId: comment.id,
+    content: comment.content,
+    author: comment.author ? { id: comment.author.id, name: comment.author.name } : null,
+    task: { id: comment.task.id, title: comment.task.title },
+    projectId: comment.task.project.id,
+    workspaceId: comment.task.project.workspace_id,
+    createdAt: comment.created_at,
+  };
+}
+
 function userPublic(u) {
   return {
     id: u.id,
@@ -189,6 +220,739 @@ router
     }
   );
 
+/**
+ * @swagger
+ * /users/me/reminders:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get my due-date reminder settings
+ *     security: [{ cookieAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [reminders]
+ *               properties:
+ *                 reminders:
+ *                   $ref: "#/components/schemas/ReminderSettings"
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: USER_NOT_FOUND
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
+ *   put:
+ *     tags: [Users]
+ *     summary: Update my due-date reminder settings
+ *     description: |
+ *       담당 태스크 마감 몇 시간 전에 알림을 받을지 설정 (`npm run tasks:remind` 워커가 발송).
+ *       - leadHours: 1~168 정수, 최대 5개. [] = 마감 전 알림 끔 (마감 지남 알림은 항상 발송), null = 서버 기본값(REMINDER_LEAD_HOURS)
+ *       - 임계값마다 태스크당 한 번만 발송, 마감이 바뀌면 다시 발송
+ *     security: [{ cookieAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [leadHours]
+ *             properties:
+ *               leadHours:
+ *                 type: array
+ *                 nullable: true
+ *                 maxItems: 5
+ *                 items: { type: integer, minimum: 1, maximum: 168 }
+ *                 example: [24, 1]
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [reminders]
+ *               properties:
+ *                 reminders:
+ *                   $ref: "#/components/schemas/ReminderSettings"
+ *       400:
+ *         description: BAD_REQUEST (leadHours required / invalid leadHours)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: USER_NOT_FOUND
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router
+  .route("/me/reminders")
+  .get(requireAuth, async (req, res) => {
+    const u = await User.findOne({ where: { id: req.auth.userId } });
+    if (!u) return sendError(res, "USER_NOT_FOUND", "user not found");
+
+    return sendOk(res, { reminders: presentReminderSettings(u) });
+  })
+  .put(
+    requireAuth,
+    rateLimit({
+      windowSec: 60,
+      max: 30,
+      keyGenerator: (req) => `rl:users:me:reminders:${req.auth.userId}`,
+    }),
+    async (req, res) => {
+      const parsed = parseReminderBody(req.body);
+      if (parsed.error) return sendError(res, parsed.error.code, parsed.error.message);
+
+      const u = await User.findOne({ where: { id: req.auth.userId } });
+      if (!u) return sendError(res, "USER_NOT_FOUND", "user not found");
+
+      u.reminder_lead_hours = parsed.value;
+      await u.save();
+
+      return sendOk(res, { reminders: presentReminderSettings(u) });
+    }
+  );
+
+/**
+ * @swagger
+ * /users/me/mentions:
+ *   get:
+ *     tags: [Users]
+ *     summary: List comments that mention me
+ *     description: '최신 멘션순. 지금 멤버인 워크스페이스의, 삭제되지 않은 댓글/태스크/프로젝트만. Pagination(1-base) 또는 cursor 모드'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: workspaceId
+ *         schema: { type: integer }
+ *         description: 'Only mentions in this workspace'
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/Mention" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 4 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "id,DESC" }
+ *       400:
+ *         description: INVALID_QUERY_PARAM (invalid cursor)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/me/mentions", requireAuth, async (req, res) => {
+  const userId = req.auth.userId;
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const sort = "id,DESC";
+  const cursor = parseCursor(req.query, sort);
+  if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+
+  // 지금 멤버인 (삭제되지 않은) 워크스페이스만: 탈퇴한 곳의 멘션은 보이지 않는다
+  const memberships = await models.WorkspaceMember.findAll({
+    where: { user_id: userId },
+    attributes: ["workspace_id"],
+    include: [{ model: models.Workspace, as: "workspace", where: { deleted_at: null }, attributes: [] }],
+  });
+  let workspaceIds = memberships.map((m) => m.workspace_id);
+
+  const workspaceId = Number(req.query.workspaceId);
+  if (req.query.workspaceId !== undefined && Number.isFinite(workspaceId) && workspaceId > 0) {
+    workspaceIds = workspaceIds.filter((id) => id === workspaceId);
+  }
+
+  const where = { user_id: userId };
+  const include = [
+    {
+      model: models.Comment,
+      as: "comment",
+      where: { deleted_at: null },
+      attributes: ["id", "task_id", "content", "created_at"],
+      include: [
+        { model: models.User, as: "author", attributes: ["id", "name"] },
+        {
+          model: models.Task,
+          as: "task",
+          where: { deleted_at: null },
+          attributes: ["id", "title", "project_id"],
+          include: [
+            {
+              model: models.Project,
+              as: "project",
+              where: { workspace_id: { [Op.in]: workspaceIds }, deleted_at: null },
+              attributes: ["id", "workspace_id"],
+            },
+          ],
+        },
+      ],
+    },
+  ];
+
+  if (cursor) {
+    const rows = await models.CommentMention.findAll({
+      where: withCursor(where, cursor),
+      include,
+      order: cursor.order,
+      limit: cursor.limit + 1,
+    });
+    return sendOk(res, toCursorResult(rows, cursor, presentMention));
+  }
+
+  const { rows, count } = await models.CommentMention.findAndCountAll({
+    where,
+    include,
+    order: [["id", "DESC"]],
+    limit,
+    offset,
+  });
+  return sendOk(res, toPageResult({ rows: rows.map(presentMention), count }, page, size, sort));
+});
+
+/**
+ * @swagger
+ * /users/me/notifications:
+ *   get:
+ *     tags: [Users]
+ *     summary: List my notifications
+ *     description: '최신순. unreadCount(전체 안 읽은 수)를 같이 반환. Pagination(1-base) 또는 cursor 모드'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema: { type: boolean }
+ *         description: 'true면 안 읽은 알림만'
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [TASK_ASSIGNED, MENTIONED, WORKSPACE_ADDED, TASK_STATUS_CHANGED, TASK_COMMENTED, TASK_DUE_SOON, TASK_OVERDUE] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, unreadCount]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/Notification" }
+ *                 unreadCount: { type: integer, example: 3 }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 42 }
+ *                 totalPages: { type: integer, example: 3 }
+ *                 sort: { type: string, example: "id,DESC" }
+ *       400:
+ *         description: INVALID_QUERY_PARAM (invalid unread / invalid type / invalid cursor)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/me/notifications", requireAuth, async (req, res) => {
+  const userId = req.auth.userId;
+
+  const where = { user_id: userId };
+  if (req.query.unread !== undefined) {
+    if (!["true", "false"].includes(String(req.query.unread))) {
+      return sendError(res, "INVALID_QUERY_PARAM", "unread must be true or false");
+    }
+    if (String(req.query.unread) === "true") where.read_at = null;
+  }
+  if (req.query.type !== undefined) {
+    if (!NOTIFICATION_TYPES.includes(String(req.query.type))) {
+      return sendError(res, "INVALID_QUERY_PARAM", "invalid type");
+    }
+    where.type = String(req.query.type);
+  }
+
+  const include = [{ model: models.User, as: "actor", attributes: ["id", "name"] }];
+  const unreadCount = await countUnread(userId);
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const sort = "id,DESC";
+  const cursor = parseCursor(req.query, sort);
+  if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+  if (cursor) {
+    const rows = await models.Notification.findAll({
+      where: withCursor(where, cursor),
+      include,
+      order: cursor.order,
+      limit: cursor.limit + 1,
+    });
+    return sendOk(res, { ...toCursorResult(rows, cursor, presentNotification), unreadCount });
+  }
+
+  const { rows, count } = await models.Notification.findAndCountAll({
+    where,
+    include,
+    order: [["id", "DESC"]],
+    limit,
+    offset,
+  });
+  return sendOk(res, {
+    ...toPageResult({ rows: rows.map(presentNotification), count }, page, size, sort),
+    unreadCount,
+  });
+});
+
+/**
+ * @swagger
+ * /users/me/notifications/unread-count:
+ *   get:
+ *     tags: [Users]
+ *     summary: Count my unread notifications
+ *     security: [{ cookieAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [unreadCount]
+ *               properties:
+ *                 unreadCount: { type: integer, example: 3 }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/me/notifications/unread-count", requireAuth, async (req, res) => {
+  return sendOk(res, { unreadCount: await countUnread(req.auth.userId) });
+});
+
+/**
+ * @swagger
+ * /users/me/notifications/read-all:
+ *   post:
+ *     tags: [Users]
+ *     summary: Mark all my notifications as read
+ *     security: [{ cookieAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [updated, unreadCount]
+ *               properties:
+ *                 updated: { type: integer, example: 3 }
+ *                 unreadCount: { type: integer, example: 0 }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/me/notifications/read-all",
+  requireAuth,
+  rateLimit({
+    windowSec: 60,
+    max: 30,
+    keyGenerator: (req) => `rl:users:me:notifications:${req.auth.userId}`,
+  }),
+  async (req, res) => {
+    const updated = await markAllRead(req.auth.userId);
+    return sendOk(res, { updated, unreadCount: await countUnread(req.auth.userId) });
+  }
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/{notificationId}/read:
+ *   post:
+ *     tags: [Users]
+ *     summary: Mark notification as read
+ *     description: '이미 읽은 알림이면 read_at 그대로 200'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [notification, unreadCount]
+ *               properties:
+ *                 notification: { $ref: "#/components/schemas/Notification" }
+ *                 unreadCount: { type: integer, example: 2 }
+ *       400:
+ *         description: BAD_REQUEST (invalid notificationId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (notification not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/me/notifications/:notificationId/read",
+  requireAuth,
+  rateLimit({
+    windowSec: 60,
+    max: 120,
+    keyGenerator: (req) => `rl:users:me:notifications:read:${req.auth.userId}`,
+  }),
+  async (req, res) => {
+    const notificationId = Number(req.params.notificationId);
+    if (!notificationId) return sendError(res, "BAD_REQUEST", "invalid notificationId");
+
+    // 다른 사용자의 알림은 존재 여부도 드러내지 않음
+    const n = await models.Notification.findOne({
+      where: { id: notificationId, user_id: req.auth.userId },
+      include: [{ model: models.User, as: "actor", attributes: ["id", "name"] }],
+    });
+    if (!n) return sendError(res, "RESOURCE_NOT_FOUND", "notification not found");
+
+    if (!n.read_at) {
+      n.read_at = new Date();
+      await n.save();
+    }
+    return sendOk(res, {
+      notification: presentNotification(n),
+      unreadCount: await countUnread(req.auth.userId),
+    });
+  }
+);
+
+const MY_TASK_RELATIONS = ["all", "assigned", "created"];
+const MY_TASK_DUE = ["overdue", "dueSoon"];
+const DEFAULT_DUE_SOON_DAYS = 7;
+const MAX_DUE_SOON_DAYS = 30;
+
+/**
+ * @swagger
+ * /users/me/tasks:
+ *   get:
+ *     tags: [Users]
+ *     summary: List my tasks across all workspaces
+ *     description: '내가 멤버인 (삭제되지 않은) 워크스페이스 전체에서 나에게 할당됐거나 내가 만든 태스크. 각 태스크에 project(id, name)와 project.workspace(id, name) 포함. 공통 필터(keyword,status,priority,tagId,dueFrom/dueTo,projectId) + workspaceId/relation/due. Allowed sort fields: id, created_at, updated_at, due_at, priority, position (status는 프로젝트마다 워크플로우 순서가 달라 지원하지 않음)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,DESC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, updated_at, due_at, priority, position'
+ *       - in: query
+ *         name: relation
+ *         schema: { type: string, enum: [all, assigned, created], default: all }
+ *         description: 'assigned: assignee_id=me / created: created_by=me / all: 둘 중 하나'
+ *       - in: query
+ *         name: workspaceId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: due
+ *         schema: { type: string, enum: [overdue, dueSoon] }
+ *         description: 'overdue: due_at < now / dueSoon: now <= due_at <= now + dueSoonDays. 둘 다 DONE 카테고리 제외'
+ *       - in: query
+ *         name: dueSoonDays
+ *         schema: { type: integer, default: 7, minimum: 1, maximum: 30 }
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by title/description (LIKE)'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string }
+ *       - in: query
+ *         name: statusCategory
+ *         schema: { type: string, enum: [TODO, IN_PROGRESS, DONE] }
+ *       - in: query
+ *         name: priority
+ *         schema: { type: string, enum: [LOW, MEDIUM, HIGH] }
+ *       - in: query
+ *         name: tagId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: dueFrom
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: dueTo
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: "#/components/schemas/Task"
+ *                       - type: object
+ *                         properties:
+ *                           project:
+ *                             type: object
+ *                             properties:
+ *                               id: { type: integer, example: 10 }
+ *                               name: { type: string, example: "backend" }
+ *                               workspace:
+ *                                 type: object
+ *                                 properties:
+ *                                   id: { type: integer, example: 1 }
+ *                                   name: { type: string, example: "team-a" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 12 }
+ *                 totalPages: { type: integer, example: 1 }
+ *                 sort: { type: string, example: "created_at,DESC" }
+ *       400:
+ *         description: INVALID_QUERY_PARAM (invalid relation / due / dueSoonDays)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/me/tasks", requireAuth, async (req, res) => {
+  const userId = req.auth.userId;
+
+  const relation = String(req.query.relation ?? "all");
+  if (!MY_TASK_RELATIONS.includes(relation)) {
+    return sendError(res, "INVALID_QUERY_PARAM", `relation must be one of ${MY_TASK_RELATIONS.join(", ")}`);
+  }
+
+  const due = req.query.due === undefined ? null : String(req.query.due);
+  if (due !== null && !MY_TASK_DUE.includes(due)) {
+    return sendError(res, "INVALID_QUERY_PARAM", `due must be one of ${MY_TASK_DUE.join(", ")}`);
+  }
+
+  const dueSoonDays = parseInt(req.query.dueSoonDays ?? String(DEFAULT_DUE_SOON_DAYS), 10);
+  if (!Number.isInteger(dueSoonDays) || dueSoonDays < 1 || dueSoonDays > MAX_DUE_SOON_DAYS) {
+    return sendError(res, "INVALID_QUERY_PARAM", `dueSoonDays must be 1..${MAX_DUE_SOON_DAYS}`);
+  }
+
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, CROSS_PROJECT_TASK_SORT_FIELDS, "created_at,DESC");
+
+  const cursor = parseCursor(req.query, sort, { enums: enumSortFields(models.Task) });
+  if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+
+  // 내가 속한 (삭제되지 않은) 워크스페이스
+  const memberships = await models.WorkspaceMember.findAll({
+    where: { user_id: userId },
+    attributes: ["workspace_id"],
+    include: [{ model: models.Workspace, as: "workspace", where: { deleted_at: null }, attributes: [] }],
+  });
+  let workspaceIds = memberships.map((m) => m.workspace_id);
+
+  const workspaceId = Number(req.query.workspaceId);
+  if (req.query.workspaceId !== undefined && Number.isFinite(workspaceId) && workspaceId > 0) {
+    workspaceIds = workspaceIds.filter((id) => id === workspaceId);
+  }
+
+  if (workspaceIds.length === 0) {
+    return sendOk(
+      res,
+      cursor ? toCursorResult([], cursor) : toPageResult({ rows: [], count: 0 }, page, size, sort)
+    );
+  }
+
+  const { where, include: filterInclude } = buildTaskFilters(parseFilters(req.query));
+  const and = [];
+
+  if (relation === "assigned") and.push({ assignee_id: userId });
+  else if (relation === "created") and.push({ created_by: userId });
+  else and.push({ [Op.or]: [{ assignee_id: userId }, { created_by: userId }] });
+
+  if (due) {
+    const now = new Date();
+    and.push({ status_category: { [Op.ne]: "DONE" } });
+    and.push(
+      due === "overdue"
+        ? { due_at: { [Op.lt]: now } }
+        : { due_at: { [Op.gte]: now, [Op.lte]: new Date(now.getTime() + dueSoonDays * 86_400_000) } }
+    );
+  }
+  where[Op.and] = and;
+
+  const include = [
+    {
+      model: models.Project,
+      as: "project",
+      where: { workspace_id: { [Op.in]: workspaceIds }, deleted_at: null },
+      attributes: ["id", "name"],
+      include: [{ model: models.Workspace, as: "workspace", attributes: ["id", "name"] }],
+    },
+    ...filterInclude,
+  ];
+
+  // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+  if (cursor) {
+    const rows = await models.Task.findAll({
+      where: withCursor(where, cursor),
+      include,
+      order: cursor.order,
+      limit: cursor.limit + 1,
+    });
+    return sendOk(res, toCursorResult(rows, cursor));
+  }
+
+  const result = await models.Task.findAndCountAll({
+    where,
+    include,
+    order,
+    limit,
+    offset,
+    distinct: true,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
 /**
  * @swagger
  * /users:
@@ -260,6 +1024,14 @@ router
  *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
  *         description: 'Page size (max 50)'
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,DESC" }
  *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, updated_at, email, name, role, status'
@@ -368,6 +1140,18 @@ router
       ];
     }
 
+    // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+    const cursor = parseCursor(req.query, sort, { enums: enumSortFields(User) });
+    if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+    if (cursor) {
+      const rows = await User.findAll({
+        where: withCursor(where, cursor),
+        order: cursor.order,
+        limit: cursor.limit + 1,
+      });
+      return sendOk(res, toCursorResult(rows, cursor, userPublic));
+    }
+
     const result = await User.findAndCountAll({
       where,
       order,
@@ -0,0 +1,306 @@
+// src/routes/workspaceTasks.js
+import express from "express";
+import { models, sequelize } from "../models/index.js";
+import { sendOk, sendError } from "../utils/http.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  enumSortFields,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { requireWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { buildTaskFilters, CROSS_PROJECT_TASK_SORT_FIELDS } from "../services/taskFilters.js";
+import { parseBulkRequest, runBulkTaskOperations } from "../services/taskBulk.js";
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * 전제:
+ * app.js에서 아래가 먼저 적용됨
+ * app.use("/api/workspaces/:workspaceId", requireAuth, requireWorkspaceMember());
+ *
+ * => req.auth 존재
+ * => req.workspace 존재 (deleted_at null까지 확인됨)
+ */
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/tasks:
+ *   get:
+ *     tags: [Tasks]
+ *     summary: Search tasks across all projects in workspace
+ *     description: 'deleted_at=null 프로젝트의 deleted_at=null 태스크만 반환. 각 태스크에 project(id, name) 포함. Pagination(1-base) + sort + filters(keyword,status,priority,assigneeId,tagId,dueFrom/dueTo,projectId). Allowed sort fields: id, created_at, updated_at, due_at, priority, position (status는 프로젝트마다 워크플로우 순서가 달라 지원하지 않음)'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *         description: 'Page number (1-base)'
+ *       - in: query
+ *         name: size
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
+ *         description: 'Page size (max 50)'
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: "created_at,DESC" }
+ *         description: 'Sort format: field,(ASC|DESC). Allowed fields: id, created_at, updated_at, due_at, priority, position'
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 'Search by title/description (LIKE)'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string }
+ *         description: 'Filter by workflow status key (e.g. TODO, DOING, IN_REVIEW)'
+ *       - in: query
+ *         name: statusCategory
+ *         schema: { type: string, enum: [TODO, IN_PROGRESS, DONE] }
+ *         description: 'Filter by status category'
+ *       - in: query
+ *         name: priority
+ *         schema: { type: string, enum: [LOW, MEDIUM, HIGH] }
+ *         description: 'Filter by task priority'
+ *       - in: query
+ *         name: assigneeId
+ *         schema: { type: integer }
+ *         description: 'Filter by assignee_id'
+ *       - in: query
+ *         name: tagId
+ *         schema: { type: integer }
+ *         description: 'Tasks having this tag attached'
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: integer }
+ *         description: 'Only tasks in this project'
+ *       - in: query
+ *         name: dueFrom
+ *         schema: { type: string, format: date }
+ *         description: 'due_at >= dueFrom (YYYY-MM-DD)'
+ *       - in: query
+ *         name: dueTo
+ *         schema: { type: string, format: date }
+ *         description: 'due_at <= dueTo (YYYY-MM-DD)'
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [content, page, size, totalElements, totalPages]
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: "#/components/schemas/Task"
+ *                       - type: object
+ *                         properties:
+ *                           project:
+ *                             type: object
+ *                             properties:
+ *                               id: { type: integer, example: 10 }
+ *                               name: { type: string, example: "backend" }
+ *                 page: { type: integer, example: 1 }
+ *                 size: { type: integer, example: 20 }
+ *                 totalElements: { type: integer, example: 42 }
+ *                 totalPages: { type: integer, example: 3 }
+ *                 sort: { type: string, example: "created_at,DESC" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (workspace not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.get("/", async (req, res) => {
+  const { page, size, offset, limit } = parsePagination(req.query);
+  const { sort, order } = parseSort(req.query, CROSS_PROJECT_TASK_SORT_FIELDS, "created_at,DESC");
+
+  const { where, include: filterInclude } = buildTaskFilters(parseFilters(req.query));
+  const include = [
+    {
+      model: models.Project,
+      as: "project",
+      where: { workspace_id: req.workspace.id, deleted_at: null },
+      attributes: ["id", "name"],
+    },
+    ...filterInclude,
+  ];
+
+  // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+  const cursor = parseCursor(req.query, sort, { enums: enumSortFields(models.Task) });
+  if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+  if (cursor) {
+    const rows = await models.Task.findAll({
+      where: withCursor(where, cursor),
+      include,
+      order: cursor.order,
+      limit: cursor.limit + 1,
+    });
+    return sendOk(res, toCursorResult(rows, cursor));
+  }
+
+  const result = await models.Task.findAndCountAll({
+    where,
+    include,
+    order,
+    limit,
+    offset,
+    distinct: true,
+  });
+
+  return sendOk(res, toPageResult(result, page, size, sort));
+});
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/tasks/bulk:
+ *   post:
+ *     tags: [Tasks]
+ *     summary: Bulk task operations
+ *     description: |
+ *       taskIds 전체에 같은 operations를 한 트랜잭션에서 적용하고 항목별 결과를 반환한다.
+ *       - status/priority/assigneeId/dueAt 검증은 단건 PATCH와 동일 (assigneeId는 워크스페이스 멤버여야 함)
+ *       - addTagIds/removeTagIds, projectId(이동 대상)는 같은 워크스페이스 소속이어야 함
+ *       - delete는 다른 operation과 같이 쓸 수 없고, 항목마다 작성자 본인 또는 ADMIN만 성공
+ *       - status는 태스크가 (이동 후) 속한 프로젝트 워크플로우 기준. 없는 key/허용되지 않은 전이는 항목 실패
+ *       - DONE 카테고리는 열린 하위 태스크가, IN_PROGRESS/DONE 카테고리는 DONE이 아닌 blocker가 있으면 항목 실패(STATE_CONFLICT). 같은 요청의 하위 태스크/blocker는 실제로 DONE이 된 뒤에만 통과 근거가 된다(순서 무관). force=true로 무시. 이동 시 하위 태스크도 같이 이동하고 상태는 대상 워크플로우로 매핑
+ *       - 없는 태스크/권한 없음은 항목 실패로 리포트, 나머지는 반영 (atomic=true면 하나라도 실패 시 전체 롤백 + 422)
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskIds, operations]
+ *             properties:
+ *               taskIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items: { type: integer }
+ *                 example: [100, 101, 102]
+ *               atomic: { type: boolean, default: false }
+ *               operations:
+ *                 type: object
+ *                 properties:
+ *                   status: { type: string, example: "DONE" }
+ *                   priority: { type: string, enum: [LOW, MEDIUM, HIGH] }
+ *                   assigneeId: { type: integer, nullable: true, example: 2 }
+ *                   dueAt: { type: string, nullable: true, example: "2025-12-31T00:00:00.000Z" }
+ *                   addTagIds: { type: array, items: { type: integer }, example: [7] }
+ *                   removeTagIds: { type: array, items: { type: integer } }
+ *                   projectId: { type: integer, description: "move to this project", example: 11 }
+ *                   delete: { type: boolean, example: false }
+ *                   force: { type: boolean, description: "open subtasks / open blockers가 있어도 상태 변경 허용", example: false }
+ *     responses:
+ *       200:
+ *         description: ok (항목별 결과)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [results, succeeded, failed]
+ *               properties:
+ *                 succeeded: { type: integer, example: 2 }
+ *                 failed: { type: integer, example: 1 }
+ *                 results:
+ *                   type: array
+ *                   items: { $ref: "#/components/schemas/BulkTaskResult" }
+ *       400:
+ *         description: BAD_REQUEST (taskIds required / too many taskIds / operations required / no operations / invalid status / invalid priority / invalid dueAt / invalid assigneeId / invalid projectId / cannot move tasks across workspaces / delete cannot be combined). 담당자가 워크스페이스 멤버가 아니면 VALIDATION_FAILED (details.assigneeId)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( not workspace member / workspace role < MEMBER)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (tag not found in workspace / project not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       422:
+ *         description: UNPROCESSABLE_ENTITY (atomic=true 이고 실패 항목 존재 → 전체 롤백, details.results에 항목별 결과)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       429:
+ *         description: TOO_MANY_REQUESTS
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post(
+  "/bulk",
+  requireWorkspaceRole("MEMBER"),
+  rateLimit({
+    windowSec: 60,
+    max: 10,
+    keyGenerator: (req) => `rl:tasks:bulk:${req.auth.userId}:${req.params.workspaceId}`,
+  }),
+  async (req, res) => {
+    const parsed = await parseBulkRequest(req.body, { workspaceId: req.workspace.id });
+    if (parsed.error) return sendError(res, parsed.error.code, parsed.error.message, parsed.error.details);
+
+    const atomic = req.body.atomic === true;
+
+    const t = await sequelize.transaction();
+    try {
+      const results = await runBulkTaskOperations(req, parsed, { transaction: t });
+      const failed = results.filter((r) => !r.ok).length;
+
+      if (atomic && failed > 0) {
+        await t.rollback();
+        return sendError(res, "UNPROCESSABLE_ENTITY", "bulk operation rolled back", { results });
+      }
+
+      await t.commit();
+      return sendOk(res, { succeeded: results.length - failed, failed, results });
+    } catch (e) {
+      await t.rollback();
+      throw e;
+    }
+  }
+);
+
+export default router;
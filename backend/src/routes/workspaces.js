@@ -4,11 +4,31 @@ import { models, sequelize } from "../models/index.js";
 import { requireSession } from "../middlewares/requireSession.js";
 import { requireAuth } from "../middlewares/requireAuth.js";
 import { sendOk, sendError, sendCreated, sendNoContent } from "../utils/http.js";
-import { requireWorkspaceOwner } from "../middlewares/requireWorkspaceMember.js";
-import { parsePagination, parseSort, parseFilters, toPageResult } from "../utils/listQuery.js";
+import {
+  requireWorkspaceOwner,
+  requireWorkspaceRole,
+  canManageWorkspaceRole,
+  ASSIGNABLE_WORKSPACE_ROLES,
+  WORKSPACE_ROLES,
+} from "../middlewares/requireWorkspaceMember.js";
+import {
+  parsePagination,
+  parseSort,
+  parseFilters,
+  toPageResult,
+  parseCursor,
+  withCursor,
+  toCursorResult,
+} from "../utils/listQuery.js";
+import { invalidateCache } from "../middlewares/cache.js";
+import { softDeleteWorkspace } from "../services/trash.js";
+import { notifyWorkspaceAdded } from "../services/notifications.js";
 
 const router = express.Router();
 
+// 소유권 이전 후 이전 owner 처리: 강등할 role 또는 REMOVE(멤버 제거)
+const PREVIOUS_OWNER_ACTIONS = ["ADMIN", "MEMBER", "VIEWER", "REMOVE"];
+
 /**
  * @swagger
  * tags:
@@ -77,6 +97,14 @@ const router = express.Router();
  *         schema: { type: integer, default: 20, minimum: 1, maximum: 50 }
  *         description: Page size (max 50)
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: 'Cursor(keyset) mode, opt-in. 첫 페이지는 빈 값(?cursor=), 이후 응답의 nextCursor. 응답 형태: { content, limit, hasNext, nextCursor, sort } (totalElements 없음). sort가 바뀌면 INVALID_QUERY_PARAM'
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *         description: 'Cursor mode page size (max 100)'
+ *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,DESC" }
  *         description: 'Sort format "field,ASC|DESC" (allowed: id, created_at, name)'
@@ -134,7 +162,7 @@ router
           { transaction: t }
         );
         await models.WorkspaceMember.create(
-          { workspace_id: created.id, user_id: userId },
+          { workspace_id: created.id, user_id: userId, role: "OWNER" },
           { transaction: t }
         );
         return created;
@@ -179,16 +207,31 @@ router
     }
 
     // 4) 내가 속한 workspace만
+    const include = [
+      {
+        model: models.WorkspaceMember,
+        as: "members",
+        where: { user_id: userId },
+        attributes: [],
+      },
+    ];
+
+    // 커서 모드 (?cursor=&limit=): COUNT 없이 keyset으로 다음 페이지
+    const cursor = parseCursor(req.query, sort);
+    if (cursor?.invalid) return sendError(res, "INVALID_QUERY_PARAM", "invalid cursor");
+    if (cursor) {
+      const rows = await models.Workspace.findAll({
+        where: withCursor(where, cursor),
+        include,
+        order: cursor.order,
+        limit: cursor.limit + 1,
+      });
+      return sendOk(res, toCursorResult(rows, cursor));
+    }
+
     const result = await models.Workspace.findAndCountAll({
       where,
-      include: [
-        {
-          model: models.WorkspaceMember,
-          as: "members",
-          where: { user_id: userId },
-          attributes: [],
-        },
-      ],
+      include,
       order,
       limit,
       offset,
@@ -245,7 +288,7 @@ router
  *
  *   patch:
  *     tags: [Workspaces]
- *     summary: Update workspace (OWNER)
+ *     summary: Update workspace (ADMIN)
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -278,7 +321,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceOwner)
+ *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceRole(ADMIN))
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -291,6 +334,7 @@ router
  *   delete:
  *     tags: [Workspaces]
  *     summary: Delete workspace (OWNER, soft delete)
+ *     description: '하위 프로젝트/태스크/댓글/태그 연결까지 한 트랜잭션에서 soft delete. 휴지통(/trash/workspaces)에서 복구 가능.'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -321,7 +365,7 @@ router
   .get(async (req, res) => {
     return sendOk(res, { workspace: req.workspace });
   })
-  .patch(requireWorkspaceOwner(), async (req, res) => {
+  .patch(requireWorkspaceRole("ADMIN"), async (req, res) => {
     const { name, description } = req.body;
 
     if (name !== undefined) req.workspace.name = name;
@@ -331,18 +375,161 @@ router
     return sendOk(res, { workspace: req.workspace });
   })
   .delete(requireWorkspaceOwner(), async (req, res) => {
-    req.workspace.deleted_at = new Date();
-    await req.workspace.save();
+    // 프로젝트 → 태스크 → 댓글/태그 연결까지 같은 트랜잭션에서 soft delete
+    await sequelize.transaction((t) =>
+      softDeleteWorkspace(req.workspace, { actorId: req.auth.userId, transaction: t })
+    );
     return sendNoContent(res);
   });
 
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/transfer-ownership:
+ *   post:
+ *     tags: [Workspaces]
+ *     summary: Transfer workspace ownership (OWNER)
+ *     description: '기존 멤버에게 owner_id를 이전한다(트랜잭션). 이전 owner는 previousOwner에 따라 ADMIN/MEMBER/VIEWER로 강등되거나 REMOVE 시 멤버에서 제거된다. 기본값 ADMIN.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId: { type: integer, example: 2 }
+ *               previousOwner: { type: string, enum: [ADMIN, MEMBER, VIEWER, REMOVE], example: "ADMIN" }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [workspace]
+ *               properties:
+ *                 workspace:
+ *                   $ref: "#/components/schemas/Workspace"
+ *       400:
+ *         description: BAD_REQUEST (userId required / invalid previousOwner / already owner / target user not active)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceOwner)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (member not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       409:
+ *         description: STATE_CONFLICT (ownership changed concurrently)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ */
+router.post("/:workspaceId/transfer-ownership", requireWorkspaceOwner(), async (req, res) => {
+  const workspaceId = req.workspace.id;
+  const targetUserId = Number(req.body.userId);
+  const previousOwner = req.body.previousOwner ?? "ADMIN";
+
+  if (!targetUserId) return sendError(res, "BAD_REQUEST", "userId required");
+  if (!PREVIOUS_OWNER_ACTIONS.includes(previousOwner)) {
+    return sendError(res, "BAD_REQUEST", "invalid previousOwner");
+  }
+
+  const fromUserId = req.workspace.owner_id;
+  if (targetUserId === fromUserId) return sendError(res, "BAD_REQUEST", "already owner");
+
+  const target = await models.WorkspaceMember.findOne({
+    where: { workspace_id: workspaceId, user_id: targetUserId },
+    include: [{ model: models.User, as: "user", attributes: ["id", "status"] }],
+  });
+  if (!target) return sendError(res, "RESOURCE_NOT_FOUND", "member not found");
+  if (target.user?.status !== "ACTIVE") {
+    return sendError(res, "BAD_REQUEST", "target user not active");
+  }
+
+  const ws = await sequelize.transaction(async (t) => {
+    // 동시 이전 방지: workspace row 잠금 후 owner 재확인
+    const locked = await models.Workspace.findByPk(workspaceId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!locked || locked.owner_id !== fromUserId) return null;
+
+    locked.owner_id = targetUserId;
+    await locked.save({ transaction: t });
+
+    await models.WorkspaceMember.update(
+      { role: "OWNER" },
+      { where: { workspace_id: workspaceId, user_id: targetUserId }, transaction: t }
+    );
+
+    if (previousOwner === "REMOVE") {
+      await models.WorkspaceMember.destroy({
+        where: { workspace_id: workspaceId, user_id: fromUserId },
+        transaction: t,
+      });
+    } else {
+      await models.WorkspaceMember.update(
+        { role: previousOwner },
+        { where: { workspace_id: workspaceId, user_id: fromUserId }, transaction: t }
+      );
+    }
+
+    await models.WorkspaceOwnershipTransfer.create(
+      {
+        workspace_id: workspaceId,
+        from_user_id: fromUserId,
+        to_user_id: targetUserId,
+        actor_id: req.auth.userId,
+        previous_owner_action: previousOwner,
+      },
+      { transaction: t }
+    );
+
+    return locked;
+  });
+
+  if (!ws) return sendError(res, "STATE_CONFLICT", "ownership changed concurrently");
+
+  // 모든 멤버의 워크스페이스 상세/멤버 캐시 + 이전/신규 owner의 목록 캐시
+  await invalidateCache(
+    `workspaces:*:/api/workspaces/${workspaceId}*`,
+    `workspaces:${fromUserId}:*`,
+    `workspaces:${targetUserId}:*`
+  );
+
+  return sendOk(res, { workspace: ws });
+});
+
 /**
  * @swagger
  * /workspaces/{workspaceId}/members:
  *   get:
  *     tags: [Workspaces]
  *     summary: List workspace members
- *     description: 'Pagination(1-base) + sort + filters(keyword,role). Allowed sort fields: created_at, user_id'
+ *     description: 'Pagination(1-base) + sort + filters(keyword,role,memberRole). Allowed sort fields: created_at, user_id, role'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -360,7 +547,7 @@ router
  *       - in: query
  *         name: sort
  *         schema: { type: string, default: "created_at,ASC" }
- *         description: 'Sort format "field,ASC|DESC" (allowed: created_at, user_id)'
+ *         description: 'Sort format "field,ASC|DESC" (allowed: created_at, user_id, role)'
  *       - in: query
  *         name: keyword
  *         schema: { type: string }
@@ -369,6 +556,10 @@ router
  *         name: role
  *         schema: { type: string, enum: [USER, ADMIN] }
  *         description: Filter by user.role
+ *       - in: query
+ *         name: memberRole
+ *         schema: { type: string, enum: [OWNER, ADMIN, MEMBER, VIEWER] }
+ *         description: Filter by workspace role
  *     responses:
  *       200:
  *         description: ok
@@ -385,6 +576,7 @@ router
  *                     properties:
  *                       workspace_id: { type: integer, example: 1 }
  *                       user_id: { type: integer, example: 2 }
+ *                       role: { type: string, enum: [OWNER, ADMIN, MEMBER, VIEWER], example: "MEMBER" }
  *                       created_at: { type: string, example: "2025-12-22T10:00:00.000Z" }
  *                       user:
  *                         type: object
@@ -417,8 +609,8 @@ router
  *
  *   post:
  *     tags: [Workspaces]
- *     summary: Add member to workspace (OWNER)
- *     description: owner는 이미 멤버로 간주되며, 중복 추가는 DUPLICATE_RESOURCE.
+ *     summary: Add member to workspace (ADMIN)
+ *     description: 'owner는 이미 멤버로 간주되며, 중복 추가는 DUPLICATE_RESOURCE. role 기본값은 MEMBER, ADMIN 부여는 OWNER만 가능.'
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -434,6 +626,7 @@ router
  *             required: [userId]
  *             properties:
  *               userId: { type: integer, example: 2 }
+ *               role: { type: string, enum: [ADMIN, MEMBER, VIEWER], example: "MEMBER" }
  *     responses:
  *       200:
  *         description: ok
@@ -446,7 +639,7 @@ router
  *                 workspace:
  *                   $ref: "#/components/schemas/Workspace"
  *       400:
- *         description: BAD_REQUEST (userId required)
+ *         description: BAD_REQUEST (userId required / invalid role)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -456,7 +649,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceOwner)
+ *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceRole(ADMIN) / only owner can grant admin)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -477,12 +670,24 @@ router
     const workspaceId = req.workspace.id;
 
     const { page, size, offset, limit } = parsePagination(req.query);
-    const { sort, order } = parseSort(req.query, ["created_at", "user_id"], "created_at,ASC");
+    const { sort, order } = parseSort(
+      req.query,
+      ["created_at", "user_id", "role"],
+      "created_at,ASC"
+    );
     const f = parseFilters(req.query);
 
     const where = { workspace_id: workspaceId };
     const userWhere = {};
 
+    // role은 user.role(USER/ADMIN), memberRole은 워크스페이스 권한
+    if (req.query.memberRole !== undefined) {
+      if (!WORKSPACE_ROLES.includes(req.query.memberRole)) {
+        return sendError(res, "BAD_REQUEST", "invalid memberRole");
+      }
+      where.role = req.query.memberRole;
+    }
+
     if (f.role) userWhere.role = f.role;
 
     if (f.keyword) {
@@ -510,12 +715,19 @@ router
 
     return sendOk(res, toPageResult(result, page, size, sort));
   })
-  .post(requireWorkspaceOwner(), async (req, res) => {
+  .post(requireWorkspaceRole("ADMIN"), async (req, res) => {
     const workspaceId = req.workspace.id;
-    const { userId } = req.body;
+    const { userId, role = "MEMBER" } = req.body;
 
     if (!userId) return sendError(res, "BAD_REQUEST", "userId required");
 
+    if (!ASSIGNABLE_WORKSPACE_ROLES.includes(role)) {
+      return sendError(res, "BAD_REQUEST", "invalid role");
+    }
+    if (!canManageWorkspaceRole(req, role)) {
+      return sendError(res, "FORBIDDEN", "only owner can grant admin");
+    }
+
     if (Number(userId) === req.workspace.owner_id) {
       return sendError(res, "DUPLICATE_RESOURCE", "owner already member");
     }
@@ -525,16 +737,90 @@ router
     });
     if (existed) return sendError(res, "DUPLICATE_RESOURCE", "already member");
 
-    await models.WorkspaceMember.create({ workspace_id: workspaceId, user_id: userId });
+    await sequelize.transaction(async (t) => {
+      await models.WorkspaceMember.create(
+        { workspace_id: workspaceId, user_id: userId, role },
+        { transaction: t }
+      );
+      await notifyWorkspaceAdded(req.workspace, userId, {
+        actorId: req.auth.userId,
+        role,
+        transaction: t,
+      });
+    });
     return sendOk(res, { workspace: req.workspace });
   });
 /**
  * @swagger
  * /workspaces/{workspaceId}/members/{userId}:
+ *   patch:
+ *     tags: [Workspaces]
+ *     summary: Change member role (ADMIN)
+ *     description: 'owner의 role은 변경할 수 없다. ADMIN 부여/회수는 OWNER만 가능.'
+ *     security: [{ cookieAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [ADMIN, MEMBER, VIEWER], example: "VIEWER" }
+ *     responses:
+ *       200:
+ *         description: ok
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [member]
+ *               properties:
+ *                 member:
+ *                   type: object
+ *                   properties:
+ *                     workspace_id: { type: integer, example: 1 }
+ *                     user_id: { type: integer, example: 2 }
+ *                     role: { type: string, example: "VIEWER" }
+ *       400:
+ *         description: BAD_REQUEST (invalid userId / invalid role / cannot change owner role)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       401:
+ *         description: UNAUTHORIZED ( requireAuth)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       403:
+ *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceRole(ADMIN) / only owner can grant or revoke admin)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       404:
+ *         description: RESOURCE_NOT_FOUND (member not found)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *       500:
+ *         description: INTERNAL_SERVER_ERROR / DATABASE_ERROR / UNKNOWN_ERROR
+ *         content:
+ *           application/json:
+ *             schema: { $ref: "#/components/schemas/ErrorResponse" }
+ *
  *   delete:
  *     tags: [Workspaces]
- *     summary: Remove member from workspace (OWNER)
- *     description: owner는 제거할 수 없다.
+ *     summary: Remove member from workspace (ADMIN)
+ *     description: owner는 제거할 수 없다. ADMIN 멤버 제거는 OWNER만 가능.
  *     security: [{ cookieAuth: [] }]
  *     parameters:
  *       - in: path
@@ -559,7 +845,7 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  *       403:
- *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceOwner)
+ *         description: FORBIDDEN ( requireWorkspaceMember / requireWorkspaceRole(ADMIN) / only owner can remove admin)
  *         content:
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
@@ -569,21 +855,58 @@ router
  *           application/json:
  *             schema: { $ref: "#/components/schemas/ErrorResponse" }
  */
-router.delete("/:workspaceId/members/:userId", requireWorkspaceOwner(), async (req, res) => {
-  const workspaceId = req.workspace.id;
-  const userId = Number(req.params.userId);
+router
+  .route("/:workspaceId/members/:userId")
+  .patch(requireWorkspaceRole("ADMIN"), async (req, res) => {
+    const workspaceId = req.workspace.id;
+    const userId = Number(req.params.userId);
+    const { role } = req.body;
 
-  if (!userId) return sendError(res, "BAD_REQUEST", "invalid userId");
+    if (!userId) return sendError(res, "BAD_REQUEST", "invalid userId");
+    if (!ASSIGNABLE_WORKSPACE_ROLES.includes(role)) {
+      return sendError(res, "BAD_REQUEST", "invalid role");
+    }
 
-  if (userId === req.workspace.owner_id) {
-    return sendError(res, "BAD_REQUEST", "cannot remove owner");
-  }
+    if (userId === req.workspace.owner_id) {
+      return sendError(res, "BAD_REQUEST", "cannot change owner role");
+    }
 
-  await models.WorkspaceMember.destroy({
-    where: { workspace_id: workspaceId, user_id: userId },
-  });
+    const member = await models.WorkspaceMember.findOne({
+      where: { workspace_id: workspaceId, user_id: userId },
+    });
+    if (!member) return sendError(res, "RESOURCE_NOT_FOUND", "member not found");
 
-  return sendNoContent(res);
-});
+    if (!canManageWorkspaceRole(req, member.role) || !canManageWorkspaceRole(req, role)) {
+      return sendError(res, "FORBIDDEN", "only owner can grant or revoke admin");
+    }
+
+    member.role = role;
+    await member.save();
+
+    return sendOk(res, { member });
+  })
+  .delete(requireWorkspaceRole("ADMIN"), async (req, res) => {
+    const workspaceId = req.workspace.id;
+    const userId = Number(req.params.userId);
+
+    if (!userId) return sendError(res, "BAD_REQUEST", "invalid userId");
+
+    if (userId === req.workspace.owner_id) {
+      return sendError(res, "BAD_REQUEST", "cannot remove owner");
+    }
+
+    const member = await models.WorkspaceMember.findOne({
+      where: { workspace_id: workspaceId, user_id: userId },
+    });
+    if (member && !canManageWorkspaceRole(req, member.role)) {
+      return sendError(res, "FORBIDDEN", "only owner can remove admin");
+    }
+
+    await models.WorkspaceMember.destroy({
+      where: { workspace_id: workspaceId, user_id: userId },
+    });
+
+    return sendNoContent(res);
+  });
 
 export default router;
@@ -0,0 +1,179 @@
+// src/services/attachments.js
+import crypto from "crypto";
+import path from "path";
+import { fileTypeFromBuffer } from "file-type";
+import { models, sequelize } from "../models/index.js";
+import { env } from "../config/env.js";
+import { getStorage } from "./storage.js";
+
+/**
+ * 첨부 파일 (attachments)
+ * - 파일 타입은 내용(매직 바이트)으로 판별. 클라이언트 Content-Type/확장자는 믿지 않는다
+ *   바이너리는 허용 목록에 있는 타입만, 매직 바이트가 없으면 UTF-8 텍스트일 때만 허용 (로그 등)
+ * - 워크스페이스 용량(ATTACHMENT_WORKSPACE_QUOTA_BYTES)은 휴지통에 있는 태스크의 첨부까지 포함
+ *   (영구 삭제 시 해제). 동시 업로드는 워크스페이스 행 잠금으로 직렬화
+ * - 파일을 먼저 저장하고 행을 만든다. 행 생성이 실패하면 파일을 지운다
+ */
+
+const BINARY_MIME_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "application/zip",
+  "application/gzip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+// 텍스트 파일은 선언된 타입이 이 중 하나면 그대로, 아니면 text/plain
+const TEXT_MIME_TYPES = ["text/plain", "text/csv", "text/markdown", "application/json"];
+
+export const ALLOWED_MIME_TYPES = [...BINARY_MIME_TYPES, ...TEXT_MIME_TYPES];
+
+const TEXT_SNIFF_BYTES = 8192;
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, TEXT_SNIFF_BYTES);
+  if (sample.includes(0)) return false;
+  try {
+    // 샘플 끝에서 잘린 멀티바이트 문자는 stream 모드로 허용
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 내용 기준 MIME 타입. 허용하지 않는 파일이면 null
+ */
+export async function sniffMimeType(buffer, declared) {
+  const detected = await fileTypeFromBuffer(buffer);
+  if (detected) return BINARY_MIME_TYPES.includes(detected.mime) ? detected.mime : null;
+  if (buffer.length === 0 || !looksLikeText(buffer)) return null;
+
+  const declaredType = String(declared ?? "").split(";")[0].trim().toLowerCase();
+  return TEXT_MIME_TYPES.includes(declaredType) ? declaredType : "text/plain";
+}
+
+// 경로/제어 문자를 뺀 표시용 파일명
+export function sanitizeFileName(name) {
+  const base = path.basename(String(name ?? "").replace(/\\/g, "/"));
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"]/g, "").trim().slice(0, 255);
+  return cleaned || "file";
+}
+
+// 워크스페이스 사용량 (휴지통 포함)
+export async function workspaceUsage(workspaceId, { transaction } = {}) {
+  const usedBytes = await models.Attachment.sum("size_bytes", {
+    where: { workspace_id: workspaceId },
+    paranoid: false,
+    transaction,
+  });
+  return { usedBytes: Number(usedBytes ?? 0), quotaBytes: env.ATTACHMENT_WORKSPACE_QUOTA_BYTES };
+}
+
+/**
+ * 업로드 저장. 실패 시 { error: { code, message, details? } }
+ * @param file multer memoryStorage 파일 ({ buffer, originalname, mimetype, size })
+ */
+export async function storeAttachment({ workspaceId, task, comment = null, uploaderId, file }) {
+  const mimeType = await sniffMimeType(file.buffer, file.mimetype);
+  if (!mimeType) {
+    return { error: { code: "UNSUPPORTED_MEDIA_TYPE", message: "file type not allowed" } };
+  }
+
+  const storage = getStorage();
+  const key = `workspaces/${workspaceId}/tasks/${task.id}/${crypto.randomUUID()}`;
+  await storage.put(key, file.buffer, { contentType: mimeType });
+
+  try {
+    return await sequelize.transaction(async (t) => {
+      await models.Workspace.findByPk(workspaceId, { transaction: t, lock: t.LOCK.UPDATE });
+      const usage = await workspaceUsage(workspaceId, { transaction: t });
+      if (usage.usedBytes + file.size > usage.quotaBytes) {
+        await storage.remove(key);
+        return {
+          error: {
+            code: "PAYLOAD_TOO_LARGE",
+            message: "workspace attachment quota exceeded",
+            details: usage,
+          },
+        };
+      }
+
+      const attachment = await models.Attachment.create(
+        {
+          workspace_id: workspaceId,
+          task_id: task.id,
+          comment_id: comment?.id ?? null,
+          uploader_id: uploaderId,
+          file_name: sanitizeFileName(file.originalname),
+          mime_type: mimeType,
+          size_bytes: file.size,
+          checksum: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+          storage_key: key,
+        },
+        { transaction: t }
+      );
+      return { attachment, usage: { ...usage, usedBytes: usage.usedBytes + file.size } };
+    });
+  } catch (e) {
+    await storage.remove(key);
+    throw e;
+  }
+}
+
+// 개별 삭제: 행은 hard delete 후 파일 삭제 (휴지통을 거치지 않음)
+export async function removeAttachment(attachment) {
+  await attachment.destroy({ force: true });
+  await removeStoredFiles([attachment.storage_key]);
+}
+
+// 파일 삭제는 best-effort (행은 이미 없으므로 실패해도 되돌리지 않는다)
+export async function removeStoredFiles(keys) {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (e) {
+      console.error("[attachments] failed to remove stored file:", key, e);
+    }
+  }
+}
+
+/**
+ * 태스크의 살아 있는 첨부 (commentId를 주면 그 댓글 첨부만)
+ * - tombstone 댓글의 첨부는 moderator에게만
+ */
+export async function listAttachments(taskId, { commentId, moderator = false } = {}) {
+  const where = { task_id: taskId, deleted_at: null };
+  if (commentId !== undefined) where.comment_id = commentId;
+
+  const rows = await models.Attachment.findAll({
+    where,
+    include: [
+      { model: models.User, as: "uploader", attributes: ["id", "name"] },
+      { model: models.Comment, as: "comment", attributes: ["id", "deleted_at"], paranoid: false },
+    ],
+    order: [["id", "ASC"]],
+  });
+  return moderator ? rows : rows.filter((a) => !a.comment?.deleted_at);
+}
+
+export function presentAttachment(a) {
+  return {
+    id: a.id,
+    taskId: a.task_id,
+    commentId: a.comment_id,
+    fileName: a.file_name,
+    mimeType: a.mime_type,
+    sizeBytes: Number(a.size_bytes),
+    checksum: a.checksum,
+    uploader: a.uploader ? { id: a.uploader.id, name: a.uploader.name } : null,
+    createdAt: a.created_at,
+  };
+}
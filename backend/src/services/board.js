@@ -0,0 +1,104 @@
+// src/services/board.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+
+/**
+ * 칸반 보드 카드 순서 (tasks.position)
+ * - 컬럼 = project_id + status. 컬럼 안에서 position 오름차순, 같으면 id 순
+ * - 새 카드 / 다른 컬럼·프로젝트에서 온 카드는 맨 아래 (max + POSITION_STEP)
+ * - 카드 사이로 옮기면 위/아래 카드 position의 중간값 → 옮긴 카드 한 행만 바뀐다
+ * - 간격이 MIN_POSITION_GAP보다 좁아지면 그 컬럼만 POSITION_STEP 간격으로 다시 벌린다
+ */
+
+export const POSITION_STEP = 1024;
+const MIN_POSITION_GAP = 1e-6;
+
+export const BOARD_ORDER = [
+  ["position", "ASC"],
+  ["id", "ASC"],
+];
+
+function columnWhere(projectId, status) {
+  return { project_id: projectId, status, deleted_at: null };
+}
+
+// 컬럼 맨 아래 position
+export async function nextPosition(projectId, status, { transaction } = {}) {
+  const max = await models.Task.max("position", {
+    where: columnWhere(projectId, status),
+    transaction,
+  });
+  return (Number(max) || 0) + POSITION_STEP;
+}
+
+// task의 (새) project_id/status 컬럼 맨 아래로 (save는 호출 측)
+export async function placeAtEnd(task, { transaction } = {}) {
+  task.position = await nextPosition(task.project_id, task.status, { transaction });
+}
+
+// 컬럼 전체를 현재 순서 그대로 POSITION_STEP 간격으로 재배치
+export async function respaceColumn(projectId, status, { transaction } = {}) {
+  const cards = await models.Task.findAll({
+    where: columnWhere(projectId, status),
+    attributes: ["id", "position"],
+    order: BOARD_ORDER,
+    transaction,
+  });
+  for (const [i, card] of cards.entries()) {
+    const position = (i + 1) * POSITION_STEP;
+    if (card.position !== position) {
+      await models.Task.update({ position }, { where: { id: card.id }, transaction });
+    }
+  }
+}
+
+/**
+ * 보드 이동 위치 계산. 실패 시 { error: { code, message } }
+ * - afterTaskId: 바로 위 카드, beforeTaskId: 바로 아래 카드 (둘 다 대상 컬럼에 있어야 함)
+ * - 하나만 주면 반대쪽 이웃은 DB에서 찾고, 둘 다 없으면 맨 아래
+ * @returns {{ error } | { position: number }}
+ */
+export async function resolveBoardPosition(task, status, { afterTaskId, beforeTaskId }, { transaction }) {
+  const column = { ...columnWhere(task.project_id, status), id: { [Op.ne]: task.id } };
+  const load = (id) =>
+    id === undefined || id === null
+      ? null
+      : models.Task.findOne({ where: { ...column, id }, attributes: ["id", "position"], transaction });
+  const neighbor = async (card, dir) => {
+    const row = await models.Task.findOne({
+      where: { ...column, position: { [dir === "below" ? Op.gt : Op.lt]: card.position } },
+      attributes: ["position"],
+      order: [["position", dir === "below" ? "ASC" : "DESC"]],
+      transaction,
+    });
+    return row?.position ?? null;
+  };
+
+  if (afterTaskId === undefined && beforeTaskId === undefined) {
+    return { position: await nextPosition(task.project_id, status, { transaction }) };
+  }
+
+  // 간격이 다 닳았으면 한 번 재배치 후 다시 계산
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const [after, before] = await Promise.all([load(afterTaskId), load(beforeTaskId)]);
+    if (afterTaskId !== undefined && !after) {
+      return { error: { code: "BAD_REQUEST", message: "afterTaskId is not in target column" } };
+    }
+    if (beforeTaskId !== undefined && !before) {
+      return { error: { code: "BAD_REQUEST", message: "beforeTaskId is not in target column" } };
+    }
+
+    const upper = after ? after.position : await neighbor(before, "above");
+    const lower = before ? before.position : await neighbor(after, "below");
+    if (upper !== null && lower !== null && upper > lower) {
+      return { error: { code: "BAD_REQUEST", message: "afterTaskId must be above beforeTaskId" } };
+    }
+
+    if (lower === null) return { position: upper + POSITION_STEP };
+    if (upper === null) return { position: lower - POSITION_STEP };
+    if (lower - upper >= MIN_POSITION_GAP) return { position: (upper + lower) / 2 };
+
+    await respaceColumn(task.project_id, status, { transaction });
+  }
+  return { error: { code: "STATE_CONFLICT", message: "could not place card; retry" } };
+}
@@ -0,0 +1,229 @@
+// src/services/comments.js
+import { Op, fn, col, literal } from "sequelize";
+import { models, sequelize } from "../models/index.js";
+import { REACTION_EMOJIS } from "../models/CommentReaction.js";
+import { hasWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { withMentions } from "./mentions.js";
+import { renderMarkdownDocs } from "./markdown.js";
+import { env } from "../config/env.js";
+
+export { REACTION_EMOJIS };
+
+/**
+ * 댓글 스레드 / 반응
+ * - 답글은 1단계: 최상위 댓글에만 달 수 있다
+ * - 목록은 최상위 댓글 단위(스레드)로 페이지네이션, 각 스레드에 살아 있는 답글 전체 + replyCount
+ * - 삭제된 최상위 댓글은 살아 있는 답글이 있으면 "[deleted]"로 남겨서 답글이 고아가 되지 않게 한다
+ * - 반응은 고정 이모지, 사용자당 댓글 + 이모지 하나 (다시 누르면 해제)
+ * - 수정은 comment_revisions에 이전/새 내용을 남기고, 삭제는 tombstone (내용 보존, deleted_by 기록)
+ *   tombstone 원문은 moderator(워크스페이스 ADMIN 이상)만 본다
+ * - content는 Markdown 원문 (최대 COMMENT_MAX_LENGTH자), 응답에 contentHtml/taskLinks를 같이 붙인다
+ */
+
+export const DELETED_PLACEHOLDER = "[deleted]";
+
+// 문제 없으면 null, 있으면 sendError 인자 형태 { code, message }
+export function validateCommentContent(content) {
+  if (typeof content !== "string" || !content.trim()) {
+    return { code: "BAD_REQUEST", message: "content required" };
+  }
+  if (content.length > env.COMMENT_MAX_LENGTH) {
+    return { code: "BAD_REQUEST", message: `content must be <= ${env.COMMENT_MAX_LENGTH} chars` };
+  }
+  return null;
+}
+
+export function canModerateComments(req) {
+  return hasWorkspaceRole(req.workspaceRole, "ADMIN");
+}
+
+/**
+ * 목록 where (paranoid: false로 조회)
+ * - 기본: 살아 있는 최상위 댓글 + 삭제됐지만 살아 있는 답글이 있는 최상위 댓글
+ * - includeDeleted: 삭제된 최상위 댓글 전부 (moderator 감사용)
+ */
+export function threadRootsWhere(taskId, { includeDeleted = false } = {}) {
+  if (includeDeleted) return { task_id: taskId, parent_comment_id: null };
+  return {
+    task_id: taskId,
+    parent_comment_id: null,
+    [Op.or]: [
+      { deleted_at: null },
+      literal(
+        "EXISTS (SELECT 1 FROM comments AS r WHERE r.parent_comment_id = `comments`.`id` AND r.deleted_at IS NULL)"
+      ),
+    ],
+  };
+}
+
+/**
+ * 답글을 달 수 있는 부모인지. 문제 없으면 { parent }
+ */
+export async function findReplyParent(taskId, parentCommentId) {
+  const id = Number(parentCommentId);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: { code: "BAD_REQUEST", message: "invalid parentCommentId" } };
+  }
+  const parent = await models.Comment.findOne({ where: { id, task_id: taskId, deleted_at: null } });
+  if (!parent) return { error: { code: "RESOURCE_NOT_FOUND", message: "parent comment not found" } };
+  if (parent.parent_comment_id) {
+    return { error: { code: "BAD_REQUEST", message: "replies can only be one level deep" } };
+  }
+  return { parent };
+}
+
+// 댓글별 반응 집계 [{ emoji, count, reactedByMe }] (고정 이모지 순서)
+async function loadReactions(commentIds, viewerId) {
+  const byComment = new Map();
+  if (commentIds.length === 0) return byComment;
+
+  const rows = await models.CommentReaction.findAll({
+    where: { comment_id: { [Op.in]: commentIds } },
+    attributes: [
+      "comment_id",
+      "emoji",
+      [fn("COUNT", col("id")), "count"],
+      [fn("SUM", literal(`CASE WHEN user_id = ${sequelize.escape(Number(viewerId))} THEN 1 ELSE 0 END`)), "mine"],
+    ],
+    group: ["comment_id", "emoji"],
+    raw: true,
+  });
+  rows.sort((a, b) => REACTION_EMOJIS.indexOf(a.emoji) - REACTION_EMOJIS.indexOf(b.emoji));
+
+  for (const r of rows) {
+    const key = Number(r.comment_id);
+    byComment.set(key, [
+      ...(byComment.get(key) ?? []),
+      { emoji: r.emoji, count: Number(r.count), reactedByMe: Number(r.mine) > 0 },
+    ]);
+  }
+  return byComment;
+}
+
+/**
+ * 응답용 댓글 JSON (순서 유지)
+ * - mentions, reactions, edited/editedAt, contentHtml/taskLinks 포함
+ * - 삭제된 댓글(tombstone)은 deleted=true, 반응 없음
+ *   moderator: 원문 + mentions + deletedAt/deletedBy, 그 외: "[deleted]" (contentHtml=null, 작성자 숨김)
+ */
+export async function presentComments(comments, { viewerId, workspaceId, moderator = false }) {
+  const live = comments.filter((c) => !c.deleted_at);
+  const visible = moderator ? comments : live;
+  const [mentioned, reactions, rendered] = await Promise.all([
+    withMentions(visible),
+    loadReactions(live.map((c) => c.id), viewerId),
+    renderMarkdownDocs(visible.map((c) => ({ source: c.content, workspaceId }))),
+  ]);
+  const byId = new Map(
+    mentioned.map((c, i) => [
+      Number(c.id),
+      { ...c, contentHtml: rendered[i].html, taskLinks: rendered[i].taskLinks },
+    ])
+  );
+
+  return comments.map((c) => {
+    const edited = { edited: Boolean(c.edited_at), editedAt: c.edited_at ?? null };
+    if (!c.deleted_at) {
+      return { ...byId.get(Number(c.id)), ...edited, deleted: false, reactions: reactions.get(Number(c.id)) ?? [] };
+    }
+    if (moderator) {
+      return {
+        ...byId.get(Number(c.id)),
+        ...edited,
+        deleted: true,
+        deletedAt: c.deleted_at,
+        deletedBy: c.deleted_by ?? null,
+        reactions: [],
+      };
+    }
+    const json = c.toJSON();
+    delete json.user_id;
+    delete json.deleted_by;
+    return {
+      ...json,
+      ...edited,
+      content: DELETED_PLACEHOLDER,
+      contentHtml: null,
+      taskLinks: [],
+      deleted: true,
+      mentions: [],
+      reactions: [],
+    };
+  });
+}
+
+/**
+ * 최상위 댓글 목록에 답글(작성순)과 replyCount(살아 있는 답글 수)를 붙인다
+ * - includeDeleted: 삭제된 답글(tombstone)도 포함
+ */
+export async function presentThreads(roots, { viewerId, workspaceId, moderator = false, includeDeleted = false }) {
+  const where = { parent_comment_id: { [Op.in]: roots.map((c) => c.id) } };
+  if (!includeDeleted) where.deleted_at = null;
+  const replies =
+    roots.length === 0
+      ? []
+      : await models.Comment.findAll({
+          where,
+          order: [["created_at", "ASC"], ["id", "ASC"]],
+          paranoid: false,
+        });
+
+  const [presentedRoots, presentedReplies] = await Promise.all([
+    presentComments(roots, { viewerId, workspaceId, moderator }),
+    presentComments(replies, { viewerId, workspaceId, moderator }),
+  ]);
+
+  return presentedRoots.map((root) => {
+    const children = presentedReplies.filter((r) => Number(r.parent_comment_id) === Number(root.id));
+    return { ...root, replyCount: children.filter((r) => !r.deleted).length, replies: children };
+  });
+}
+
+/**
+ * 반응 토글
+ * @returns {Promise<boolean>} true = 추가됨, false = 해제됨
+ */
+export async function toggleReaction(commentId, userId, emoji) {
+  return sequelize.transaction(async (t) => {
+    const where = { comment_id: commentId, user_id: userId, emoji };
+    const removed = await models.CommentReaction.destroy({ where, transaction: t });
+    if (removed > 0) return false;
+    await models.CommentReaction.create(where, { transaction: t });
+    return true;
+  });
+}
+
+/**
+ * 댓글 수정 + 이력 기록. 내용이 같으면 아무것도 하지 않는다
+ * @returns {Promise<boolean>} 바뀌었는지
+ */
+export async function editComment(comment, content, { editorId, now = new Date(), transaction }) {
+  if (content === comment.content) return false;
+
+  await models.CommentRevision.create(
+    { comment_id: comment.id, editor_id: editorId, old_content: comment.content, new_content: content },
+    { transaction }
+  );
+  comment.content = content;
+  comment.edited_at = now;
+  await comment.save({ transaction });
+  return true;
+}
+
+// 삭제 = tombstone (내용/멘션/이력은 남김)
+export async function tombstoneComment(comment, { actorId, now = new Date() }) {
+  comment.deleted_at = now;
+  comment.deleted_by = actorId;
+  await comment.save();
+}
+
+export function presentRevision(r) {
+  return {
+    id: r.id,
+    commentId: r.comment_id,
+    editor: r.editor ? { id: r.editor.id, name: r.editor.name } : null,
+    oldContent: r.old_content,
+    newContent: r.new_content,
+    createdAt: r.created_at,
+  };
+}
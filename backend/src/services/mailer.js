@@ -0,0 +1,52 @@
+// src/services/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { env } from "../config/env.js";
+
+/**
+ * 메일 전송 추상화
+ * - transport는 async (message) => void 형태
+ * - 기본은 env.MAIL_TRANSPORT 기준, 테스트에서는 setMailTransport로 교체 가능
+ */
+
+// dev/test: outbox 디렉터리에 메일 1건당 JSON 파일 1개
+export function outboxTransport(dir = env.MAIL_OUTBOX_DIR) {
+  return async (message) => {
+    const outDir = path.resolve(process.cwd(), dir);
+    await fs.mkdir(outDir, { recursive: true });
+    const file = path.join(outDir, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2), "utf8");
+    return { file };
+  };
+}
+
+export function consoleTransport() {
+  return async (message) => {
+    console.log("[mail]", message.to, message.subject);
+    return {};
+  };
+}
+
+const TRANSPORTS = {
+  outbox: outboxTransport,
+  console: consoleTransport,
+};
+
+let transport = (TRANSPORTS[env.MAIL_TRANSPORT] ?? outboxTransport)();
+
+export function setMailTransport(next) {
+  transport = next;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: env.MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {}),
+    createdAt: new Date().toISOString(),
+  };
+  return transport(message);
+}
@@ -0,0 +1,138 @@
+// src/services/markdown.js
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { env } from "../config/env.js";
+
+/**
+ * Markdown 렌더링 (태스크 description, 댓글 content)
+ * - 원문은 그대로 저장/반환하고, 응답에 sanitize된 HTML을 같이 붙인다 (저장하지 않고 응답 시 렌더링)
+ * - 허용 목록 밖의 태그/속성/스킴은 전부 제거 (raw HTML, img, script, on* 속성, javascript: 링크 등)
+ * - #123 은 같은 워크스페이스의 살아 있는 태스크일 때만 링크, 아니면 일반 텍스트 (코드 안은 무시)
+ */
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p", "br", "hr", "h1", "h2", "h3", "h4", "h5", "h6",
+    "strong", "em", "del", "code", "pre", "blockquote",
+    "ul", "ol", "li", "a",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "class", "data-task-id"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: { a: ["task-link"], code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow" }),
+  },
+};
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+// #123: 앞이 글자/숫자/&/ 이면 태스크 링크가 아니다 (abc#1, &#123;, URL 조각)
+const taskRef = {
+  name: "taskRef",
+  level: "inline",
+  start(src) {
+    const m = src.match(/(^|[^\p{L}\p{N}_&/])#\d/u);
+    return m ? m.index + m[1].length : undefined;
+  },
+  tokenizer(src) {
+    const m = /^#(\d+)(?![\p{L}\p{N}_])/u.exec(src);
+    if (!m) return undefined;
+    return { type: "taskRef", raw: m[0], taskId: Number(m[1]), link: null };
+  },
+  renderer(token) {
+    if (!token.link) return escapeHtml(token.raw);
+    return `<a href="${escapeHtml(token.link.url)}" class="task-link" data-task-id="${token.taskId}">#${token.taskId}</a>`;
+  },
+};
+
+const md = new Marked({ gfm: true, breaks: true, extensions: [taskRef] });
+
+function lex(source) {
+  const tokens = md.lexer(String(source));
+  const refs = [];
+  md.walkTokens(tokens, (t) => {
+    if (t.type === "taskRef") refs.push(t);
+  });
+  return { tokens, refs };
+}
+
+export function taskLinkUrl(workspaceId, task) {
+  return `${env.FRONTEND_URL}/workspaces/${workspaceId}/projects/${task.project_id}/tasks/${task.id}`;
+}
+
+/**
+ * 워크스페이스 안에서 살아 있는 태스크만 링크로 푼다
+ * @returns {Promise<Map<number, { taskId, projectId, title, url }>>}
+ */
+export async function resolveTaskLinks(workspaceId, taskIds) {
+  const ids = [...new Set(taskIds.map(Number))].filter((id) => Number.isInteger(id) && id > 0);
+  if (ids.length === 0) return new Map();
+
+  const tasks = await models.Task.findAll({
+    where: { id: { [Op.in]: ids }, deleted_at: null },
+    attributes: ["id", "project_id", "title"],
+    include: [
+      {
+        model: models.Project,
+        as: "project",
+        where: { workspace_id: workspaceId, deleted_at: null },
+        attributes: [],
+      },
+    ],
+  });
+  return new Map(
+    tasks.map((t) => [
+      Number(t.id),
+      { taskId: Number(t.id), projectId: Number(t.project_id), title: t.title, url: taskLinkUrl(workspaceId, t) },
+    ])
+  );
+}
+
+/**
+ * 여러 본문을 한 번에 렌더링 (태스크 링크 조회는 워크스페이스별 1회)
+ * @param {{ source: string | null, workspaceId: number }[]} docs
+ * @returns {Promise<{ html: string | null, taskLinks: object[] }[]>} docs 순서대로. source가 없으면 html=null
+ */
+export async function renderMarkdownDocs(docs) {
+  const lexed = docs.map((d) => (d.source === null || d.source === undefined ? null : lex(d.source)));
+
+  const idsByWorkspace = new Map();
+  docs.forEach((d, i) => {
+    if (!lexed[i]) return;
+    const key = Number(d.workspaceId);
+    idsByWorkspace.set(key, [...(idsByWorkspace.get(key) ?? []), ...lexed[i].refs.map((r) => r.taskId)]);
+  });
+  const linksByWorkspace = new Map();
+  for (const [workspaceId, ids] of idsByWorkspace) {
+    linksByWorkspace.set(workspaceId, await resolveTaskLinks(workspaceId, ids));
+  }
+
+  return docs.map((d, i) => {
+    if (!lexed[i]) return { html: null, taskLinks: [] };
+    const links = linksByWorkspace.get(Number(d.workspaceId));
+    const taskLinks = new Map();
+    for (const ref of lexed[i].refs) {
+      ref.link = links.get(ref.taskId) ?? null;
+      if (ref.link) taskLinks.set(ref.taskId, ref.link);
+    }
+    const html = sanitizeHtml(md.parser(lexed[i].tokens), SANITIZE_OPTIONS);
+    return { html, taskLinks: [...taskLinks.values()] };
+  });
+}
+
+export async function renderMarkdown(source, { workspaceId }) {
+  const [out] = await renderMarkdownDocs([{ source, workspaceId }]);
+  return out;
+}
@@ -0,0 +1,114 @@
+// src/services/mentions.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+
+/**
+ * 댓글 멘션 (comment_mentions)
+ * - 문법: @username (users.name, 대소문자 무시) 또는 @[userId]
+ * - 워크스페이스 멤버로 풀리는 것만 멘션. 멤버가 아니거나 같은 이름이 여럿이면 일반 텍스트로 둔다 (@[userId]로 지정)
+ * - 이메일(a@b.com)처럼 글자 바로 뒤에 붙은 @는 멘션이 아님
+ * - 댓글 수정 시 이전 멘션과 diff해서 새로 추가된 사람에게만 알림
+ */
+
+const MENTION_ID_RE = /@\[(\d+)\]/g;
+const MENTION_NAME_RE = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_][\p{L}\p{N}_.-]*)/gu;
+
+export function extractMentionIds(content) {
+  const ids = [...String(content ?? "").matchAll(MENTION_ID_RE)].map((m) => Number(m[1]));
+  return [...new Set(ids)].filter((id) => id > 0);
+}
+
+// 끝에 붙은 문장부호(., -)는 이름에서 뺀다: "@kim." → kim
+export function extractMentionNames(content) {
+  const names = [...String(content ?? "").matchAll(MENTION_NAME_RE)].map((m) =>
+    m[2].replace(/[.-]+$/, "").toLowerCase()
+  );
+  return [...new Set(names)].filter(Boolean);
+}
+
+// content에서 멘션된 워크스페이스 멤버 id
+export async function resolveMentionedUserIds(workspaceId, content, { transaction } = {}) {
+  const ids = extractMentionIds(content);
+  const names = extractMentionNames(content);
+  if (ids.length === 0 && names.length === 0) return [];
+
+  const or = [];
+  if (ids.length > 0) or.push({ user_id: { [Op.in]: ids } });
+  if (names.length > 0) or.push({ "$user.name$": { [Op.in]: names } });
+
+  const members = await models.WorkspaceMember.findAll({
+    where: { workspace_id: workspaceId, [Op.or]: or },
+    attributes: ["user_id"],
+    include: [{ model: models.User, as: "user", attributes: ["id", "name"] }],
+    transaction,
+  });
+
+  const byName = new Map();
+  for (const m of members) {
+    const key = m.user.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) ?? []), Number(m.user_id)]);
+  }
+
+  const out = new Set(
+    members.map((m) => Number(m.user_id)).filter((id) => ids.includes(id))
+  );
+  for (const name of names) {
+    const matched = byName.get(name) ?? [];
+    if (matched.length === 1) out.add(matched[0]);
+  }
+  return [...out];
+}
+
+/**
+ * 댓글 멘션 행을 content 기준으로 맞춘다
+ * @returns {{ added: number[], removed: number[] }} 새로 멘션된 / 빠진 사용자 id
+ */
+export async function syncCommentMentions(comment, workspaceId, { transaction } = {}) {
+  const next = await resolveMentionedUserIds(workspaceId, comment.content, { transaction });
+  const rows = await models.CommentMention.findAll({
+    where: { comment_id: comment.id },
+    attributes: ["user_id"],
+    transaction,
+  });
+  const prev = rows.map((r) => Number(r.user_id));
+
+  const added = next.filter((id) => !prev.includes(id));
+  const removed = prev.filter((id) => !next.includes(id));
+
+  if (added.length > 0) {
+    await models.CommentMention.bulkCreate(
+      added.map((userId) => ({ comment_id: comment.id, user_id: userId })),
+      { transaction }
+    );
+  }
+  if (removed.length > 0) {
+    await models.CommentMention.destroy({
+      where: { comment_id: comment.id, user_id: { [Op.in]: removed } },
+      transaction,
+    });
+  }
+  return { added, removed };
+}
+
+/**
+ * mentions([{ userId, name }])를 붙인 댓글 JSON 목록 (순서 유지)
+ */
+export async function withMentions(comments) {
+  if (comments.length === 0) return [];
+
+  const rows = await models.CommentMention.findAll({
+    where: { comment_id: { [Op.in]: comments.map((c) => c.id) } },
+    include: [{ model: models.User, as: "user", attributes: ["id", "name"] }],
+    order: [["id", "ASC"]],
+  });
+  const byComment = new Map();
+  for (const r of rows) {
+    const key = Number(r.comment_id);
+    byComment.set(key, [...(byComment.get(key) ?? []), { userId: r.user.id, name: r.user.name }]);
+  }
+
+  return comments.map((c) => ({
+    ...(typeof c.toJSON === "function" ? c.toJSON() : c),
+    mentions: byComment.get(Number(c.id)) ?? [],
+  }));
+}
@@ -0,0 +1,175 @@
+// src/services/notifications.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+
+export { NOTIFICATION_TYPES } from "../models/Notification.js";
+
+/**
+ * 인앱 알림 (notifications)
+ * - 이벤트마다 받을 사용자를 모아 한 번에 생성. 행위자 본인과 중복 수신자는 제외
+ * - 호출 측 트랜잭션에 묶어서 변경이 롤백되면 알림도 남지 않게 한다
+ * - workspaceId가 있는 알림은 현재 그 워크스페이스 멤버에게만 (멤버에서 빠져도 담당/팔로우는 남아 있으므로)
+ * - 받는 사람: 담당 지정 → 새 담당자, 상태 변경 → 작성자 + 팔로워, 댓글 → 작성자 + 담당자 + 팔로워 (+ 답글이면 부모 댓글 작성자, 멘션된 사람은 MENTIONED만)
+ */
+
+export async function notify(userIds, { type, actorId = null, workspaceId = null, taskId = null, commentId = null, data = null }, { transaction } = {}) {
+  let recipients = [...new Set(userIds.filter(Boolean).map(Number))].filter(
+    (id) => id !== Number(actorId)
+  );
+  if (workspaceId && recipients.length > 0) {
+    const members = await models.WorkspaceMember.findAll({
+      where: { workspace_id: workspaceId, user_id: { [Op.in]: recipients } },
+      attributes: ["user_id"],
+      transaction,
+    });
+    const memberIds = new Set(members.map((m) => Number(m.user_id)));
+    recipients = recipients.filter((id) => memberIds.has(id));
+  }
+  if (recipients.length === 0) return [];
+
+  return models.Notification.bulkCreate(
+    recipients.map((userId) => ({
+      user_id: userId,
+      actor_id: actorId,
+      type,
+      workspace_id: workspaceId,
+      task_id: taskId,
+      comment_id: commentId,
+      data,
+    })),
+    { transaction }
+  );
+}
+
+export async function findFollowerIds(taskId, { transaction } = {}) {
+  const rows = await models.TaskFollower.findAll({
+    where: { task_id: taskId },
+    attributes: ["user_id"],
+    transaction,
+  });
+  return rows.map((r) => Number(r.user_id));
+}
+
+const taskData = (task) => ({ title: task.title, projectId: Number(task.project_id) });
+
+// 생성 시 담당자가 지정돼 있으면 TASK_ASSIGNED
+export async function notifyTaskCreated(task, { actorId, workspaceId, transaction }) {
+  if (!task.assignee_id) return [];
+  return notify(
+    [task.assignee_id],
+    { type: "TASK_ASSIGNED", actorId, workspaceId, taskId: task.id, data: taskData(task) },
+    { transaction }
+  );
+}
+
+/**
+ * 태스크 변경 알림
+ * @param changes diffTaskSnapshot 결과 ({ field, before, after })
+ */
+export async function notifyTaskChanges(task, changes, { actorId, workspaceId, transaction }) {
+  const byField = new Map(changes.map((c) => [c.field, c]));
+
+  const assignee = byField.get("assignee_id");
+  if (assignee?.after) {
+    await notify(
+      [assignee.after],
+      { type: "TASK_ASSIGNED", actorId, workspaceId, taskId: task.id, data: taskData(task) },
+      { transaction }
+    );
+  }
+
+  const status = byField.get("status");
+  if (status) {
+    const followers = await findFollowerIds(task.id, { transaction });
+    await notify(
+      [task.created_by, ...followers],
+      {
+        type: "TASK_STATUS_CHANGED",
+        actorId,
+        workspaceId,
+        taskId: task.id,
+        data: { ...taskData(task), from: status.before, to: status.after },
+      },
+      { transaction }
+    );
+  }
+}
+
+// 댓글 멘션 (수정 시에는 새로 추가된 사람만 넘긴다)
+// 수정으로 멘션이 빠졌다가 다시 들어온 경우처럼, 이 댓글로 이미 MENTIONED를 받은 사람에게는 다시 보내지 않는다
+export async function notifyMentioned(task, comment, userIds, { actorId, workspaceId, transaction }) {
+  if (userIds.length === 0) return [];
+  const already = await models.Notification.findAll({
+    where: { type: "MENTIONED", comment_id: comment.id, user_id: { [Op.in]: userIds } },
+    attributes: ["user_id"],
+    transaction,
+  });
+  const notified = new Set(already.map((n) => Number(n.user_id)));
+  return notify(
+    userIds.filter((id) => !notified.has(Number(id))),
+    { type: "MENTIONED", actorId, workspaceId, taskId: task.id, commentId: comment.id, data: taskData(task) },
+    { transaction }
+  );
+}
+
+/**
+ * 댓글 알림
+ * - mentionedIds: MENTIONED를 받는 사용자 (같은 댓글로 TASK_COMMENTED는 중복으로 보내지 않음)
+ * - parentAuthorId: 답글이면 부모 댓글 작성자도 TASK_COMMENTED 대상
+ */
+export async function notifyComment(
+  task,
+  comment,
+  { actorId, workspaceId, mentionedIds = [], parentAuthorId = null, transaction }
+) {
+  const base = { actorId, workspaceId, taskId: task.id, commentId: comment.id, data: taskData(task) };
+  await notifyMentioned(task, comment, mentionedIds, { actorId, workspaceId, transaction });
+
+  const mentioned = new Set(mentionedIds.map(Number));
+  const followers = await findFollowerIds(task.id, { transaction });
+  const watchers = [task.created_by, task.assignee_id, parentAuthorId, ...followers].filter(
+    (id) => id && !mentioned.has(Number(id))
+  );
+  await notify(watchers, { ...base, type: "TASK_COMMENTED" }, { transaction });
+}
+
+export async function notifyWorkspaceAdded(workspace, userId, { actorId, role, transaction } = {}) {
+  return notify(
+    [userId],
+    {
+      type: "WORKSPACE_ADDED",
+      actorId,
+      workspaceId: workspace.id,
+      data: { name: workspace.name, role },
+    },
+    { transaction }
+  );
+}
+
+export function presentNotification(n) {
+  return {
+    id: n.id,
+    type: n.type,
+    actor: n.actor ? { id: n.actor.id, name: n.actor.name } : null,
+    workspaceId: n.workspace_id,
+    taskId: n.task_id,
+    commentId: n.comment_id,
+    data: n.data,
+    read: n.read_at !== null,
+    readAt: n.read_at,
+    createdAt: n.created_at,
+  };
+}
+
+export async function countUnread(userId) {
+  return models.Notification.count({ where: { user_id: userId, read_at: null } });
+}
+
+// 안 읽은 알림 전부 읽음 처리. 바뀐 행 수
+export async function markAllRead(userId, { now = new Date() } = {}) {
+  const [updated] = await models.Notification.update(
+    { read_at: now },
+    { where: { user_id: userId, read_at: null, created_at: { [Op.lte]: now } } }
+  );
+  return updated;
+}
@@ -0,0 +1,364 @@
+// src/services/recurrence.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { loadWorkflow, initialStatus } from "./workflows.js";
+import { nextPosition } from "./board.js";
+
+/**
+ * 반복 태스크
+ * - 시리즈(task_recurrences) 하나에 인스턴스(tasks.recurrence_id) 여러 개. 다음 인스턴스는 항상 마지막 인스턴스에서 복사
+ * - 규칙: DAILY / WEEKLY(요일) / MONTHLY(날짜) + INTERVAL, 종료는 UNTIL 또는 COUNT (RRULE 부분 집합)
+ * - 다음 인스턴스 생성: 마지막 인스턴스가 DONE 카테고리로 갈 때, 또는 스케줄 작업(workers/recurringTasks.js)에서 마지막 인스턴스 마감이 지났을 때
+ * - 날짜 계산은 UTC 기준, 시각은 이전 due_at 것을 그대로 쓴다
+ */
+
+export const RECURRENCE_FREQS = ["DAILY", "WEEKLY", "MONTHLY"];
+// Date.getUTCDay() 순서
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+const DAY_MS = 86_400_000;
+
+// ---------- 규칙 파싱 ----------
+
+function parseUntil(v) {
+  if (v === undefined || v === null) return null;
+  // RRULE 형식 (YYYYMMDD / YYYYMMDDTHHMMSSZ), YYYY-MM-DD, ISO. 날짜만 주면 그날 끝까지 포함
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(v));
+  const d = m
+    ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] ?? 23), +(m[5] ?? 59), +(m[6] ?? 59)))
+    : new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" → parseRecurrenceBody가 받는 형태
+function rruleToBody(rrule) {
+  const body = {};
+  const parts = String(rrule).replace(/^RRULE:/i, "").split(";").filter(Boolean);
+  for (const part of parts) {
+    const [k, v] = part.split("=");
+    switch (k?.toUpperCase()) {
+      case "FREQ":
+        body.freq = v?.toUpperCase();
+        break;
+      case "INTERVAL":
+        body.interval = Number(v);
+        break;
+      case "BYDAY":
+        body.weekdays = (v ?? "").toUpperCase().split(",");
+        break;
+      case "BYMONTHDAY":
+        body.monthDay = Number(v);
+        break;
+      case "UNTIL":
+        body.until = v;
+        break;
+      case "COUNT":
+        body.count = Number(v);
+        break;
+      default:
+        return { error: `unsupported RRULE part: ${k}` };
+    }
+  }
+  return { body };
+}
+
+/**
+ * PUT body 검증 + 정규화. 실패 시 { error: { code, message } }
+ * body: { rrule } 또는 { freq, interval?, weekdays?, monthDay?, until?, count? }
+ * weekdays/monthDay를 생략하면 첫 인스턴스 due_at의 요일/날짜 (시리즈 만들 때 채움)
+ */
+export function parseRecurrenceBody(input) {
+  const bad = (message) => ({ error: { code: "BAD_REQUEST", message } });
+
+  let body = input ?? {};
+  if (body.rrule !== undefined) {
+    const r = rruleToBody(body.rrule);
+    if (r.error) return bad(r.error);
+    body = r.body;
+  }
+
+  const freq = typeof body.freq === "string" ? body.freq.toUpperCase() : body.freq;
+  if (!RECURRENCE_FREQS.includes(freq)) return bad("invalid freq");
+
+  const interval = body.interval === undefined ? 1 : Number(body.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return bad(`interval must be 1..${MAX_INTERVAL}`);
+  }
+
+  let weekdays = null;
+  if (freq === "WEEKLY" && body.weekdays !== undefined) {
+    if (!Array.isArray(body.weekdays) || body.weekdays.length === 0) return bad("invalid weekdays");
+    const set = new Set(body.weekdays.map((d) => String(d).toUpperCase()));
+    if (![...set].every((d) => WEEKDAYS.includes(d))) return bad("invalid weekdays");
+    weekdays = WEEKDAYS.filter((d) => set.has(d));
+  }
+
+  let monthDay = null;
+  if (freq === "MONTHLY" && body.monthDay !== undefined) {
+    monthDay = Number(body.monthDay);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) return bad("monthDay must be 1..31");
+  }
+
+  if (body.until !== undefined && body.count !== undefined) {
+    return bad("until and count cannot be used together");
+  }
+  const until = parseUntil(body.until);
+  if (until === undefined) return bad("invalid until");
+
+  let count = null;
+  if (body.count !== undefined) {
+    count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) return bad(`count must be 1..${MAX_COUNT}`);
+  }
+
+  return { rule: { freq, interval, weekdays, monthDay, until, count } };
+}
+
+// ---------- 날짜 계산 ----------
+
+function weekdaysOf(series) {
+  return series.weekdays ? series.weekdays.split(",") : [WEEKDAYS[new Date(series.starts_at).getUTCDay()]];
+}
+
+// 월요일 시작 주의 첫날 (RRULE WKST=MO)
+function weekStart(d) {
+  const day = (d.getUTCDay() + 6) % 7;
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - day * DAY_MS;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * after 다음 발생 시각 (종료 조건은 보지 않음)
+ */
+export function nextOccurrence(series, after) {
+  const from = new Date(after);
+  const start = new Date(series.starts_at);
+  const interval = series.interval_count;
+
+  if (series.freq === "DAILY") return new Date(from.getTime() + interval * DAY_MS);
+
+  if (series.freq === "WEEKLY") {
+    const days = new Set(weekdaysOf(series));
+    const base = weekStart(start);
+    for (let i = 1; i <= 7 * interval + 7; i += 1) {
+      const d = new Date(from.getTime() + i * DAY_MS);
+      const weeks = Math.round((weekStart(d) - base) / (7 * DAY_MS));
+      if (weeks % interval === 0 && days.has(WEEKDAYS[d.getUTCDay()])) return d;
+    }
+    return null;
+  }
+
+  // MONTHLY: 시작 달부터 interval 개월마다, 날짜가 없는 달은 말일
+  const monthDay = series.month_day ?? start.getUTCDate();
+  const startMonth = start.getUTCFullYear() * 12 + start.getUTCMonth();
+  for (let k = 0; k <= 12 * interval; k += 1) {
+    const ym = from.getUTCFullYear() * 12 + from.getUTCMonth() + k;
+    if ((((ym - startMonth) % interval) + interval) % interval !== 0) continue;
+    const year = Math.floor(ym / 12);
+    const month = ym % 12;
+    const d = new Date(
+      Date.UTC(
+        year,
+        month,
+        Math.min(monthDay, daysInMonth(year, month)),
+        from.getUTCHours(),
+        from.getUTCMinutes(),
+        from.getUTCSeconds()
+      )
+    );
+    if (d > from) return d;
+  }
+  return null;
+}
+
+// 종료 조건까지 반영한 다음 due_at. 끝났으면 null
+function planNext(series, after) {
+  if (series.count_limit && series.occurrences >= series.count_limit) return null;
+  const next = nextOccurrence(series, after);
+  if (!next || (series.until_at && next > new Date(series.until_at))) return null;
+  return next;
+}
+
+// ---------- 응답 ----------
+
+export function toRRule(series) {
+  const parts = [`FREQ=${series.freq}`];
+  if (series.interval_count !== 1) parts.push(`INTERVAL=${series.interval_count}`);
+  if (series.freq === "WEEKLY") parts.push(`BYDAY=${weekdaysOf(series).join(",")}`);
+  if (series.freq === "MONTHLY") {
+    parts.push(`BYMONTHDAY=${series.month_day ?? new Date(series.starts_at).getUTCDate()}`);
+  }
+  if (series.until_at) {
+    parts.push(`UNTIL=${new Date(series.until_at).toISOString().replace(/[-:]|\.\d{3}/g, "")}`);
+  }
+  if (series.count_limit) parts.push(`COUNT=${series.count_limit}`);
+  return parts.join(";");
+}
+
+export function presentRecurrence(series) {
+  return {
+    id: series.id,
+    freq: series.freq,
+    interval: series.interval_count,
+    weekdays: series.freq === "WEEKLY" ? weekdaysOf(series) : null,
+    monthDay: series.freq === "MONTHLY" ? series.month_day ?? new Date(series.starts_at).getUTCDate() : null,
+    until: series.until_at,
+    count: series.count_limit,
+    occurrences: series.occurrences,
+    nextDueAt: series.next_due_at,
+    lastTaskId: series.last_task_id,
+    rrule: toRRule(series),
+  };
+}
+
+// ---------- 시리즈 / 인스턴스 ----------
+
+// 살아 있는(중지 안 된) 시리즈
+export async function findRecurrence(task, { transaction, lock } = {}) {
+  if (!task.recurrence_id) return null;
+  return models.TaskRecurrence.findOne({
+    where: { id: task.recurrence_id, deleted_at: null },
+    transaction,
+    lock,
+  });
+}
+
+/**
+ * 태스크에 반복 규칙 설정 (없으면 이 태스크를 첫 인스턴스로 시리즈 생성, 있으면 규칙만 교체)
+ * - due_at이 있어야 한다. 다음 due_at은 시리즈의 마지막 인스턴스 기준으로 다시 계산
+ * @returns {{ error } | { recurrence }}
+ */
+export async function setRecurrence(task, rule, { actorId, transaction }) {
+  if (!task.due_at) {
+    return { error: { code: "BAD_REQUEST", message: "task dueAt required for recurrence" } };
+  }
+
+  const fields = {
+    freq: rule.freq,
+    interval_count: rule.interval,
+    weekdays: rule.weekdays ? rule.weekdays.join(",") : null,
+    month_day: rule.monthDay,
+    until_at: rule.until,
+    count_limit: rule.count,
+  };
+
+  let series = await findRecurrence(task, { transaction, lock: transaction.LOCK.UPDATE });
+  let last = task;
+  if (series) {
+    series.set(fields);
+    last = (await models.Task.findByPk(series.last_task_id, { transaction })) ?? task;
+  } else {
+    series = models.TaskRecurrence.build({
+      ...fields,
+      starts_at: task.due_at,
+      occurrences: 1,
+      last_task_id: task.id,
+      created_by: actorId,
+    });
+  }
+  // 요일/날짜 생략 시 기준점(starts_at) 것으로 고정
+  if (series.freq === "WEEKLY" && !series.weekdays) series.weekdays = weekdaysOf(series).join(",");
+  if (series.freq === "MONTHLY" && !series.month_day) {
+    series.month_day = new Date(series.starts_at).getUTCDate();
+  }
+  series.next_due_at = last.due_at ? planNext(series, last.due_at) : null;
+  await series.save({ transaction });
+
+  if (Number(task.recurrence_id) !== Number(series.id)) {
+    task.recurrence_id = series.id;
+    await task.save({ transaction });
+  }
+  return { recurrence: series };
+}
+
+/**
+ * 마지막 인스턴스를 복사해 다음 인스턴스 생성 (series는 호출 측에서 잠근 상태)
+ * - 제목/설명/우선순위/담당자/상위 태스크/태그 유지, 상태는 워크플로우 기본 상태, 작성자는 시리즈 작성자
+ * @returns {object|null} 새 태스크 (종료됐거나 마지막 인스턴스가 삭제됐으면 null)
+ */
+export async function createNextInstance(series, { actorId, transaction }) {
+  if (!series.next_due_at || !series.last_task_id) return null;
+
+  const last = await models.Task.findOne({
+    where: { id: series.last_task_id, deleted_at: null },
+    transaction,
+  });
+  if (!last) return null;
+
+  const status = initialStatus(await loadWorkflow(last.project_id, { transaction }));
+  const next = await models.Task.create(
+    {
+      project_id: last.project_id,
+      parent_task_id: last.parent_task_id,
+      recurrence_id: series.id,
+      title: last.title,
+      description: last.description,
+      status: status.key,
+      status_category: status.category,
+      position: await nextPosition(last.project_id, status.key, { transaction }),
+      priority: last.priority,
+      due_at: series.next_due_at,
+      created_by: series.created_by,
+      assignee_id: last.assignee_id,
+      completed_at: null,
+    },
+    { transaction }
+  );
+  await recordTaskHistory(
+    { taskId: next.id, actorId: actorId ?? series.created_by, action: "CREATE" },
+    { transaction }
+  );
+
+  const links = await models.TaskTag.findAll({
+    where: { task_id: last.id },
+    attributes: ["tag_id"],
+    transaction,
+  });
+  if (links.length > 0) {
+    await models.TaskTag.bulkCreate(
+      links.map((l) => ({ task_id: next.id, tag_id: l.tag_id })),
+      { transaction }
+    );
+  }
+
+  series.occurrences += 1;
+  series.last_task_id = next.id;
+  series.next_due_at = planNext(series, next.due_at);
+  await series.save({ transaction });
+  return next;
+}
+
+/**
+ * 태스크가 DONE 카테고리로 간 뒤 호출 (save 이후, 같은 트랜잭션)
+ * - 시리즈의 마지막 인스턴스일 때만 다음 인스턴스 생성 → 다시 열었다 닫아도 중복 생성 없음
+ * @returns {object|null} 새 인스턴스
+ */
+export async function completeRecurringTask(task, { actorId, transaction }) {
+  const series = await findRecurrence(task, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!series || Number(series.last_task_id) !== Number(task.id)) return null;
+  return createNextInstance(series, { actorId, transaction });
+}
+
+// 스케줄 작업 대상: 진행 중인 시리즈 중 마지막 인스턴스 마감이 now 이전인 것
+export async function findDueRecurrences(now, { limit = 500 } = {}) {
+  return models.TaskRecurrence.findAll({
+    where: { next_due_at: { [Op.ne]: null }, deleted_at: null },
+    include: [
+      {
+        model: models.Task,
+        as: "lastTask",
+        attributes: [],
+        where: { due_at: { [Op.lte]: now }, deleted_at: null },
+      },
+    ],
+    attributes: ["id"],
+    order: [["id", "ASC"]],
+    limit,
+  });
+}
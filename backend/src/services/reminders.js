@@ -0,0 +1,188 @@
+// src/services/reminders.js
+import { Op, col } from "sequelize";
+import { env } from "../config/env.js";
+import { models } from "../models/index.js";
+import { sendMail } from "./mailer.js";
+import { notify } from "./notifications.js";
+
+/**
+ * 마감 알림
+ * - 담당자 있는 미완료(DONE 카테고리 아님) 태스크가 대상
+ * - 사용자별 리드 타임(마감 N시간 전) 임계값 + 마감 지남(OVERDUE) 임계값
+ * - 한 번 실행에서 태스크당 지금 해당하는 가장 가까운 임계값 하나만 발송 (늦게 돌아도 24h/1h를 한꺼번에 보내지 않음)
+ * - 중복 발송 방지는 Redis 키 (태스크 + 임계값 + due_at): 마감이 바뀌면 새로 알림
+ */
+
+export const MAX_LEAD_HOURS = 168;
+export const MAX_LEAD_ITEMS = 5;
+export const OVERDUE = "OVERDUE";
+
+// 마감이 이보다 오래 지난 태스크는 더 이상 스캔하지 않음
+export const OVERDUE_LOOKBACK_HOURS = 72;
+// dedupe 키는 스캔 범위(리드 타임 최대 + 지연 범위)보다 길게 유지
+const DEDUPE_TTL_SEC = (MAX_LEAD_HOURS + OVERDUE_LOOKBACK_HOURS + 24) * 60 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "24,1" → [24, 1] (내림차순, 중복 제거). 잘못된 값은 null
+function parseLeadList(raw) {
+  if (raw === "") return [];
+  const items = String(raw).split(",").map((s) => Number(s.trim()));
+  if (items.some((h) => !Number.isInteger(h) || h < 1 || h > MAX_LEAD_HOURS)) return null;
+  return [...new Set(items)].sort((a, b) => b - a);
+}
+
+const DEFAULT_LEAD_HOURS = parseLeadList(env.REMINDER_LEAD_HOURS) ?? [24];
+
+// 사용자 리드 타임 (저장값이 없거나 깨져 있으면 기본값)
+export function leadHoursOf(user) {
+  if (user.reminder_lead_hours === null || user.reminder_lead_hours === undefined) {
+    return DEFAULT_LEAD_HOURS;
+  }
+  return parseLeadList(user.reminder_lead_hours) ?? DEFAULT_LEAD_HOURS;
+}
+
+/**
+ * PUT /users/me/reminders body 검증
+ * - leadHours: 1..MAX_LEAD_HOURS 정수 배열(최대 MAX_LEAD_ITEMS개), [] = 끔, null = 기본값으로
+ * @returns {{ value: string | null } | { error: { code, message } }} users.reminder_lead_hours에 저장할 값
+ */
+export function parseReminderBody(body) {
+  if (!body || !("leadHours" in body)) {
+    return { error: { code: "BAD_REQUEST", message: "leadHours required" } };
+  }
+  const { leadHours } = body;
+  if (leadHours === null) return { value: null };
+
+  if (
+    !Array.isArray(leadHours) ||
+    leadHours.length > MAX_LEAD_ITEMS ||
+    leadHours.some((h) => !Number.isInteger(h) || h < 1 || h > MAX_LEAD_HOURS)
+  ) {
+    return {
+      error: {
+        code: "BAD_REQUEST",
+        message: `leadHours must be up to ${MAX_LEAD_ITEMS} integers between 1 and ${MAX_LEAD_HOURS}`,
+      },
+    };
+  }
+  return { value: parseLeadList(leadHours.join(",")).join(",") };
+}
+
+export function presentReminderSettings(user) {
+  return {
+    leadHours: leadHoursOf(user),
+    isDefault: user.reminder_lead_hours === null || user.reminder_lead_hours === undefined,
+  };
+}
+
+/**
+ * 지금 해당하는 가장 가까운 임계값. 없으면 null
+ * - 마감 지남 → OVERDUE, 아니면 남은 시간 <= h 인 리드 타임 중 가장 작은 h
+ */
+export function pickThreshold(dueAt, leadHours, now) {
+  const left = new Date(dueAt).getTime() - now.getTime();
+  if (left <= 0) return OVERDUE;
+  const hit = leadHours.filter((h) => left <= h * HOUR_MS);
+  return hit.length > 0 ? Math.min(...hit) : null;
+}
+
+export function reminderKey(task, threshold) {
+  const due = new Date(task.due_at).getTime();
+  return `reminder:task:${task.id}:${threshold === OVERDUE ? "overdue" : `${threshold}h`}:${due}`;
+}
+
+/**
+ * 발송 선점 (SET NX). 이미 보낸 임계값이면 false
+ * @param store ioredis 호환 클라이언트 (set/del)
+ */
+export async function claimReminder(store, key) {
+  const ok = await store.set(key, "1", "EX", DEDUPE_TTL_SEC, "NX");
+  return ok === "OK";
+}
+
+export async function releaseReminder(store, key) {
+  await store.del(key);
+}
+
+/**
+ * 알림 대상 후보: 마감이 (now - 지연 범위, now + 최대 리드 타임] 인 태스크 + 활성 담당자 + 살아 있는 프로젝트
+ * - 담당자가 워크스페이스에서 빠졌으면 제외 (멤버 제거는 담당을 풀지 않는다)
+ * - (due_at, id) 순 keyset 페이지. after = 이전 페이지 마지막 태스크 (끝까지 읽으려면 빈 페이지가 나올 때까지 반복)
+ */
+export async function findReminderCandidates(now, { after = null, limit = 1000 } = {}) {
+  const where = {
+    deleted_at: null,
+    status_category: { [Op.ne]: "DONE" },
+    assignee_id: { [Op.ne]: null },
+    due_at: {
+      [Op.gt]: new Date(now.getTime() - OVERDUE_LOOKBACK_HOURS * HOUR_MS),
+      [Op.lte]: new Date(now.getTime() + MAX_LEAD_HOURS * HOUR_MS),
+    },
+  };
+  if (after) {
+    where[Op.or] = [
+      { due_at: { [Op.gt]: after.due_at } },
+      { due_at: after.due_at, id: { [Op.gt]: after.id } },
+    ];
+  }
+
+  return models.Task.findAll({
+    where,
+    include: [
+      {
+        model: models.Project,
+        as: "project",
+        attributes: ["id", "name", "workspace_id"],
+        where: { deleted_at: null },
+      },
+      {
+        model: models.User,
+        as: "assignee",
+        attributes: ["id", "email", "name", "reminder_lead_hours"],
+        where: { status: "ACTIVE" },
+        include: [
+          {
+            model: models.WorkspaceMember,
+            as: "workspaceMemberships",
+            attributes: [],
+            required: true,
+            where: { workspace_id: { [Op.eq]: col("project.workspace_id") } },
+          },
+        ],
+      },
+    ],
+    order: [["due_at", "ASC"], ["id", "ASC"]],
+    limit,
+    // (workspace_id, user_id) UNIQUE라 태스크당 1행. limit을 조인 결과에 바로 건다
+    subQuery: false,
+  });
+}
+
+// 기본 발송: 담당자 인앱 알림 + 메일
+export async function sendReminder({ task, user, threshold }) {
+  const due = new Date(task.due_at).toISOString();
+  const overdue = threshold === OVERDUE;
+  await notify([user.id], {
+    type: overdue ? "TASK_OVERDUE" : "TASK_DUE_SOON",
+    workspaceId: task.project.workspace_id,
+    taskId: task.id,
+    data: {
+      title: task.title,
+      projectId: Number(task.project_id),
+      dueAt: due,
+      ...(overdue ? {} : { leadHours: threshold }),
+    },
+  });
+
+  if (!user.email) return null;
+  return sendMail({
+    to: user.email,
+    subject: overdue
+      ? `[${task.project.name}] 마감 지남: ${task.title}`
+      : `[${task.project.name}] 마감 ${threshold}시간 전: ${task.title}`,
+    text: overdue
+      ? `"${task.title}" 태스크의 마감(${due})이 지났습니다.\n`
+      : `"${task.title}" 태스크의 마감(${due})이 ${threshold}시간 안으로 다가왔습니다.\n`,
+  });
+}
@@ -0,0 +1,139 @@
+// src/services/search.js
+import { QueryTypes } from "sequelize";
+import { sequelize } from "../models/index.js";
+
+/**
+ * 워크스페이스 통합 검색 (MySQL FULLTEXT, ngram parser)
+ * - 타입별로 MATCH ... AGAINST (NATURAL LANGUAGE MODE) 점수 상위 N건을 가져와 점수순으로 합친다
+ * - 삭제된 항목(본인 또는 상위 프로젝트/태스크)은 제외
+ */
+
+export const SEARCH_TYPES = ["task", "comment", "project"];
+export const MIN_QUERY_LENGTH = 2; // ngram_token_size 기본값
+
+const SNIPPET_RADIUS = 60;
+
+// 타입별 FROM/WHERE + MATCH 대상 컬럼
+const SOURCES = {
+  task: {
+    match: "MATCH(t.title, t.description) AGAINST (:q IN NATURAL LANGUAGE MODE)",
+    from: `tasks t
+      JOIN projects p ON p.id = t.project_id
+      WHERE p.workspace_id = :workspaceId AND p.deleted_at IS NULL AND t.deleted_at IS NULL`,
+    select: "t.id, t.title, t.description AS body, t.status, t.project_id AS projectId",
+    tieBreak: "t.id",
+  },
+  comment: {
+    match: "MATCH(c.content) AGAINST (:q IN NATURAL LANGUAGE MODE)",
+    from: `comments c
+      JOIN tasks t ON t.id = c.task_id
+      JOIN projects p ON p.id = t.project_id
+      WHERE p.workspace_id = :workspaceId AND p.deleted_at IS NULL
+        AND t.deleted_at IS NULL AND c.deleted_at IS NULL`,
+    select:
+      "c.id, t.title AS title, c.content AS body, c.task_id AS taskId, t.project_id AS projectId, c.user_id AS authorId",
+    tieBreak: "c.id",
+  },
+  project: {
+    match: "MATCH(p.name, p.description) AGAINST (:q IN NATURAL LANGUAGE MODE)",
+    from: `projects p
+      WHERE p.workspace_id = :workspaceId AND p.deleted_at IS NULL`,
+    select: "p.id, p.name AS title, p.description AS body, p.status, p.id AS projectId",
+    tieBreak: "p.id",
+  },
+};
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 검색어가 처음 등장하는 위치 주변을 잘라 <mark>로 감싼 스니펫 (HTML escape 후 강조)
+ * - 검색어가 본문에 없으면 (ngram 부분 일치 등) 앞부분을 그대로 사용
+ */
+export function buildSnippet(text, q, radius = SNIPPET_RADIUS) {
+  if (!text) return null;
+
+  const terms = q.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (terms.length === 0) return escapeHtml(text.slice(0, radius * 2));
+  const re = new RegExp(terms.join("|"), "gi");
+
+  const first = text.search(re);
+  const start = first < 0 ? 0 : Math.max(0, first - radius);
+  const end = Math.min(text.length, (first < 0 ? 0 : first) + radius * 2);
+
+  let out = "";
+  let last = start;
+  const slice = text.slice(start, end);
+  for (const m of slice.matchAll(re)) {
+    out += escapeHtml(text.slice(last, start + m.index));
+    out += `<mark>${escapeHtml(m[0])}</mark>`;
+    last = start + m.index + m[0].length;
+  }
+  out += escapeHtml(text.slice(last, end));
+
+  return `${start > 0 ? "…" : ""}${out}${end < text.length ? "…" : ""}`;
+}
+
+// title: task/project는 강조 포함, comment는 소속 태스크 제목(강조 없음)
+function toHit(type, row, q) {
+  const hit = {
+    type,
+    id: Number(row.id),
+    score: Number(row.score),
+    title: type === "comment" ? escapeHtml(row.title) : buildSnippet(row.title, q),
+    snippet: buildSnippet(row.body ?? row.title, q),
+    projectId: Number(row.projectId),
+  };
+  if (type === "comment") {
+    hit.taskId = Number(row.taskId);
+    hit.authorId = Number(row.authorId);
+  } else {
+    hit.status = row.status;
+  }
+  return hit;
+}
+
+/**
+ * @returns {{ rows: object[], count: number }} toPageResult에 바로 넘길 수 있는 형태
+ */
+export async function searchWorkspace({ workspaceId, q, types = SEARCH_TYPES, offset = 0, limit = 20 }) {
+  const replacements = { workspaceId, q, take: offset + limit };
+
+  const perType = await Promise.all(
+    types.map(async (type) => {
+      const src = SOURCES[type];
+      const [rows, [{ count }]] = await Promise.all([
+        sequelize.query(
+          `SELECT ${src.select}, ${src.match} AS score
+             FROM ${src.from} AND ${src.match}
+            ORDER BY score DESC, ${src.tieBreak} DESC
+            LIMIT :take`,
+          { replacements, type: QueryTypes.SELECT }
+        ),
+        sequelize.query(`SELECT COUNT(*) AS count FROM ${src.from} AND ${src.match}`, {
+          replacements,
+          type: QueryTypes.SELECT,
+        }),
+      ]);
+      return { hits: rows.map((r) => toHit(type, r, q)), count: Number(count) };
+    })
+  );
+
+  const merged = perType
+    .flatMap((r) => r.hits)
+    .sort((a, b) => b.score - a.score || b.id - a.id);
+
+  return {
+    rows: merged.slice(offset, offset + limit),
+    count: perType.reduce((sum, r) => sum + r.count, 0),
+  };
+}
@@ -0,0 +1,112 @@
+// src/services/storage.js
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import { env } from "../config/env.js";
+
+/**
+ * 첨부 파일 저장소 추상화
+ * - driver: { put(key, buffer, { contentType }), get(key) → Readable | null, remove(key) }
+ * - key는 서버가 만든 값만 쓴다 (업로드 파일명은 key에 넣지 않음)
+ * - 기본은 env.ATTACHMENT_STORAGE 기준, 테스트에서는 setStorage로 교체 가능
+ */
+
+// 로컬 디스크: dir 아래에 key 경로 그대로
+export function localDiskStorage(dir = env.ATTACHMENT_LOCAL_DIR) {
+  const root = path.resolve(process.cwd(), dir);
+  const fileOf = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: "local",
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = fileOf(key);
+      try {
+        await fs.access(file);
+      } catch {
+        return null;
+      }
+      return createReadStream(file);
+    },
+    async remove(key) {
+      await fs.rm(fileOf(key), { force: true });
+    },
+  };
+}
+
+// S3 호환 (AWS S3, MinIO 등). SDK는 이 드라이버를 쓸 때만 불러온다
+export function s3Storage({
+  endpoint = env.S3_ENDPOINT,
+  region = env.S3_REGION,
+  bucket = env.S3_BUCKET,
+  accessKeyId = env.S3_ACCESS_KEY_ID,
+  secretAccessKey = env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = env.S3_FORCE_PATH_STYLE,
+} = {}) {
+  if (!bucket) throw new Error("Missing env: S3_BUCKET");
+
+  let sdk = null;
+  const client = async () => {
+    if (!sdk) {
+      const mod = await import("@aws-sdk/client-s3");
+      sdk = {
+        mod,
+        client: new mod.S3Client({
+          region,
+          forcePathStyle,
+          ...(endpoint ? { endpoint } : {}),
+          ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+        }),
+      };
+    }
+    return sdk;
+  };
+
+  return {
+    name: "s3",
+    async put(key, buffer, { contentType } = {}) {
+      const { mod, client: s3 } = await client();
+      await s3.send(
+        new mod.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })
+      );
+    },
+    async get(key) {
+      const { mod, client: s3 } = await client();
+      try {
+        const out = await s3.send(new mod.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return out.Body;
+      } catch (e) {
+        if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      const { mod, client: s3 } = await client();
+      await s3.send(new mod.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+const DRIVERS = {
+  local: localDiskStorage,
+  s3: s3Storage,
+};
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) storage = (DRIVERS[env.ATTACHMENT_STORAGE] ?? localDiskStorage)();
+  return storage;
+}
+
+export function setStorage(next) {
+  storage = next;
+}
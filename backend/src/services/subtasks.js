@@ -0,0 +1,82 @@
+// src/services/subtasks.js
+import { Op, fn, col, literal } from "sequelize";
+import { models } from "../models/index.js";
+
+/**
+ * 하위 태스크 (tasks.parent_task_id)
+ * - 최상위 태스크가 1단계. 에픽 → 단계 → 세부 단계까지 MAX_TASK_DEPTH 단계
+ * - 부모 지정은 생성 시에만 가능해서 순환이 생기지 않는다
+ */
+
+export const MAX_TASK_DEPTH = 3;
+
+// 최상위 = 1
+export async function getTaskDepth(task, { transaction } = {}) {
+  let depth = 1;
+  let parentId = task.parent_task_id;
+  while (parentId) {
+    depth += 1;
+    const parent = await models.Task.findByPk(parentId, {
+      attributes: ["id", "parent_task_id"],
+      paranoid: false,
+      transaction,
+    });
+    parentId = parent?.parent_task_id ?? null;
+  }
+  return depth;
+}
+
+/**
+ * 하위 태스크 id 전체 (자기 자신 제외, 단계별 BFS)
+ * @param {object} opts.where 추가 조건 (예: 살아 있는 것만 { deleted_at: null })
+ */
+export async function collectDescendantIds(taskIds, { where = {}, paranoid = true, transaction } = {}) {
+  const out = [];
+  let frontier = taskIds;
+  while (frontier.length > 0) {
+    const children = await models.Task.findAll({
+      where: { parent_task_id: { [Op.in]: frontier }, ...where },
+      attributes: ["id"],
+      paranoid,
+      transaction,
+    });
+    frontier = children.map((c) => c.id);
+    out.push(...frontier);
+  }
+  return out;
+}
+
+// DONE 카테고리가 아닌 직속 하위 태스크 수 (exceptIds: 같은 요청에서 함께 DONE 처리되는 태스크)
+export async function countOpenSubtasks(taskId, { exceptIds = [], transaction } = {}) {
+  const where = { parent_task_id: taskId, status_category: { [Op.ne]: "DONE" }, deleted_at: null };
+  if (exceptIds.length > 0) where.id = { [Op.notIn]: exceptIds };
+  return models.Task.count({ where, transaction });
+}
+
+/**
+ * 직속 하위 태스크 진행률을 붙인 JSON 목록
+ * - 한 번의 GROUP BY 쿼리로 계산, 하위 태스크가 없으면 { done: 0, total: 0 }
+ */
+export async function withProgress(tasks) {
+  if (tasks.length === 0) return [];
+
+  const rows = await models.Task.findAll({
+    where: { parent_task_id: { [Op.in]: tasks.map((t) => t.id) }, deleted_at: null },
+    attributes: [
+      "parent_task_id",
+      [fn("COUNT", col("id")), "total"],
+      [fn("SUM", literal("CASE WHEN status_category = 'DONE' THEN 1 ELSE 0 END")), "done"],
+    ],
+    group: ["parent_task_id"],
+    raw: true,
+  });
+  const byParent = new Map(rows.map((r) => [Number(r.parent_task_id), r]));
+
+  return tasks.map((t) => {
+    const r = byParent.get(Number(t.id));
+    return {
+      ...t.toJSON(),
+      progress: { done: Number(r?.done ?? 0), total: Number(r?.total ?? 0) },
+    };
+  });
+}
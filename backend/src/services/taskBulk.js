@@ -0,0 +1,266 @@
+// src/services/taskBulk.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { snapshotTask, diffTaskSnapshot, recordTaskHistory } from "./taskHistory.js";
+import {
+  validateTaskFields,
+  applyTaskFields,
+  applyStatus,
+  canDeleteTask,
+  loadTargetProject,
+} from "./taskMutations.js";
+import { checkMovable, moveDescendants } from "./taskTransfer.js";
+import { countOpenSubtasks, collectDescendantIds } from "./subtasks.js";
+import { GUARDED_CATEGORIES, findOpenBlockerIds } from "./taskDependencies.js";
+import { softDeleteTasks } from "./trash.js";
+import { loadWorkflow, findStatus, checkStatusChange, mapStatusTo } from "./workflows.js";
+import { placeAtEnd } from "./board.js";
+import { completeRecurringTask } from "./recurrence.js";
+import { notifyTaskChanges } from "./notifications.js";
+
+/**
+ * 태스크 일괄 변경
+ * - 요청 단위 검증(operations 형식, 태그/프로젝트 존재)은 트랜잭션 전에 끝낸다
+ * - 항목 단위 실패(없음/권한/워크플로우에 없는 상태)는 결과 리포트에 남기고 나머지는 계속 진행
+ * - status는 태스크가 (이동 후) 속한 프로젝트의 워크플로우 기준
+ * - DONE 가드(열린 하위 태스크/blocker)가 같은 요청의 아직 처리 안 된 태스크 때문에 걸리면 뒤로 미뤘다가 다시 시도
+ *   (실제로 DONE이 된 태스크만 통과 근거가 된다. 끝까지 안 풀리면 실패)
+ * - 모든 변경은 호출 측 트랜잭션 하나에서 실행
+ */
+
+export const MAX_BULK_TASKS = 100;
+
+const FIELD_OPS = ["status", "priority", "assigneeId", "dueAt"];
+
+function toIdList(v) {
+  if (v === undefined) return [];
+  if (!Array.isArray(v)) return null;
+  const ids = [...new Set(v.map(Number))];
+  return ids.every((n) => Number.isInteger(n) && n > 0) ? ids : null;
+}
+
+/**
+ * body 검증 + 정규화. 실패 시 { error: { code, message } }
+ * body: { taskIds: number[], operations: { status, priority, assigneeId, dueAt, addTagIds, removeTagIds, projectId, delete, force } }
+ */
+export async function parseBulkRequest(body, { workspaceId }) {
+  const taskIds = toIdList(body?.taskIds);
+  if (!taskIds || taskIds.length === 0) {
+    return { error: { code: "BAD_REQUEST", message: "taskIds required" } };
+  }
+  if (taskIds.length > MAX_BULK_TASKS) {
+    return { error: { code: "BAD_REQUEST", message: `taskIds must be <= ${MAX_BULK_TASKS}` } };
+  }
+
+  const ops = body.operations;
+  if (!ops || typeof ops !== "object" || Array.isArray(ops)) {
+    return { error: { code: "BAD_REQUEST", message: "operations required" } };
+  }
+
+  const fields = {};
+  for (const k of FIELD_OPS) if (ops[k] !== undefined) fields[k] = ops[k];
+
+  const invalid = await validateTaskFields(fields, { workspaceId });
+  if (invalid) return { error: invalid };
+
+  const addTagIds = toIdList(ops.addTagIds);
+  const removeTagIds = toIdList(ops.removeTagIds);
+  if (!addTagIds || !removeTagIds) {
+    return { error: { code: "BAD_REQUEST", message: "addTagIds/removeTagIds must be id arrays" } };
+  }
+
+  const remove = ops.delete === true;
+  const move = ops.projectId !== undefined;
+
+  const hasUpdate =
+    Object.keys(fields).length > 0 || addTagIds.length > 0 || removeTagIds.length > 0 || move;
+  if (!remove && !hasUpdate) {
+    return { error: { code: "BAD_REQUEST", message: "no operations" } };
+  }
+  if (remove && hasUpdate) {
+    return { error: { code: "BAD_REQUEST", message: "delete cannot be combined with other operations" } };
+  }
+
+  // 태그/대상 프로젝트는 같은 워크스페이스 소속이어야 한다
+  const tagIds = [...new Set([...addTagIds, ...removeTagIds])];
+  if (tagIds.length > 0) {
+    const found = await models.Tag.count({ where: { id: { [Op.in]: tagIds }, workspace_id: workspaceId } });
+    if (found !== tagIds.length) {
+      return { error: { code: "RESOURCE_NOT_FOUND", message: "tag not found in workspace" } };
+    }
+  }
+
+  let targetProject = null;
+  if (move) {
+    const target = await loadTargetProject(workspaceId, ops.projectId);
+    if (target.error) return { error: target.error };
+    targetProject = target.project;
+  }
+
+  const force = ops.force === true;
+
+  return { taskIds, fields, addTagIds, removeTagIds, targetProject, remove, force };
+}
+
+function failed(taskId, code, message) {
+  return { taskId, ok: false, error: { code, message } };
+}
+
+/**
+ * @returns {object[]} taskIds 순서대로 항목별 결과
+ *   성공: { taskId, ok: true, action: "UPDATE" | "DELETE", changes, nextTaskId? (반복 태스크 다음 인스턴스) }
+ *   실패: { taskId, ok: false, error: { code, message } }
+ */
+export async function runBulkTaskOperations(req, parsed, { transaction }) {
+  const { taskIds, fields, addTagIds, removeTagIds, targetProject, remove, force } = parsed;
+  const actorId = req.auth.userId;
+
+  const tasks = await models.Task.findAll({
+    where: { id: { [Op.in]: taskIds }, deleted_at: null },
+    include: [
+      {
+        model: models.Project,
+        as: "project",
+        where: { workspace_id: req.workspace.id, deleted_at: null },
+        attributes: ["id"],
+      },
+    ],
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  const byId = new Map(tasks.map((t) => [Number(t.id), t]));
+
+  // 이동: 같이 고른 최상위 태스크를 따라 움직이는 하위 태스크는 항목 단위로 옮기지 않는다
+  let carried = new Set();
+  if (targetProject) {
+    const roots = tasks.filter((t) => !t.parent_task_id).map((t) => t.id);
+    const ids = await collectDescendantIds(roots, { where: { deleted_at: null }, transaction });
+    carried = new Set(ids.map(Number));
+  }
+
+  // 프로젝트별 워크플로우는 요청 안에서 한 번씩만 읽는다
+  const workflows = new Map();
+  const workflowOf = async (projectId) => {
+    const key = Number(projectId);
+    if (!workflows.has(key)) workflows.set(key, await loadWorkflow(key, { transaction }));
+    return workflows.get(key);
+  };
+
+  // 항목 하나 처리. 아직 처리 안 된 태스크(pending) 때문에 DONE 가드에 걸리면 { deferred: 실패 결과 }
+  const runItem = async (taskId, pending) => {
+    const task = byId.get(taskId);
+    if (!task) return failed(taskId, "RESOURCE_NOT_FOUND", "task not found");
+
+    if (remove) {
+      if (!canDeleteTask(req, task)) {
+        return failed(taskId, "FORBIDDEN", "only task creator or workspace admin can delete");
+      }
+      await softDeleteTasks([task.id], { actorId, transaction });
+      return { taskId, ok: true, action: "DELETE", changes: [] };
+    }
+
+    const moving =
+      targetProject && !carried.has(taskId) && Number(task.project_id) !== Number(targetProject.id);
+    const notMovable = moving ? checkMovable(task) : null;
+    if (notMovable) return failed(taskId, notMovable.code, notMovable.message);
+
+    const workflow = await workflowOf(moving ? targetProject.id : task.project_id);
+    let target = null;
+    if (fields.status !== undefined) {
+      // 다른 프로젝트로 옮기면서 바꾸는 상태는 전이 규칙 대상이 아니다
+      const bad = checkStatusChange(workflow, moving ? null : task.status, fields.status);
+      if (bad) return failed(taskId, bad.code, bad.message);
+      if (moving || fields.status !== task.status) target = findStatus(workflow, fields.status);
+    }
+
+    // 같은 요청에서 아직 처리 안 된 하위 태스크가 열려 있으면 그 태스크가 끝난 뒤 다시 본다
+    if (target?.category === "DONE" && task.status_category !== "DONE" && !force) {
+      const open = await countOpenSubtasks(task.id, { transaction });
+      if (open > 0) {
+        const conflict = failed(taskId, "STATE_CONFLICT", "task has open subtasks");
+        const outside = await countOpenSubtasks(task.id, { exceptIds: [...pending], transaction });
+        return outside > 0 ? conflict : { deferred: conflict };
+      }
+    }
+    if (
+      target &&
+      GUARDED_CATEGORIES.includes(target.category) &&
+      target.category !== task.status_category &&
+      !force
+    ) {
+      const blockers = await findOpenBlockerIds(task.id, { transaction });
+      if (blockers.length > 0) {
+        const conflict = failed(taskId, "STATE_CONFLICT", "task is blocked by open tasks");
+        // 진행(IN_PROGRESS)으로 가는 요청은 blocker를 DONE으로 만들지 않으므로 기다릴 이유가 없다
+        const waitable = target.category === "DONE" && blockers.every((id) => pending.has(id));
+        return waitable ? { deferred: conflict } : conflict;
+      }
+    }
+
+    const completing = target?.category === "DONE" && task.status_category !== "DONE";
+    const before = snapshotTask(task);
+    applyTaskFields(task, { ...fields, status: undefined });
+    if (target) applyStatus(task, target);
+    if (moving) {
+      task.project_id = targetProject.id;
+      if (!target) applyStatus(task, mapStatusTo(workflow, task));
+    }
+    // 다른 보드 컬럼으로 가면 맨 아래
+    if (target || moving) await placeAtEnd(task, { transaction });
+    await task.save({ transaction });
+
+    const changes = diffTaskSnapshot(before, snapshotTask(task));
+    await recordTaskHistory({ taskId: task.id, actorId, action: "UPDATE", changes }, { transaction });
+    await notifyTaskChanges(task, changes, { actorId, workspaceId: req.workspace.id, transaction });
+    if (moving) await moveDescendants(task, targetProject, { actorId, workflow, transaction });
+
+    for (const tagId of addTagIds) {
+      await models.TaskTag.findOrCreate({
+        where: { task_id: task.id, tag_id: tagId },
+        defaults: { task_id: task.id, tag_id: tagId },
+        transaction,
+      });
+    }
+    if (removeTagIds.length > 0) {
+      await models.TaskTag.destroy({
+        where: { task_id: task.id, tag_id: { [Op.in]: removeTagIds } },
+        force: true,
+        transaction,
+      });
+    }
+
+    // 반복 태스크면 다음 인스턴스 (바뀐 태그까지 복사되도록 마지막에)
+    const nextTask = completing ? await completeRecurringTask(task, { actorId, transaction }) : null;
+
+    return {
+      taskId,
+      ok: true,
+      action: "UPDATE",
+      changes,
+      ...(nextTask ? { nextTaskId: nextTask.id } : {}),
+    };
+  };
+
+  // 미뤄진 항목이 하나도 풀리지 않는 라운드가 오면 남은 항목은 가드 실패로 끝낸다
+  const results = new Map();
+  let queue = taskIds;
+  while (queue.length > 0) {
+    const pending = new Set(queue);
+    const deferred = [];
+    for (const taskId of queue) {
+      pending.delete(taskId);
+      const out = await runItem(taskId, pending);
+      if (out.deferred) {
+        deferred.push(taskId);
+        pending.add(taskId);
+        results.set(taskId, out.deferred);
+      } else {
+        results.set(taskId, out);
+      }
+    }
+    if (deferred.length === queue.length) break;
+    queue = deferred;
+  }
+
+  return taskIds.map((taskId) => results.get(taskId));
+}
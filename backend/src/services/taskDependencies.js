@@ -0,0 +1,103 @@
+// src/services/taskDependencies.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+
+/**
+ * 태스크 선후 관계 (blocker → blocked)
+ * - 같은 워크스페이스 안에서만, 순환은 만들 수 없다
+ * - blocker가 DONE 카테고리가 아니면 blocked 태스크를 진행/완료 카테고리로 옮길 수 없다 (force로 경고만 받고 진행)
+ */
+
+// blocked가 이 카테고리로 가려면 blocker가 모두 DONE 카테고리여야 한다
+export const GUARDED_CATEGORIES = ["IN_PROGRESS", "DONE"];
+
+const SUMMARY_ATTRS = ["id", "project_id", "title", "status", "status_category"];
+
+/**
+ * blocker → blocked 링크를 추가하면 생기는 순환 경로. 없으면 null
+ * - blocked에서 blocks 방향으로 따라가서 blocker에 닿으면 순환
+ * @returns {number[] | null} [blocker, blocked, ..., blocker]
+ */
+export async function findCyclePath(blockerId, blockedId, { transaction } = {}) {
+  const from = new Map([[blockedId, null]]);
+  let frontier = [blockedId];
+
+  while (frontier.length > 0) {
+    const links = await models.TaskDependency.findAll({
+      where: { blocker_task_id: { [Op.in]: frontier } },
+      attributes: ["blocker_task_id", "blocked_task_id"],
+      transaction,
+    });
+
+    const next = [];
+    for (const l of links) {
+      const to = Number(l.blocked_task_id);
+      if (from.has(to)) continue;
+      from.set(to, Number(l.blocker_task_id));
+      if (to === blockerId) {
+        const path = [];
+        for (let cur = to; cur !== null; cur = from.get(cur)) path.unshift(cur);
+        return [blockerId, ...path];
+      }
+      next.push(to);
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+// DONE이 아닌 blocker id 목록 (exceptIds: 같은 요청에서 함께 DONE 처리되는 태스크)
+export async function findOpenBlockerIds(taskId, { exceptIds = [], transaction } = {}) {
+  const links = await models.TaskDependency.findAll({
+    where: { blocked_task_id: taskId },
+    attributes: ["blocker_task_id"],
+    include: [
+      {
+        model: models.Task,
+        as: "blocker",
+        attributes: [],
+        where: { status_category: { [Op.ne]: "DONE" }, deleted_at: null },
+      },
+    ],
+    transaction,
+  });
+  const except = new Set(exceptIds.map(Number));
+  return links.map((l) => Number(l.blocker_task_id)).filter((id) => !except.has(id));
+}
+
+/**
+ * blockedBy / blocking 목록을 붙인 JSON 목록
+ * - 항목: { dependencyId, id, project_id, title, status, status_category }, 삭제된 태스크와의 링크는 제외
+ */
+export async function withDependencies(tasks) {
+  if (tasks.length === 0) return [];
+
+  const plain = tasks.map((t) => (typeof t.toJSON === "function" ? t.toJSON() : t));
+  const ids = plain.map((t) => t.id);
+
+  const links = await models.TaskDependency.findAll({
+    where: {
+      [Op.or]: [{ blocker_task_id: { [Op.in]: ids } }, { blocked_task_id: { [Op.in]: ids } }],
+    },
+    include: [
+      { model: models.Task, as: "blocker", attributes: SUMMARY_ATTRS, where: { deleted_at: null } },
+      { model: models.Task, as: "blocked", attributes: SUMMARY_ATTRS, where: { deleted_at: null } },
+    ],
+    order: [["id", "ASC"]],
+  });
+
+  const summary = (link, task) => ({ dependencyId: link.id, ...task.toJSON() });
+
+  return plain.map((t) => {
+    const id = Number(t.id);
+    return {
+      ...t,
+      blockedBy: links
+        .filter((l) => Number(l.blocked_task_id) === id)
+        .map((l) => summary(l, l.blocker)),
+      blocking: links
+        .filter((l) => Number(l.blocker_task_id) === id)
+        .map((l) => summary(l, l.blocked)),
+    };
+  });
+}
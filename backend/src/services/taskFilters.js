@@ -0,0 +1,88 @@
+// src/services/taskFilters.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { STATUS_CATEGORIES } from "./workflows.js";
+import { enumSortFields } from "../utils/listQuery.js";
+
+const VALID_PRIORITY = ["LOW", "MEDIUM", "HIGH"];
+
+// 태스크 목록 공통 정렬 필드
+export const TASK_SORT_FIELDS = ["id", "created_at", "updated_at", "due_at", "status", "priority", "position"];
+
+// 여러 프로젝트(워크플로우)에 걸친 목록: status는 프로젝트마다 순서가 달라서 정렬 필드에서 뺀다
+export const CROSS_PROJECT_TASK_SORT_FIELDS = TASK_SORT_FIELDS.filter((f) => f !== "status");
+
+/**
+ * 한 프로젝트 태스크 목록의 parseSort/parseCursor enums 옵션
+ * - status는 VARCHAR라 그대로 두면 알파벳 순 → 워크플로우 상태 순서(position)로 정렬
+ */
+export async function projectTaskSortEnums(projectId) {
+  const statuses = await models.ProjectStatus.findAll({
+    where: { project_id: projectId },
+    attributes: ["key"],
+    order: [["position", "ASC"]],
+  });
+  const enums = enumSortFields(models.Task);
+  if (statuses.length > 0) {
+    enums.status = { column: `${models.Task.name}.status`, values: statuses.map((s) => s.key) };
+  }
+  return enums;
+}
+
+function toId(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * parseFilters 결과 → 태스크 목록 where / include
+ * - keyword: title/description LIKE
+ * - status: 프로젝트마다 워크플로우가 달라서 그대로 비교 (없는 key면 결과가 비어 있을 뿐)
+ * - statusCategory, priority: 허용값만 반영 (그 외는 무시)
+ * - assigneeId, projectId: 양의 정수만 반영
+ * - tagId: task_tags join (살아있는 연결만)
+ * - dueFrom/dueTo: due_at 범위 (YYYY-MM-DD)
+ * 프로젝트/워크스페이스 범위 조건은 호출 측에서 where/include에 추가한다.
+ */
+export function buildTaskFilters(f) {
+  const where = { deleted_at: null };
+  const include = [];
+
+  if (f.keyword) {
+    where[Op.or] = [
+      { title: { [Op.like]: `%${f.keyword}%` } },
+      { description: { [Op.like]: `%${f.keyword}%` } },
+    ];
+  }
+
+  if (f.status) where.status = f.status;
+  if (f.statusCategory && STATUS_CATEGORIES.includes(f.statusCategory)) {
+    where.status_category = f.statusCategory;
+  }
+  if (f.priority && VALID_PRIORITY.includes(f.priority)) where.priority = f.priority;
+
+  const assigneeId = toId(f.assigneeId);
+  if (assigneeId) where.assignee_id = assigneeId;
+
+  const projectId = toId(f.projectId);
+  if (projectId) where.project_id = projectId;
+
+  const tagId = toId(f.tagId);
+  if (tagId) {
+    include.push({
+      model: models.TaskTag,
+      as: "taskTags",
+      where: { tag_id: tagId },
+      attributes: [],
+      required: true,
+    });
+  }
+
+  if (f.dueFrom || f.dueTo) {
+    where.due_at = {};
+    if (f.dueFrom) where.due_at[Op.gte] = new Date(`${f.dueFrom}T00:00:00.000Z`);
+    if (f.dueTo) where.due_at[Op.lte] = new Date(`${f.dueTo}T23:59:59.999Z`);
+  }
+
+  return { where, include };
+}
@@ -0,0 +1,68 @@
+// src/services/taskHistory.js
+import { models } from "../models/index.js";
+
+// 이력을 남기는 태스크 필드 (DB 컬럼명 기준)
+export const TRACKED_TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "due_at",
+  "assignee_id",
+  "project_id", // 프로젝트 간 이동
+];
+
+const DATE_FIELDS = ["due_at"];
+
+// 요청 body에서 들어온 문자열 날짜와 DB에서 읽은 Date를 같은 표현으로 맞춘다
+function normalize(field, v) {
+  if (v === undefined || v === null) return null;
+  if (DATE_FIELDS.includes(field) && !(v instanceof Date)) v = new Date(v);
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.toISOString();
+  return String(v);
+}
+
+/**
+ * 태스크의 추적 필드 스냅샷 (문자열 정규화)
+ * - 변경 전에 찍어두고 save 후 diffTaskSnapshot으로 비교
+ */
+export function snapshotTask(task) {
+  const out = {};
+  for (const f of TRACKED_TASK_FIELDS) out[f] = normalize(f, task.get(f));
+  return out;
+}
+
+export function diffTaskSnapshot(before, after) {
+  const changes = [];
+  for (const f of TRACKED_TASK_FIELDS) {
+    if (before[f] !== after[f]) changes.push({ field: f, before: before[f], after: after[f] });
+  }
+  return changes;
+}
+
+function historyRows({ taskId, actorId, action, changes = [] }) {
+  if (action === "UPDATE") {
+    return changes.map((c) => ({
+      task_id: taskId,
+      actor_id: actorId,
+      action,
+      field: c.field,
+      old_value: c.before,
+      new_value: c.after,
+    }));
+  }
+  return [{ task_id: taskId, actor_id: actorId, action, field: null, old_value: null, new_value: null }];
+}
+
+/**
+ * 태스크 변경 이력 기록
+ * - UPDATE: 변경된 필드마다 1 row
+ * - CREATE/DELETE/RESTORE: field=null 1 row
+ * - entry 배열을 넘기면 여러 태스크 이력을 bulkCreate 한 번으로 기록
+ */
+export async function recordTaskHistory(entries, { transaction } = {}) {
+  const rows = (Array.isArray(entries) ? entries : [entries]).flatMap(historyRows);
+  if (rows.length === 0) return [];
+
+  return models.TaskHistory.bulkCreate(rows, { transaction });
+}
@@ -0,0 +1,161 @@
+// src/services/taskMutations.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { hasWorkspaceRole } from "../middlewares/requireWorkspaceMember.js";
+import { countOpenSubtasks, withProgress } from "./subtasks.js";
+import { GUARDED_CATEGORIES, findOpenBlockerIds, withDependencies } from "./taskDependencies.js";
+import { renderMarkdownDocs } from "./markdown.js";
+
+/**
+ * 태스크 단건/일괄 변경에서 같이 쓰는 검증 + 필드 반영
+ * - 단건 POST/PATCH 와 bulk 가 같은 규칙을 쓰도록 한곳에 모은다
+ * - status 값/전이 검증은 프로젝트 워크플로우 기준 (services/workflows.js checkStatusChange)
+ */
+
+export const VALID_PRIORITY = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * body(camelCase) 검증. 문제가 없으면 null, 있으면 sendError 인자 형태 { code, message, details? }
+ * - assigneeId는 그 워크스페이스 멤버여야 한다 (없는 사용자가 FK 오류 500으로 새지 않게)
+ */
+export async function validateTaskFields({ status, priority, dueAt, assigneeId }, { workspaceId }) {
+  if (status !== undefined && (typeof status !== "string" || !status.trim())) {
+    return { code: "BAD_REQUEST", message: "invalid status" };
+  }
+  if (priority !== undefined && !VALID_PRIORITY.includes(priority)) {
+    return { code: "BAD_REQUEST", message: "invalid priority" };
+  }
+  if (dueAt !== undefined && dueAt !== null && Number.isNaN(new Date(dueAt).getTime())) {
+    return { code: "BAD_REQUEST", message: "invalid dueAt" };
+  }
+  if (
+    assigneeId !== undefined &&
+    assigneeId !== null &&
+    !(Number.isInteger(Number(assigneeId)) && Number(assigneeId) > 0)
+  ) {
+    return { code: "BAD_REQUEST", message: "invalid assigneeId" };
+  }
+  if (assigneeId !== undefined && assigneeId !== null) {
+    const member = await models.WorkspaceMember.count({
+      where: { workspace_id: workspaceId, user_id: Number(assigneeId) },
+    });
+    if (member === 0) {
+      return {
+        code: "VALIDATION_FAILED",
+        message: "validation failed",
+        details: { assigneeId: "not a workspace member" },
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 상태 변경 반영: status + status_category, DONE 카테고리 진입/이탈 시 completed_at (stats activity 용)
+ * @param {object} status 워크플로우 상태 { key, category }
+ */
+export function applyStatus(task, status) {
+  if (status.category === "DONE" && task.status_category !== "DONE") task.completed_at = new Date();
+  if (status.category !== "DONE") task.completed_at = null;
+  task.status = status.key;
+  task.status_category = status.category;
+}
+
+/**
+ * 검증된 필드를 태스크 인스턴스에 반영 (save는 호출 측)
+ * - status는 workflow에 있는 key여야 한다 (checkStatusChange로 먼저 검사)
+ */
+export function applyTaskFields(task, { title, description, status, priority, dueAt, assigneeId }, workflow) {
+  if (title !== undefined) task.title = title;
+  if (description !== undefined) task.description = description;
+  if (status !== undefined && status !== task.status) {
+    applyStatus(task, workflow.statuses.find((s) => s.key === status));
+  }
+  if (priority !== undefined) task.priority = priority;
+  if (dueAt !== undefined) task.due_at = dueAt;
+  if (assigneeId !== undefined) task.assignee_id = assigneeId;
+}
+
+/**
+ * 상태 변경 가드 (단건 PATCH / 보드 이동 공통, bulk는 항목 실패로 따로 처리)
+ * - DONE 카테고리로: 열린 하위 태스크가 있으면 불가
+ * - IN_PROGRESS/DONE 카테고리로: DONE이 아닌 blocker가 있으면 불가 (같은 카테고리 안에서 컬럼만 옮기면 검사 안 함)
+ * - force=true면 진행하고 blocker는 warnings로 알림
+ * @param {object|null} target 바뀔 워크플로우 상태 (변경 없으면 null)
+ * @returns {{ error } | { warnings?: object[] }}
+ */
+export async function checkStatusGuards(task, target, { force = false } = {}) {
+  if (!target) return {};
+
+  if (target.category === "DONE" && task.status_category !== "DONE" && !force) {
+    const open = await countOpenSubtasks(task.id);
+    if (open > 0) {
+      return {
+        error: { code: "STATE_CONFLICT", message: "task has open subtasks", details: { openSubtasks: open } },
+      };
+    }
+  }
+
+  if (GUARDED_CATEGORIES.includes(target.category) && target.category !== task.status_category) {
+    const blockers = await findOpenBlockerIds(task.id);
+    if (blockers.length > 0 && !force) {
+      return {
+        error: { code: "STATE_CONFLICT", message: "task is blocked by open tasks", details: { blockers } },
+      };
+    }
+    if (blockers.length > 0) {
+      return { warnings: [{ code: "OPEN_BLOCKERS", message: "task is blocked by open tasks", blockers }] };
+    }
+  }
+  return {};
+}
+
+// 응답용 태스크 JSON: progress(하위 태스크) + blockedBy/blocking(선후 관계)
+export async function presentTasks(tasks) {
+  return withDescriptionHtml(await withDependencies(await withProgress(tasks)));
+}
+
+// description Markdown → descriptionHtml(sanitize) + taskLinks(#123). 링크는 태스크가 속한 워크스페이스 기준
+async function withDescriptionHtml(tasks) {
+  if (tasks.length === 0) return [];
+
+  const projects = await models.Project.findAll({
+    where: { id: { [Op.in]: [...new Set(tasks.map((t) => Number(t.project_id)))] } },
+    attributes: ["id", "workspace_id"],
+    paranoid: false,
+  });
+  const workspaceOf = new Map(projects.map((p) => [Number(p.id), p.workspace_id]));
+
+  const rendered = await renderMarkdownDocs(
+    tasks.map((t) => ({ source: t.description, workspaceId: workspaceOf.get(Number(t.project_id)) }))
+  );
+  return tasks.map((t, i) => ({
+    ...t,
+    descriptionHtml: rendered[i].html,
+    taskLinks: rendered[i].taskLinks,
+  }));
+}
+
+// 작성자 본인 또는 워크스페이스 ADMIN 이상만 삭제 가능
+export function canDeleteTask(req, task) {
+  return task.created_by === req.auth.userId || hasWorkspaceRole(req.workspaceRole, "ADMIN");
+}
+
+/**
+ * 이동/복제 대상 프로젝트 조회
+ * - 태그가 워크스페이스 단위라서 다른 워크스페이스로는 옮길 수 없다
+ * 실패 시 { error: { code, message } }
+ */
+export async function loadTargetProject(workspaceId, projectId) {
+  const id = Number(projectId);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: { code: "BAD_REQUEST", message: "invalid projectId" } };
+  }
+
+  const project = await models.Project.findOne({ where: { id, deleted_at: null } });
+  if (!project) return { error: { code: "RESOURCE_NOT_FOUND", message: "project not found" } };
+  if (Number(project.workspace_id) !== Number(workspaceId)) {
+    return { error: { code: "BAD_REQUEST", message: "cannot move tasks across workspaces" } };
+  }
+  return { project };
+}
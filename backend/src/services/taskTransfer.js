@@ -0,0 +1,129 @@
+// src/services/taskTransfer.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { snapshotTask, diffTaskSnapshot, recordTaskHistory } from "./taskHistory.js";
+import { collectDescendantIds } from "./subtasks.js";
+import { applyStatus } from "./taskMutations.js";
+import { loadWorkflow, mapStatusTo, initialStatus } from "./workflows.js";
+import { nextPosition, placeAtEnd } from "./board.js";
+
+/**
+ * 같은 워크스페이스 안에서 태스크 이동/복제
+ * - 대상 프로젝트 검증(loadTargetProject)은 호출 측에서 끝낸 상태
+ * - 댓글/태그 연결은 task_id 기준이라 이동 시 그대로 따라온다
+ * - 하위 태스크 트리는 항상 한 프로젝트에 있다: 부모를 옮기면 하위 태스크도 같이, 하위 태스크 단독 이동은 불가
+ * - 상태는 대상 프로젝트 워크플로우로 매핑 (mapStatusTo), 보드에서는 대상 컬럼 맨 아래
+ */
+
+// 하위 태스크 단독 이동 차단용. 문제 없으면 null
+export function checkMovable(task) {
+  if (task.parent_task_id) {
+    return { code: "BAD_REQUEST", message: "subtask cannot be moved alone; move its parent task" };
+  }
+  return null;
+}
+
+// 살아 있는 하위 태스크 전체를 대상 프로젝트로 (태스크마다 UPDATE(project_id, status) 이력)
+export async function moveDescendants(task, targetProject, { actorId, workflow, transaction }) {
+  const ids = await collectDescendantIds([task.id], { where: { deleted_at: null }, transaction });
+  if (ids.length === 0) return 0;
+
+  const target = workflow ?? (await loadWorkflow(targetProject.id, { transaction }));
+  const subtasks = await models.Task.findAll({ where: { id: { [Op.in]: ids } }, transaction });
+  for (const sub of subtasks) {
+    const before = snapshotTask(sub);
+    sub.project_id = targetProject.id;
+    applyStatus(sub, mapStatusTo(target, sub));
+    await placeAtEnd(sub, { transaction });
+    await sub.save({ transaction });
+    const changes = diffTaskSnapshot(before, snapshotTask(sub));
+    await recordTaskHistory({ taskId: sub.id, actorId, action: "UPDATE", changes }, { transaction });
+  }
+  return subtasks.length;
+}
+
+// project_id(+ 매핑된 status)를 바꾸고 UPDATE 이력 1건 (+ 하위 태스크)
+export async function moveTask(task, targetProject, { actorId, transaction }) {
+  const workflow = await loadWorkflow(targetProject.id, { transaction });
+  const before = snapshotTask(task);
+  task.project_id = targetProject.id;
+  applyStatus(task, mapStatusTo(workflow, task));
+  await placeAtEnd(task, { transaction });
+  await task.save({ transaction });
+
+  const changes = diffTaskSnapshot(before, snapshotTask(task));
+  await recordTaskHistory({ taskId: task.id, actorId, action: "UPDATE", changes }, { transaction });
+  await moveDescendants(task, targetProject, { actorId, workflow, transaction });
+  return changes;
+}
+
+/**
+ * 새 태스크로 복제 (작성자 = 복제한 사람, 상태는 대상 워크플로우의 기본 상태부터)
+ * - 태그 연결은 항상 복사, 댓글은 includeComments=true 일 때만 (원 작성자 유지)
+ * - 하위 태스크는 복제하지 않는다. 다른 프로젝트로 복제하면 최상위 태스크가 된다
+ * @returns {{ task, copiedTags: number, copiedComments: number }}
+ */
+export async function duplicateTask(task, targetProject, { actorId, title, includeComments = false, transaction }) {
+  const initial = initialStatus(await loadWorkflow(targetProject.id, { transaction }));
+  const copy = await models.Task.create(
+    {
+      project_id: targetProject.id,
+      parent_task_id:
+        Number(targetProject.id) === Number(task.project_id) ? task.parent_task_id : null,
+      title: title ?? task.title,
+      description: task.description,
+      status: initial.key,
+      status_category: initial.category,
+      position: await nextPosition(targetProject.id, initial.key, { transaction }),
+      priority: task.priority,
+      due_at: task.due_at,
+      created_by: actorId,
+      assignee_id: task.assignee_id,
+      completed_at: null,
+    },
+    { transaction }
+  );
+  await recordTaskHistory({ taskId: copy.id, actorId, action: "CREATE" }, { transaction });
+
+  const links = await models.TaskTag.findAll({
+    where: { task_id: task.id },
+    attributes: ["tag_id"],
+    transaction,
+  });
+  if (links.length > 0) {
+    await models.TaskTag.bulkCreate(
+      links.map((l) => ({ task_id: copy.id, tag_id: l.tag_id })),
+      { transaction }
+    );
+  }
+
+  let copiedComments = 0;
+  if (includeComments) {
+    const comments = await models.Comment.findAll({
+      where: { task_id: task.id, deleted_at: null },
+      attributes: ["id", "parent_comment_id", "user_id", "content"],
+      order: [["id", "ASC"]],
+      transaction,
+    });
+    const toRow = (c, parentId = null) => ({
+      task_id: copy.id,
+      parent_comment_id: parentId,
+      user_id: c.user_id,
+      content: c.content,
+    });
+
+    // 최상위 먼저 복사하고 답글은 새 부모에 연결 (부모가 삭제돼 복사되지 않은 답글은 최상위로)
+    const roots = comments.filter((c) => !c.parent_comment_id);
+    const created = await models.Comment.bulkCreate(roots.map((c) => toRow(c)), { transaction });
+    const newIdOf = new Map(roots.map((c, i) => [Number(c.id), created[i].id]));
+
+    const replies = comments.filter((c) => c.parent_comment_id);
+    await models.Comment.bulkCreate(
+      replies.map((c) => toRow(c, newIdOf.get(Number(c.parent_comment_id)) ?? null)),
+      { transaction }
+    );
+    copiedComments = comments.length;
+  }
+
+  return { task: copy, copiedTags: links.length, copiedComments };
+}
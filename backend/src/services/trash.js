@@ -0,0 +1,331 @@
+// src/services/trash.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { collectDescendantIds } from "./subtasks.js";
+import { findCyclePath } from "./taskDependencies.js";
+import { removeStoredFiles } from "./attachments.js";
+
+/**
+ * 연쇄 soft delete / 휴지통 복구 / 영구 삭제
+ * - 모든 함수는 호출 측 트랜잭션 안에서 실행한다
+ * - soft delete: 워크스페이스 → 프로젝트 → 태스크(+하위 태스크) → 댓글/첨부/태그 연결/선후 관계를 같은 deleted_at으로 표시
+ * - 복구: 부모의 deleted_at 이후에 삭제된 하위 데이터만 되돌린다 (먼저 개별 삭제된 것은 휴지통에 남김)
+ * - purge는 FK 순서대로 하위 데이터부터 hard delete. 첨부 파일은 커밋 후 저장소에서 삭제
+ */
+
+const alive = { deleted_at: null };
+
+// 선후 관계는 양쪽 끝 어느 태스크가 지워져도 같이 정리
+function byEitherEnd(taskIds) {
+  return {
+    [Op.or]: [{ blocker_task_id: { [Op.in]: taskIds } }, { blocked_task_id: { [Op.in]: taskIds } }],
+  };
+}
+
+// 태스크와 같이 삭제된 선후 관계 중 반대쪽 태스크가 살아 있는 것만 복구
+// 휴지통에 있는 동안 반대 방향 링크가 생겼을 수 있으므로, 되살리면 순환이 되는 링크는 휴지통에 남긴다
+async function restoreDependencies(task, { transaction }) {
+  const links = await models.TaskDependency.findAll({
+    where: { ...byEitherEnd([task.id]), deleted_at: { [Op.gte]: task.deleted_at } },
+    paranoid: false,
+    transaction,
+  });
+  if (links.length === 0) return;
+
+  const otherId = (l) =>
+    Number(l.blocker_task_id) === Number(task.id) ? l.blocked_task_id : l.blocker_task_id;
+  const aliveOthers = await models.Task.findAll({
+    where: { id: { [Op.in]: links.map(otherId) }, ...alive },
+    attributes: ["id"],
+    transaction,
+  });
+  const aliveIds = new Set(aliveOthers.map((t) => Number(t.id)));
+
+  // 하나씩 되살려야 앞서 복구한 링크까지 포함해서 순환을 검사할 수 있다
+  for (const l of links) {
+    if (!aliveIds.has(Number(otherId(l)))) continue;
+    const cycle = await findCyclePath(Number(l.blocker_task_id), Number(l.blocked_task_id), { transaction });
+    if (cycle) continue;
+    await models.TaskDependency.update(
+      { deleted_at: null },
+      { where: { id: l.id }, paranoid: false, transaction }
+    );
+  }
+}
+
+export async function softDeleteTasks(rootIds, { actorId, at = new Date(), transaction }) {
+  if (rootIds.length === 0) return 0;
+
+  // 부모만 지워지고 하위 태스크가 남는 일이 없도록 살아 있는 하위 태스크까지 포함
+  // (bulk 삭제에서 부모와 자식을 같이 고르면 자식은 이미 지워진 상태일 수 있다)
+  const roots = await models.Task.findAll({
+    where: { id: { [Op.in]: rootIds }, ...alive },
+    attributes: ["id"],
+    transaction,
+  });
+  const descendants = await collectDescendantIds(roots.map((t) => t.id), { where: alive, transaction });
+  const taskIds = [...new Set([...roots.map((t) => t.id), ...descendants].map(Number))];
+  if (taskIds.length === 0) return 0;
+
+  const byTask = { task_id: { [Op.in]: taskIds } };
+  await models.Comment.update({ deleted_at: at }, { where: { ...byTask, ...alive }, transaction });
+  await models.Attachment.update({ deleted_at: at }, { where: { ...byTask, ...alive }, transaction });
+  await models.TaskTag.update({ deleted_at: at }, { where: { ...byTask, ...alive }, transaction });
+  await models.TaskDependency.update(
+    { deleted_at: at },
+    { where: { ...byEitherEnd(taskIds), ...alive }, transaction }
+  );
+
+  await models.Task.update(
+    { deleted_at: at, deleted_by: actorId },
+    { where: { id: { [Op.in]: taskIds }, ...alive }, transaction }
+  );
+
+  await recordTaskHistory(
+    taskIds.map((taskId) => ({ taskId, actorId, action: "DELETE" })),
+    { transaction }
+  );
+  return taskIds.length;
+}
+
+export async function softDeleteProjects(projectIds, { actorId, at = new Date(), transaction }) {
+  if (projectIds.length === 0) return 0;
+
+  const tasks = await models.Task.findAll({
+    where: { project_id: { [Op.in]: projectIds }, ...alive },
+    attributes: ["id"],
+    transaction,
+  });
+  await softDeleteTasks(tasks.map((t) => t.id), { actorId, at, transaction });
+
+  const [count] = await models.Project.update(
+    { deleted_at: at, deleted_by: actorId },
+    { where: { id: { [Op.in]: projectIds }, ...alive }, transaction }
+  );
+  return count;
+}
+
+export async function softDeleteWorkspace(workspace, { actorId, at = new Date(), transaction }) {
+  const projects = await models.Project.findAll({
+    where: { workspace_id: workspace.id, ...alive },
+    attributes: ["id"],
+    transaction,
+  });
+  await softDeleteProjects(projects.map((p) => p.id), { actorId, at, transaction });
+
+  await models.Workspace.update(
+    { deleted_at: at, deleted_by: actorId },
+    { where: { id: workspace.id }, transaction }
+  );
+}
+
+// 부모와 같이(또는 그 이후에) 삭제된 하위 태스크
+async function findDeletedDescendants(task, { transaction }) {
+  const ids = await collectDescendantIds([task.id], {
+    where: { deleted_at: { [Op.gte]: task.deleted_at } },
+    paranoid: false,
+    transaction,
+  });
+  if (ids.length === 0) return [];
+  return models.Task.findAll({
+    where: { id: { [Op.in]: ids } },
+    attributes: ["id", "deleted_at"],
+    paranoid: false,
+    transaction,
+  });
+}
+
+// roots: deleted_at이 포함된 (paranoid: false로 읽은) 태스크 목록. 같이 삭제된 하위 태스크도 복구
+export async function restoreTasks(roots, { actorId, transaction }) {
+  if (roots.length === 0) return 0;
+
+  const byId = new Map(roots.map((t) => [Number(t.id), t]));
+  for (const root of roots) {
+    for (const d of await findDeletedDescendants(root, { transaction })) {
+      if (!byId.has(Number(d.id))) byId.set(Number(d.id), d);
+    }
+  }
+  const tasks = [...byId.values()];
+
+  for (const task of tasks) {
+    const since = { task_id: task.id, deleted_at: { [Op.gte]: task.deleted_at } };
+    await models.Comment.update({ deleted_at: null }, { where: since, paranoid: false, transaction });
+    await models.Attachment.update({ deleted_at: null }, { where: since, paranoid: false, transaction });
+    await models.TaskTag.update({ deleted_at: null }, { where: since, paranoid: false, transaction });
+  }
+
+  await models.Task.update(
+    { deleted_at: null, deleted_by: null },
+    { where: { id: { [Op.in]: tasks.map((t) => t.id) } }, paranoid: false, transaction }
+  );
+
+  // 같이 복구되는 태스크끼리의 링크도 살리려면 태스크를 먼저 되살린 뒤 처리
+  for (const task of tasks) {
+    await restoreDependencies(task, { transaction });
+  }
+
+  await recordTaskHistory(
+    tasks.map((task) => ({ taskId: task.id, actorId, action: "RESTORE" })),
+    { transaction }
+  );
+  return tasks.length;
+}
+
+/**
+ * 프로젝트 복구 + 프로젝트와 함께 삭제된 태스크(댓글/태그 연결 포함) 복구
+ */
+export async function restoreProject(project, { actorId, transaction }) {
+  const deletedAt = project.deleted_at;
+
+  await models.Project.update(
+    { deleted_at: null, deleted_by: null },
+    { where: { id: project.id }, paranoid: false, transaction }
+  );
+
+  const tasks = await models.Task.findAll({
+    where: { project_id: project.id, deleted_at: { [Op.gte]: deletedAt } },
+    attributes: ["id", "deleted_at"],
+    paranoid: false,
+    transaction,
+  });
+
+  const restoredTasks = await restoreTasks(tasks, { actorId, transaction });
+  return { restoredTasks };
+}
+
+export async function restoreWorkspace(workspace, { actorId, transaction }) {
+  const projects = await models.Project.findAll({
+    where: { workspace_id: workspace.id, deleted_at: { [Op.gte]: workspace.deleted_at } },
+    paranoid: false,
+    transaction,
+  });
+
+  let restoredTasks = 0;
+  for (const project of projects) {
+    restoredTasks += (await restoreProject(project, { actorId, transaction })).restoredTasks;
+  }
+
+  await models.Workspace.update(
+    { deleted_at: null, deleted_by: null },
+    { where: { id: workspace.id }, paranoid: false, transaction }
+  );
+  return { restoredProjects: projects.length, restoredTasks };
+}
+
+export async function purgeTasks(rootIds, { transaction }) {
+  if (rootIds.length === 0) return 0;
+
+  const descendants = await collectDescendantIds(rootIds, { paranoid: false, transaction });
+  const taskIds = [...new Set([...rootIds, ...descendants].map(Number))];
+
+  // 같은 DELETE 안에서 부모가 먼저 지워져도 FK에 걸리지 않도록 부모 연결부터 끊는다
+  await models.Task.update(
+    { parent_task_id: null },
+    { where: { id: { [Op.in]: taskIds } }, paranoid: false, transaction }
+  );
+
+  // 반복 시리즈의 마지막 인스턴스가 지워지면 시리즈도 더 이어갈 수 없다 → 시리즈째 정리
+  const series = await models.TaskRecurrence.findAll({
+    where: { last_task_id: { [Op.in]: taskIds } },
+    attributes: ["id"],
+    paranoid: false,
+    transaction,
+  });
+  if (series.length > 0) {
+    const seriesIds = series.map((s) => s.id);
+    await models.Task.update(
+      { recurrence_id: null },
+      { where: { recurrence_id: { [Op.in]: seriesIds } }, paranoid: false, transaction }
+    );
+    await models.TaskRecurrence.destroy({
+      where: { id: { [Op.in]: seriesIds } },
+      force: true,
+      transaction,
+    });
+  }
+
+  const byTask = { task_id: { [Op.in]: taskIds } };
+  await models.Notification.destroy({ where: byTask, transaction });
+  await models.TaskFollower.destroy({ where: byTask, transaction });
+  await models.TaskTag.destroy({ where: byTask, force: true, transaction });
+  await models.TaskDependency.destroy({ where: byEitherEnd(taskIds), force: true, transaction });
+  await models.TaskHistory.destroy({ where: byTask, transaction });
+
+  // 첨부 행은 지금 지우고 파일은 커밋된 뒤에 (롤백되면 파일이 남아 있어야 한다)
+  const attachments = await models.Attachment.findAll({
+    where: byTask,
+    attributes: ["storage_key"],
+    paranoid: false,
+    transaction,
+  });
+  await models.Attachment.destroy({ where: byTask, force: true, transaction });
+  if (attachments.length > 0) {
+    const keys = attachments.map((a) => a.storage_key);
+    transaction.afterCommit(() => removeStoredFiles(keys));
+  }
+
+  const comments = await models.Comment.findAll({
+    where: byTask,
+    attributes: ["id"],
+    paranoid: false,
+    transaction,
+  });
+  const byComment = { comment_id: { [Op.in]: comments.map((c) => c.id) } };
+  await models.CommentMention.destroy({ where: byComment, transaction });
+  await models.CommentReaction.destroy({ where: byComment, transaction });
+  await models.CommentRevision.destroy({ where: byComment, transaction });
+  // 답글 → 부모 FK: 같은 DELETE 안에서 부모가 먼저 지워져도 걸리지 않도록 끊어둔다
+  await models.Comment.update(
+    { parent_comment_id: null },
+    { where: byTask, paranoid: false, transaction }
+  );
+  await models.Comment.destroy({ where: byTask, force: true, transaction });
+
+  return models.Task.destroy({
+    where: { id: { [Op.in]: taskIds } },
+    force: true,
+    transaction,
+  });
+}
+
+export async function purgeProjects(projectIds, { transaction }) {
+  if (projectIds.length === 0) return 0;
+
+  const tasks = await models.Task.findAll({
+    where: { project_id: { [Op.in]: projectIds } },
+    attributes: ["id"],
+    paranoid: false,
+    transaction,
+  });
+  await purgeTasks(tasks.map((t) => t.id), { transaction });
+
+  const byProject = { project_id: { [Op.in]: projectIds } };
+  await models.ProjectStatusTransition.destroy({ where: byProject, transaction });
+  await models.ProjectStatus.destroy({ where: byProject, transaction });
+
+  return models.Project.destroy({
+    where: { id: { [Op.in]: projectIds } },
+    force: true,
+    transaction,
+  });
+}
+
+export async function purgeWorkspace(workspaceId, { transaction }) {
+  const projects = await models.Project.findAll({
+    where: { workspace_id: workspaceId },
+    attributes: ["id"],
+    paranoid: false,
+    transaction,
+  });
+  await purgeProjects(projects.map((p) => p.id), { transaction });
+
+  const byWorkspace = { workspace_id: workspaceId };
+  await models.Notification.destroy({ where: byWorkspace, transaction });
+  await models.Tag.destroy({ where: byWorkspace, transaction });
+  await models.WorkspaceInvitation.destroy({ where: byWorkspace, transaction });
+  await models.WorkspaceOwnershipTransfer.destroy({ where: byWorkspace, transaction });
+  await models.WorkspaceMember.destroy({ where: byWorkspace, transaction });
+
+  return models.Workspace.destroy({ where: { id: workspaceId }, force: true, transaction });
+}
@@ -0,0 +1,246 @@
+// src/services/workflows.js
+import { Op } from "sequelize";
+import { models } from "../models/index.js";
+import { recordTaskHistory } from "./taskHistory.js";
+import { placeAtEnd } from "./board.js";
+
+/**
+ * 프로젝트별 워크플로우
+ * - 상태 컬럼(key, name, position)마다 카테고리(TODO / IN_PROGRESS / DONE)를 가진다
+ * - 완료 판단(completed_at, 하위 태스크/선후 관계 검사)과 통계는 카테고리 기준 → tasks.status_category
+ * - 전이 규칙이 하나도 없으면 모든 전이 허용
+ */
+
+export const STATUS_CATEGORIES = ["TODO", "IN_PROGRESS", "DONE"];
+export const MAX_WORKFLOW_STATUSES = 20;
+
+// 새 프로젝트 / 기존 프로젝트 마이그레이션 기본값 (기존 TODO/DOING/DONE)
+export const DEFAULT_WORKFLOW = [
+  { key: "TODO", name: "To Do", category: "TODO" },
+  { key: "DOING", name: "Doing", category: "IN_PROGRESS" },
+  { key: "DONE", name: "Done", category: "DONE" },
+];
+
+const KEY_RE = /^[A-Z][A-Z0-9_]{0,39}$/;
+const MAX_NAME_LENGTH = 60;
+
+export async function createDefaultWorkflow(projectId, { transaction } = {}) {
+  await models.ProjectStatus.bulkCreate(
+    DEFAULT_WORKFLOW.map((s, i) => ({ project_id: projectId, ...s, position: i + 1 })),
+    { transaction }
+  );
+}
+
+/**
+ * @returns {{ statuses: object[], transitions: { from, to }[] }} statuses는 position 순
+ */
+export async function loadWorkflow(projectId, { transaction } = {}) {
+  const [statuses, transitions] = await Promise.all([
+    models.ProjectStatus.findAll({
+      where: { project_id: projectId },
+      attributes: ["key", "name", "category", "position"],
+      order: [["position", "ASC"]],
+      transaction,
+    }),
+    models.ProjectStatusTransition.findAll({
+      where: { project_id: projectId },
+      attributes: ["from_key", "to_key"],
+      order: [["id", "ASC"]],
+      transaction,
+    }),
+  ]);
+
+  return {
+    statuses: statuses.map((s) => s.toJSON()),
+    transitions: transitions.map((t) => ({ from: t.from_key, to: t.to_key })),
+  };
+}
+
+export function findStatus(workflow, key) {
+  return workflow.statuses.find((s) => s.key === key) ?? null;
+}
+
+// 새 태스크 기본 상태: 첫 TODO 카테고리 컬럼 (없으면 첫 컬럼)
+export function initialStatus(workflow) {
+  return workflow.statuses.find((s) => s.category === "TODO") ?? workflow.statuses[0];
+}
+
+/**
+ * 상태 변경 검증. 문제 없으면 null, 있으면 { code, message }
+ * - from이 null이면 생성 (전이 규칙 없음)
+ */
+export function checkStatusChange(workflow, from, to) {
+  if (!findStatus(workflow, to)) {
+    return { code: "BAD_REQUEST", message: "invalid status" };
+  }
+  if (from === null || from === to || workflow.transitions.length === 0) return null;
+
+  const allowed = workflow.transitions.some((t) => t.from === from && t.to === to);
+  return allowed ? null : { code: "STATE_CONFLICT", message: `transition ${from} -> ${to} not allowed` };
+}
+
+/**
+ * 다른 프로젝트로 옮길 때 상태 매핑
+ * - 같은 key가 있으면 그대로, 없으면 같은 카테고리의 첫 컬럼, 그것도 없으면 기본 상태
+ */
+export function mapStatusTo(workflow, task) {
+  return (
+    findStatus(workflow, task.status) ??
+    workflow.statuses.find((s) => s.category === task.status_category) ??
+    initialStatus(workflow)
+  );
+}
+
+/**
+ * PUT body 검증 + 정규화. 실패 시 { error: { code, message } }
+ * body: { statuses: [{ key, name, category }], transitions?: [{ from, to }], remap?: { OLD_KEY: NEW_KEY } }
+ */
+export function parseWorkflowBody(body) {
+  const bad = (message) => ({ error: { code: "BAD_REQUEST", message } });
+
+  const raw = body?.statuses;
+  if (!Array.isArray(raw) || raw.length === 0) return bad("statuses required");
+  if (raw.length > MAX_WORKFLOW_STATUSES) {
+    return bad(`statuses must be <= ${MAX_WORKFLOW_STATUSES}`);
+  }
+
+  const statuses = [];
+  for (const s of raw) {
+    const key = typeof s?.key === "string" ? s.key.trim().toUpperCase() : "";
+    if (!KEY_RE.test(key)) return bad("invalid status key");
+    if (statuses.some((x) => x.key === key)) return bad(`duplicate status key: ${key}`);
+    if (!STATUS_CATEGORIES.includes(s.category)) return bad(`invalid category: ${key}`);
+
+    const name = s.name === undefined ? key : String(s.name).trim();
+    if (!name || name.length > MAX_NAME_LENGTH) return bad(`invalid name: ${key}`);
+
+    statuses.push({ key, name, category: s.category, position: statuses.length + 1 });
+  }
+  if (!statuses.some((s) => s.category === "DONE")) {
+    return bad("at least one DONE category status required");
+  }
+
+  const keys = new Set(statuses.map((s) => s.key));
+
+  const transitions = [];
+  if (body.transitions !== undefined) {
+    if (!Array.isArray(body.transitions)) return bad("transitions must be an array");
+    for (const t of body.transitions) {
+      const from = String(t?.from ?? "").toUpperCase();
+      const to = String(t?.to ?? "").toUpperCase();
+      if (!keys.has(from) || !keys.has(to)) return bad("transition refers to unknown status");
+      if (from === to) return bad("transition from and to must differ");
+      if (!transitions.some((x) => x.from === from && x.to === to)) transitions.push({ from, to });
+    }
+  }
+
+  const remap = {};
+  if (body.remap !== undefined) {
+    if (!body.remap || typeof body.remap !== "object" || Array.isArray(body.remap)) {
+      return bad("remap must be an object");
+    }
+    for (const [from, to] of Object.entries(body.remap)) {
+      const target = String(to).toUpperCase();
+      if (!keys.has(target)) return bad(`remap target not in statuses: ${target}`);
+      remap[from.toUpperCase()] = target;
+    }
+  }
+
+  return { statuses, transitions, remap };
+}
+
+// 상태/카테고리가 바뀐 태스크의 status_category, completed_at 맞추기 (+ status 변경 이력)
+async function retargetTasks(projectId, fromKey, to, { actorId, transaction }) {
+  const tasks = await models.Task.findAll({
+    where: { project_id: projectId, status: fromKey },
+    paranoid: false,
+    transaction,
+  });
+
+  for (const task of tasks) {
+    const wasDone = task.status_category === "DONE";
+    task.status = to.key;
+    task.status_category = to.category;
+    if (to.category === "DONE" && !wasDone) task.completed_at = new Date();
+    if (to.category !== "DONE") task.completed_at = null;
+    // 합쳐지는 컬럼에서는 옮겨온 카드가 맨 아래
+    if (fromKey !== to.key) await placeAtEnd(task, { transaction });
+    await task.save({ transaction });
+
+    if (fromKey !== to.key) {
+      await recordTaskHistory(
+        {
+          taskId: task.id,
+          actorId,
+          action: "UPDATE",
+          changes: [{ field: "status", before: fromKey, after: to.key }],
+        },
+        { transaction }
+      );
+    }
+  }
+  return tasks.length;
+}
+
+/**
+ * 워크플로우 통째로 교체
+ * - 빠지는 상태를 쓰는 태스크(휴지통 포함)가 있으면 remap 필수 → 없으면 STATE_CONFLICT
+ * - 남는 상태의 카테고리가 바뀌면 해당 태스크의 status_category/completed_at도 갱신
+ * @returns {{ error } | { remappedTasks: number }}
+ */
+export async function replaceWorkflow(project, parsed, { actorId, transaction }) {
+  const { statuses, transitions, remap } = parsed;
+  const current = await loadWorkflow(project.id, { transaction });
+  const next = { statuses, transitions };
+
+  const removed = current.statuses.filter((s) => !findStatus(next, s.key));
+  const inUse = removed.length
+    ? await models.Task.findAll({
+        where: { project_id: project.id, status: { [Op.in]: removed.map((s) => s.key) } },
+        attributes: ["status"],
+        group: ["status"],
+        paranoid: false,
+        raw: true,
+        transaction,
+      })
+    : [];
+  const unmapped = inUse.map((r) => r.status).filter((k) => !remap[k]);
+  if (unmapped.length > 0) {
+    return {
+      error: {
+        code: "STATE_CONFLICT",
+        message: "statuses in use must be remapped",
+        details: { statuses: unmapped },
+      },
+    };
+  }
+
+  let remappedTasks = 0;
+  for (const { status: key } of inUse) {
+    remappedTasks += await retargetTasks(project.id, key, findStatus(next, remap[key]), {
+      actorId,
+      transaction,
+    });
+  }
+  for (const s of statuses) {
+    const before = findStatus(current, s.key);
+    if (before && before.category !== s.category) {
+      await retargetTasks(project.id, s.key, s, { actorId, transaction });
+    }
+  }
+
+  await models.ProjectStatus.destroy({ where: { project_id: project.id }, transaction });
+  await models.ProjectStatusTransition.destroy({ where: { project_id: project.id }, transaction });
+  await models.ProjectStatus.bulkCreate(
+    statuses.map((s) => ({ project_id: project.id, ...s })),
+    { transaction }
+  );
+  if (transitions.length > 0) {
+    await models.ProjectStatusTransition.bulkCreate(
+      transitions.map((t) => ({ project_id: project.id, from_key: t.from, to_key: t.to })),
+      { transaction }
+    );
+  }
+
+  return { remappedTasks };
+}
@@ -20,6 +20,12 @@ export const ERROR = Object.freeze({
   DUPLICATE_RESOURCE: { status: 409 },
   STATE_CONFLICT: { status: 409 },
 
+  // 413
+  PAYLOAD_TOO_LARGE: { status: 413 },
+
+  // 415
+  UNSUPPORTED_MEDIA_TYPE: { status: 415 },
+
   // 422
   UNPROCESSABLE_ENTITY: { status: 422 },
 
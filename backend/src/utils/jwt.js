@@ -26,14 +26,36 @@ export function signRefreshToken({ sub, role }) {
   return jwt.sign({ sub: String(sub), role, jti: crypto.randomUUID(), }, env.JWT_REFRESH_SECRET, { expiresIn: env.JWT_REFRESH_EXPIRES });
 }
 
+// access 토큰에는 typ이 없다. typ이 있으면 다른 용도(초대 등)로 발급된 토큰
 export function verifyAccessToken(token) {
-  return jwt.verify(token, env.JWT_ACCESS_SECRET);
+  const payload = jwt.verify(token, env.JWT_ACCESS_SECRET);
+  if (payload?.typ !== undefined) throw new jwt.JsonWebTokenError("invalid token type");
+  return payload;
 }
 
 export function verifyRefreshToken(token) {
   return jwt.verify(token, env.JWT_REFRESH_SECRET);
 }
 
+// 워크스페이스 초대 토큰 (typ으로 access/refresh 토큰과 구분)
+export function signInviteToken({ workspaceId, email }) {
+  return jwt.sign(
+    { typ: "invite", ws: String(workspaceId), email, jti: crypto.randomUUID() },
+    env.INVITE_TOKEN_SECRET,
+    { expiresIn: env.INVITE_TOKEN_EXPIRES }
+  );
+}
+
+export function verifyInviteToken(token) {
+  const payload = jwt.verify(token, env.INVITE_TOKEN_SECRET);
+  if (payload?.typ !== "invite") throw new jwt.JsonWebTokenError("invalid token type");
+  return payload;
+}
+
+export function inviteTtlSeconds() {
+  return parseExpiresToSeconds(env.INVITE_TOKEN_EXPIRES, 7 * 86400);
+}
+
 export function hashToken(token) {
   return crypto.createHash("sha256").update(token).digest("hex");
 }
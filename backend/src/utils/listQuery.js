@@ -1,3 +1,5 @@
+import { Op, fn, col, where as whereExpr } from "sequelize";
+
 // size 기본/최대: 네 과제 요구에 맞게 여기서 고정
 export function parsePagination(q) {
   const page = Math.max(1, parseInt(q.page ?? "1", 10));
@@ -6,7 +8,8 @@ export function parsePagination(q) {
   return { page, size, offset, limit: size };
 }
 
-export function parseSort(q, allowedFields, fallback = "createdAt,DESC") {
+// enums: enumSortFields(model) 형태. 여기 있는 필드는 값 목록 순서(FIELD(...))로 정렬
+export function parseSort(q, allowedFields, fallback = "createdAt,DESC", { enums = {} } = {}) {
   const raw = String(q.sort ?? fallback);
   const [fieldRaw, dirRaw] = raw.split(",");
   const field = fieldRaw?.trim();
@@ -17,7 +20,7 @@ export function parseSort(q, allowedFields, fallback = "createdAt,DESC") {
 
   return {
     sort: `${safeField},${safeDir}`,
-    order: [[safeField, safeDir]],
+    order: [[sortKey(safeField, enums[safeField]), safeDir]],
   };
 }
 
@@ -34,6 +37,7 @@ export function parseFilters(q) {
   return {
     keyword: pick("keyword"),
     status: pick("status"),
+    statusCategory: pick("statusCategory"),
     role: pick("role"),
 
     // 날짜
@@ -65,3 +69,122 @@ export function toPageResult({ rows, count }, page, size, sort) {
     ...(sort ? { sort } : {}),
   };
 }
+
+/**
+ * 커서(keyset) 페이지네이션 - opt-in
+ * - ?cursor=&limit= 중 하나라도 있으면 커서 모드 (첫 페이지는 cursor 비워서 요청)
+ * - 커서 = base64url(JSON{ s: 정렬, v: 마지막 행의 정렬 필드 값, id: 마지막 행 id })
+ * - COUNT(*) / OFFSET 없이 (정렬 필드, id) 기준으로 다음 행부터 limit+1개 조회
+ * - ENUM 필드는 ORDER BY가 선언 순서(인덱스)로 정렬하므로 keyset도 FIELD(...) 순서로 비교한다
+ *   (VARCHAR라도 순서가 정해진 값 목록을 넘기면 같은 방식. 예: 태스크 status = 워크플로우 상태 순서)
+ */
+const MAX_CURSOR_LIMIT = 100;
+
+function encodeCursor(sort, value, id) {
+  const v = value instanceof Date ? { d: value.toISOString() } : value ?? null;
+  return Buffer.from(JSON.stringify({ s: sort, v, id })).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (!c || typeof c.s !== "string" || !Number.isInteger(c.id)) return null;
+    const v = c.v && typeof c.v === "object" && typeof c.v.d === "string" ? new Date(c.v.d) : c.v;
+    if (v instanceof Date && Number.isNaN(v.getTime())) return null;
+    return { sort: c.s, value: v ?? null, id: c.id };
+  } catch {
+    return null;
+  }
+}
+
+function sortKey(field, enumField) {
+  return enumField ? fn("FIELD", col(enumField.column), ...enumField.values) : field;
+}
+
+/**
+ * 모델의 ENUM 속성 → parseSort/parseCursor의 enums 옵션
+ * @returns {{ [field: string]: { column: string, values: string[] } }}
+ */
+export function enumSortFields(model) {
+  const out = {};
+  for (const [name, attr] of Object.entries(model.rawAttributes)) {
+    if (attr.type?.key !== "ENUM") continue;
+    out[name] = { column: `${model.name}.${attr.field ?? name}`, values: attr.values ?? attr.type.values };
+  }
+  return out;
+}
+
+// 커서 모드가 아니면 null, 잘못된 커서면 { invalid: true }
+// sort: parseSort가 돌려준 "field,DIR", enums: enumSortFields(model) (정렬 필드가 ENUM일 때만 쓰인다)
+export function parseCursor(q, sort, { enums = {} } = {}) {
+  if (q.cursor === undefined && q.limit === undefined) return null;
+
+  const limit = Math.min(MAX_CURSOR_LIMIT, Math.max(1, parseInt(q.limit ?? "20", 10) || 20));
+  const [field, dir] = sort.split(",");
+  const enumField = enums[field] ?? null;
+
+  let after = null;
+  const raw = String(q.cursor ?? "").trim();
+  if (raw) {
+    after = decodeCursor(raw);
+    // 정렬이 바뀌면 이전 커서는 의미가 없다
+    if (!after || after.sort !== sort) return { invalid: true };
+    if (enumField && after.value !== null && !enumField.values.includes(after.value)) return { invalid: true };
+  }
+
+  return {
+    invalid: false,
+    sort,
+    field,
+    dir,
+    limit,
+    after,
+    enumField,
+    order: field === "id" ? [["id", dir]] : [[sortKey(field, enumField), dir], ["id", dir]],
+  };
+}
+
+// 기존 where에 "마지막 행 다음" 조건을 AND로 추가 (MySQL: NULL은 ASC 맨 앞 / DESC 맨 뒤)
+export function withCursor(where, cursor) {
+  if (!cursor.after) return where;
+
+  const { field, dir, after, enumField } = cursor;
+  const cmp = dir === "ASC" ? Op.gt : Op.lt;
+  const idAfter = { id: { [cmp]: after.id } };
+
+  let keyset;
+  if (field === "id") {
+    keyset = idAfter;
+  } else if (after.value === null) {
+    keyset =
+      dir === "ASC"
+        ? { [Op.or]: [{ [field]: null, ...idAfter }, { [field]: { [Op.ne]: null } }] }
+        : { [field]: null, ...idAfter };
+  } else {
+    const beyond = enumField
+      ? whereExpr(fn("FIELD", col(enumField.column), ...enumField.values), {
+          [cmp]: enumField.values.indexOf(after.value) + 1,
+        })
+      : { [field]: { [cmp]: after.value } };
+    const or = [beyond, { [field]: after.value, ...idAfter }];
+    if (dir === "DESC") or.push({ [field]: null });
+    keyset = { [Op.or]: or };
+  }
+
+  return { ...where, [Op.and]: [...(where[Op.and] ?? []), keyset] };
+}
+
+// rows: limit+1개까지 조회한 모델 인스턴스, mapRow: 응답용 변환 (커서는 변환 전 값으로 만든다)
+export function toCursorResult(rows, cursor, mapRow = (r) => r) {
+  const hasNext = rows.length > cursor.limit;
+  const page = rows.slice(0, cursor.limit);
+  const last = page[page.length - 1];
+
+  return {
+    content: page.map(mapRow),
+    limit: cursor.limit,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(cursor.sort, last.get(cursor.field), last.get("id")) : null,
+    sort: cursor.sort,
+  };
+}
@@ -0,0 +1,71 @@
+// src/workers/dueReminders.js
+import { pathToFileURL } from "url";
+import { sequelize } from "../models/index.js";
+import { redis } from "../config/redis.js";
+import {
+  findReminderCandidates,
+  leadHoursOf,
+  pickThreshold,
+  reminderKey,
+  claimReminder,
+  releaseReminder,
+  sendReminder,
+} from "../services/reminders.js";
+
+/**
+ * 마감 임박/지연 알림 스케줄 작업
+ * - 담당자별 리드 타임 기준으로 지금 해당하는 임계값 하나를 태스크당 한 번만 발송 (Redis SET NX로 선점)
+ * - 발송 실패 시 선점을 풀어서 다음 실행에서 다시 시도
+ * - 후보는 batchSize씩 (due_at, id) 순으로 끝까지 읽는다 (이미 보낸 태스크가 앞쪽을 채워도 뒤쪽이 밀리지 않게)
+ * - now/store/notify/batchSize 주입 가능 (테스트에서 시계/Redis/발송 교체)
+ * - cron 등에서 `npm run tasks:remind` 로 실행 (API 서버와 별도 프로세스)
+ */
+export async function runDueReminders({
+  now = new Date(),
+  store = redis,
+  notify = sendReminder,
+  batchSize = 500,
+} = {}) {
+  const summary = { asOf: now.toISOString(), scanned: 0, sent: 0, skipped: 0, failed: 0 };
+
+  let after = null;
+  for (;;) {
+    const tasks = await findReminderCandidates(now, { after, limit: batchSize });
+    for (const task of tasks) {
+      summary.scanned += 1;
+      const user = task.assignee;
+      const threshold = pickThreshold(task.due_at, leadHoursOf(user), now);
+      if (threshold === null) continue;
+
+      const key = reminderKey(task, threshold);
+      if (!(await claimReminder(store, key))) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      try {
+        await notify({ task, user, threshold, now });
+        summary.sent += 1;
+      } catch (e) {
+        summary.failed += 1;
+        await releaseReminder(store, key);
+        console.error(`[remind] task ${task.id} (${threshold}) failed:`, e.message);
+      }
+    }
+
+    if (tasks.length < batchSize) break;
+    after = tasks[tasks.length - 1];
+  }
+
+  return summary;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runDueReminders()
+    .then((summary) => console.log("[remind] done:", summary))
+    .catch((e) => {
+      console.error("[remind] failed:", e);
+      process.exitCode = 1;
+    })
+    .finally(() => Promise.all([sequelize.close(), redis.quit()]));
+}
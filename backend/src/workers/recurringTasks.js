@@ -0,0 +1,60 @@
+// src/workers/recurringTasks.js
+import { pathToFileURL } from "url";
+import { models, sequelize } from "../models/index.js";
+import { findDueRecurrences, createNextInstance } from "../services/recurrence.js";
+
+// 오래 못 돌았을 때 한 번에 따라잡는 인스턴스 수 (시리즈당)
+const MAX_CATCH_UP = 30;
+
+/**
+ * 반복 태스크 스케줄 작업
+ * - 마지막 인스턴스 마감(due_at)이 now 이전인 시리즈에 다음 인스턴스 생성 (DONE 처리를 안 해도 다음 주기 태스크가 생긴다)
+ * - 새 인스턴스 마감도 이미 지났으면 now를 넘을 때까지 이어서 생성 (MAX_CATCH_UP까지)
+ * - 시리즈 단위 트랜잭션 + 행 잠금: DONE 처리와 동시에 돌아도 중복 생성 없음
+ * - cron 등에서 `npm run tasks:recur` 로 실행
+ */
+export async function runRecurringTasks({ now = new Date() } = {}) {
+  const summary = { asOf: now.toISOString(), series: 0, created: 0, failed: 0 };
+
+  const due = await findDueRecurrences(now);
+  for (const { id } of due) {
+    try {
+      const created = await sequelize.transaction(async (t) => {
+        const series = await models.TaskRecurrence.findOne({
+          where: { id, deleted_at: null },
+          transaction: t,
+          lock: t.LOCK.UPDATE,
+        });
+        let n = 0;
+        while (series && n < MAX_CATCH_UP) {
+          const last = await models.Task.findOne({
+            where: { id: series.last_task_id, deleted_at: null },
+            attributes: ["due_at"],
+            transaction: t,
+          });
+          if (!last?.due_at || last.due_at > now) break;
+          if (!(await createNextInstance(series, { transaction: t }))) break;
+          n += 1;
+        }
+        return n;
+      });
+      summary.series += 1;
+      summary.created += created;
+    } catch (e) {
+      summary.failed += 1;
+      console.error(`[recur] series ${id} failed:`, e.message);
+    }
+  }
+
+  return summary;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runRecurringTasks()
+    .then((summary) => console.log("[recur] done:", summary))
+    .catch((e) => {
+      console.error("[recur] failed:", e);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
@@ -0,0 +1,51 @@
+// src/workers/trashRetention.js
+import { pathToFileURL } from "url";
+import { Op } from "sequelize";
+import { env } from "../config/env.js";
+import { models, sequelize } from "../models/index.js";
+import { purgeTasks, purgeProjects, purgeWorkspace } from "../services/trash.js";
+
+/**
+ * 휴지통 보관 기간(TRASH_RETENTION_DAYS)이 지난 항목 영구 삭제
+ * - 워크스페이스 → 프로젝트 → 태스크 순서 (상위 purge가 하위를 같이 정리)
+ * - 항목 단위 트랜잭션: 하나가 실패해도 나머지는 계속 진행
+ * - cron 등에서 `npm run trash:purge` 로 실행
+ */
+export async function runTrashRetention({ now = new Date(), days = env.TRASH_RETENTION_DAYS } = {}) {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const expired = { deleted_at: { [Op.ne]: null, [Op.lt]: cutoff } };
+  const summary = { cutoff: cutoff.toISOString(), workspaces: 0, projects: 0, tasks: 0, failed: 0 };
+
+  const purgeEach = async (rows, key, purge) => {
+    for (const row of rows) {
+      try {
+        await sequelize.transaction((t) => purge(row.id, t));
+        summary[key] += 1;
+      } catch (e) {
+        summary.failed += 1;
+        console.error(`[trash] purge ${key} ${row.id} failed:`, e.message);
+      }
+    }
+  };
+
+  const workspaces = await models.Workspace.findAll({ where: expired, attributes: ["id"], paranoid: false });
+  await purgeEach(workspaces, "workspaces", (id, t) => purgeWorkspace(id, { transaction: t }));
+
+  const projects = await models.Project.findAll({ where: expired, attributes: ["id"], paranoid: false });
+  await purgeEach(projects, "projects", (id, t) => purgeProjects([id], { transaction: t }));
+
+  const tasks = await models.Task.findAll({ where: expired, attributes: ["id"], paranoid: false });
+  await purgeEach(tasks, "tasks", (id, t) => purgeTasks([id], { transaction: t }));
+
+  return summary;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runTrashRetention()
+    .then((summary) => console.log("[trash] retention done:", summary))
+    .catch((e) => {
+      console.error("[trash] retention failed:", e);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
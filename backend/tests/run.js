@@ -1,6 +1,11 @@
 import request from 'supertest';
+import { Readable } from 'stream';
 import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
 import { app } from '../src/app.js'; 
+import { env } from '../src/config/env.js';
+import { setMailTransport } from '../src/services/mailer.js';
+import { setStorage } from '../src/services/storage.js';
 
 describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)', function() {
   this.timeout(10000);
@@ -11,6 +16,21 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
   let taskId;
   let tagId;
   let commentId;
+  let inviteToken;
+  let inviteeCookie;
+
+  // 초대 메일은 outbox 대신 메모리로 받는다
+  const sentMails = [];
+  setMailTransport(async (message) => { sentMails.push(message); });
+
+  // 첨부 파일은 디스크 대신 메모리 저장소로
+  const storedFiles = new Map();
+  setStorage({
+    name: 'memory',
+    async put(key, buffer) { storedFiles.set(key, buffer); },
+    async get(key) { return storedFiles.has(key) ? Readable.from([storedFiles.get(key)]) : null; },
+    async remove(key) { storedFiles.delete(key); },
+  });
 
   const testUser = {
     email: `test_${Date.now()}@example.com`,
@@ -18,6 +38,12 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     name: 'user1'
   };
 
+  const inviteeUser = {
+    email: `invitee_${Date.now()}@example.com`,
+    password: 'Password123!',
+    name: 'user2'
+  };
+
   it('1. 회원가입: Post /api/auth/signup', async () => {
     const res = await request(app)
       .post('/api/auth/signup')
@@ -109,6 +135,81 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(200);
   });
 
+  it('11-1. 워크스페이스 전체 태스크 검색: Get /api/workspaces/:id/tasks?tagId=', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/tasks?tagId=${tagId}&sort=due_at,ASC`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content.map((t) => t.id)).to.include(taskId);
+    expect(res.body.content[0].project.id).to.equal(projectId);
+  });
+
+  it('11-2. 내 태스크: Get /api/users/me/tasks?relation=created', async () => {
+    const res = await request(app)
+      .get(`/api/users/me/tasks?relation=created&workspaceId=${workspaceId}`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    const mine = res.body.content.find((t) => t.id === taskId);
+    expect(mine.project.workspace.id).to.equal(workspaceId);
+  });
+
+  it('11-3. 통합 검색: Get /api/workspaces/:id/search?q=', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/search?q=Comment&types=comment,task`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    const hit = res.body.content.find((h) => h.type === 'comment' && h.id === commentId);
+    expect(hit.snippet).to.include('<mark>Comment</mark>');
+
+    const tooDeep = await request(app)
+      .get(`/api/workspaces/${workspaceId}/search?q=Comment&page=100000&size=50`)
+      .set('Cookie', authCookie);
+    expect(tooDeep.status).to.equal(400);
+  });
+
+  it('11-4. 커서 페이지네이션: Get .../tasks?cursor=&limit=1', async () => {
+    const first = await request(app)
+      .get(`/api/workspaces/${workspaceId}/tasks?cursor=&limit=1&sort=id,ASC`)
+      .set('Cookie', authCookie);
+    expect(first.status).to.equal(200);
+    expect(first.body).to.include.keys('content', 'limit', 'hasNext', 'nextCursor');
+    expect(first.body).to.not.have.property('totalElements');
+
+    const bad = await request(app)
+      .get(`/api/workspaces/${workspaceId}/tasks?cursor=not-a-cursor&limit=1`)
+      .set('Cookie', authCookie);
+    expect(bad.status).to.equal(400);
+  });
+
+  it('11-5. 커서 페이지네이션: ENUM(priority) 정렬도 빠짐/중복 없이 순회', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    for (const priority of ['HIGH', 'LOW', 'MEDIUM']) {
+      const created = await request(app).post(base).set('Cookie', authCookie).send({ title: `p-${priority}`, priority });
+      expect(created.status).to.equal(201);
+    }
+    const all = await request(app).get(`${base}?size=50`).set('Cookie', authCookie);
+    const rank = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+    for (const dir of ['ASC', 'DESC']) {
+      const seen = [];
+      let cursor = '';
+      do {
+        const res = await request(app)
+          .get(`${base}?cursor=${cursor}&limit=1&sort=priority,${dir}`)
+          .set('Cookie', authCookie);
+        expect(res.status).to.equal(200);
+        seen.push(...res.body.content);
+        cursor = res.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).to.have.length(all.body.totalElements);
+      expect(new Set(seen.map((t) => t.id)).size).to.equal(all.body.totalElements);
+      const ranks = seen.map((t) => rank[t.priority]);
+      const sorted = [...ranks].sort((a, b) => (dir === 'ASC' ? a - b : b - a));
+      expect(ranks).to.deep.equal(sorted);
+    }
+  });
+
   it('12. 태스크 정보 수정: Patch .../tasks/:id', async () => {
     const res = await request(app)
       .patch(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
@@ -117,6 +218,267 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(200);
   });
 
+  it('12-1. 태스크 변경 이력: Get .../tasks/:id/history', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/history?field=status`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content[0]).to.include({ action: 'UPDATE', old_value: 'TODO', new_value: 'DOING' });
+  });
+
+  it('12-2. 태스크 일괄 변경: Post /api/workspaces/:id/tasks/bulk', async () => {
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/tasks/bulk`)
+      .set('Cookie', authCookie)
+      .send({ taskIds: [taskId, 999999999], operations: { priority: 'HIGH' } });
+    expect(res.status).to.equal(200);
+    expect(res.body.succeeded).to.equal(1);
+    expect(res.body.results[1].error.code).to.equal('RESOURCE_NOT_FOUND');
+
+    // 멤버가 아닌 담당자는 단건 PATCH와 같은 검증으로 400 (FK 오류 500 아님)
+    const badAssignee = await request(app)
+      .post(`/api/workspaces/${workspaceId}/tasks/bulk`)
+      .set('Cookie', authCookie)
+      .send({ taskIds: [taskId], operations: { assigneeId: 999999999 } });
+    expect(badAssignee.status).to.equal(400);
+    expect(badAssignee.body.code).to.equal('VALIDATION_FAILED');
+
+    const single = await request(app)
+      .patch(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
+      .set('Cookie', authCookie)
+      .send({ assigneeId: 999999999 });
+    expect(single.status).to.equal(400);
+    expect(single.body.code).to.equal('VALIDATION_FAILED');
+  });
+
+  it('12-3. 태스크 복제: Post .../tasks/:id/duplicate (태그 + 댓글)', async () => {
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/duplicate`)
+      .set('Cookie', authCookie)
+      .send({ includeComments: true });
+    expect(res.status).to.equal(201);
+    expect(res.body.task.status).to.equal('TODO');
+    expect(res.body.copiedTags).to.equal(1);
+    expect(res.body.copiedComments).to.equal(1);
+
+    const same = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${res.body.task.id}/move`)
+      .set('Cookie', authCookie)
+      .send({ projectId });
+    expect(same.status).to.equal(400);
+  });
+
+  it('12-4. 하위 태스크: Post .../tasks/:id/subtasks + 열린 하위 태스크가 있으면 DONE 불가', async () => {
+    const sub = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/subtasks`)
+      .set('Cookie', authCookie)
+      .send({ title: 'Step 1' });
+    expect(sub.status).to.equal(201);
+    expect(sub.body.task.parent_task_id).to.equal(taskId);
+
+    const done = await request(app)
+      .patch(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
+      .set('Cookie', authCookie)
+      .send({ status: 'DONE' });
+    expect(done.status).to.equal(409);
+
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
+      .set('Cookie', authCookie);
+    expect(res.body.task.progress).to.deep.equal({ done: 0, total: 1 });
+  });
+
+  it('12-5. 선후 관계: Post .../tasks/:id/dependencies + 순환 거부 + blocker 미완료 시 진행 불가', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const next = await request(app).post(base).set('Cookie', authCookie).send({ title: 'Blocked Task' });
+    const nextId = next.body.task.id;
+
+    const dep = await request(app)
+      .post(`${base}/${taskId}/dependencies`)
+      .set('Cookie', authCookie)
+      .send({ blocks: nextId });
+    expect(dep.status).to.equal(201);
+
+    const cycle = await request(app)
+      .post(`${base}/${nextId}/dependencies`)
+      .set('Cookie', authCookie)
+      .send({ blocks: taskId });
+    expect(cycle.status).to.equal(409);
+
+    const start = await request(app)
+      .patch(`${base}/${nextId}`)
+      .set('Cookie', authCookie)
+      .send({ status: 'DOING' });
+    expect(start.status).to.equal(409);
+
+    const res = await request(app).get(`${base}/${nextId}`).set('Cookie', authCookie);
+    expect(res.body.task.blockedBy.map((t) => t.id)).to.deep.equal([taskId]);
+  });
+
+  it('12-6. 프로젝트 워크플로우: Put .../projects/:id/workflow + 새 상태로 변경', async () => {
+    const wf = await request(app)
+      .put(`/api/workspaces/${workspaceId}/projects/${projectId}/workflow`)
+      .set('Cookie', authCookie)
+      .send({
+        statuses: [
+          { key: 'TODO', name: 'To Do', category: 'TODO' },
+          { key: 'DOING', name: 'Doing', category: 'IN_PROGRESS' },
+          { key: 'IN_REVIEW', name: 'In Review', category: 'IN_PROGRESS' },
+          { key: 'DONE', name: 'Done', category: 'DONE' },
+        ],
+      });
+    expect(wf.status).to.equal(200);
+    expect(wf.body.workflow.statuses.map((s) => s.key)).to.include('IN_REVIEW');
+
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const created = await request(app).post(base).set('Cookie', authCookie).send({ title: 'Review Me' });
+    const res = await request(app)
+      .patch(`${base}/${created.body.task.id}`)
+      .set('Cookie', authCookie)
+      .send({ status: 'IN_REVIEW' });
+    expect(res.status).to.equal(200);
+    expect(res.body.task.status_category).to.equal('IN_PROGRESS');
+
+    // status 정렬은 알파벳이 아니라 워크플로우 순서 (offset/커서 모두)
+    const rank = (s) => ['TODO', 'DOING', 'IN_REVIEW', 'DONE'].indexOf(s);
+    const sorted = await request(app).get(`${base}?sort=status,ASC&size=50`).set('Cookie', authCookie);
+    const ranks = sorted.body.content.map((t) => rank(t.status));
+    expect(ranks).to.deep.equal([...ranks].sort((a, b) => a - b));
+
+    const seen = [];
+    let cursor = '';
+    for (let i = 0; i < 50; i += 1) {
+      const page = await request(app)
+        .get(`${base}?sort=status,ASC&limit=2&cursor=${cursor}`)
+        .set('Cookie', authCookie);
+      expect(page.status).to.equal(200);
+      seen.push(...page.body.content.map((t) => rank(t.status)));
+      if (!page.body.hasNext) break;
+      cursor = page.body.nextCursor;
+    }
+    expect(seen).to.deep.equal(ranks);
+  });
+
+  it('12-7. 칸반 보드: Post .../board/tasks/:id/move + Get .../board 순서', async () => {
+    const board = `/api/workspaces/${workspaceId}/projects/${projectId}/board`;
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const first = await request(app).post(base).set('Cookie', authCookie).send({ title: 'Card A' });
+    const second = await request(app).post(base).set('Cookie', authCookie).send({ title: 'Card B' });
+
+    const moved = await request(app)
+      .post(`${board}/tasks/${second.body.task.id}/move`)
+      .set('Cookie', authCookie)
+      .send({ beforeTaskId: first.body.task.id });
+    expect(moved.status).to.equal(200);
+
+    const res = await request(app).get(board).set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    const todo = res.body.columns.find((c) => c.key === 'TODO').tasks.map((t) => t.id);
+    expect(todo.indexOf(second.body.task.id)).to.be.below(todo.indexOf(first.body.task.id));
+  });
+
+  it('12-8. 반복 태스크: Put .../tasks/:id/recurrence + DONE 시 다음 인스턴스', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const created = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ title: 'Weekly Sync', dueAt: '2030-01-07T09:00:00.000Z' });
+    const id = created.body.task.id;
+
+    const rec = await request(app)
+      .put(`${base}/${id}/recurrence`)
+      .set('Cookie', authCookie)
+      .send({ freq: 'WEEKLY', weekdays: ['MO'] });
+    expect(rec.status).to.equal(200);
+    expect(rec.body.recurrence.rrule).to.equal('FREQ=WEEKLY;BYDAY=MO');
+
+    const done = await request(app).patch(`${base}/${id}`).set('Cookie', authCookie).send({ status: 'DONE' });
+    expect(done.status).to.equal(200);
+    expect(done.body.nextTaskId).to.be.a('number');
+
+    const next = await request(app).get(`${base}/${done.body.nextTaskId}`).set('Cookie', authCookie);
+    expect(new Date(next.body.task.due_at).toISOString()).to.equal('2030-01-14T09:00:00.000Z');
+  });
+
+  it('12-9. 마감 알림: Put /api/users/me/reminders + 워커(시계 주입) 임계값당 한 번', async () => {
+    const pref = await request(app)
+      .put('/api/users/me/reminders')
+      .set('Cookie', authCookie)
+      .send({ leadHours: [2] });
+    expect(pref.status).to.equal(200);
+    expect(pref.body.reminders.leadHours).to.deep.equal([2]);
+
+    const me = await request(app).get('/api/users/me').set('Cookie', authCookie);
+    const dueAt = '2031-03-02T09:00:00.000Z';
+    const created = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks`)
+      .set('Cookie', authCookie)
+      .send({ title: 'Remind Me', dueAt, assigneeId: me.body.user.id });
+    const id = created.body.task.id;
+
+    // Redis SET NX 흉내 + 발송 기록
+    const keys = new Set();
+    const store = {
+      set: async (key) => (keys.has(key) ? null : (keys.add(key), 'OK')),
+      del: async (key) => keys.delete(key),
+    };
+    const sent = [];
+    const notify = async ({ task, threshold }) => { if (task.id === id) sent.push(threshold); };
+
+    const { runDueReminders } = await import('../src/workers/dueReminders.js');
+    const due = new Date(dueAt).getTime();
+    await runDueReminders({ now: new Date(due - 3 * 3600e3), store, notify });
+    await runDueReminders({ now: new Date(due - 3600e3), store, notify });
+    await runDueReminders({ now: new Date(due - 1800e3), store, notify });
+    await runDueReminders({ now: new Date(due + 60e3), store, notify });
+    expect(sent).to.deep.equal([2, 'OVERDUE']);
+
+    // 후보가 한 페이지(batchSize)를 넘어도 뒤쪽 태스크까지 발송
+    const laterDue = '2032-03-02T09:00:00.000Z';
+    const ids = [];
+    for (const title of ['Remind A', 'Remind B', 'Remind C']) {
+      const t = await request(app)
+        .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks`)
+        .set('Cookie', authCookie)
+        .send({ title, dueAt: laterDue, assigneeId: me.body.user.id });
+      ids.push(t.body.task.id);
+    }
+    const paged = [];
+    const notifyPaged = async ({ task }) => { if (ids.includes(task.id)) paged.push(task.id); };
+    await runDueReminders({ now: new Date(new Date(laterDue).getTime() - 3600e3), store, notify: notifyPaged, batchSize: 1 });
+    expect(paged).to.deep.equal(ids);
+  });
+
+  it('12-10. 일괄 DONE: 같은 요청의 하위 태스크가 실제로 DONE이 된 경우에만 부모도 DONE', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const bulk = `/api/workspaces/${workspaceId}/tasks/bulk`;
+    const create = async (title, parentId) => {
+      const url = parentId ? `${base}/${parentId}/subtasks` : base;
+      return (await request(app).post(url).set('Cookie', authCookie).send({ title })).body.task.id;
+    };
+
+    // 부모가 먼저 와도 하위 태스크가 DONE이 되면 통과
+    const parent = await create('bulk parent');
+    const child = await create('bulk child', parent);
+    const ok = await request(app)
+      .post(bulk)
+      .set('Cookie', authCookie)
+      .send({ taskIds: [parent, child], operations: { status: 'DONE' } });
+    expect(ok.body.results.map((r) => r.ok)).to.deep.equal([true, true]);
+
+    // 하위 태스크가 blocker 때문에 실패하면 부모도 실패
+    const blockedParent = await create('bulk parent 2');
+    const blockedChild = await create('bulk child 2', blockedParent);
+    const blocker = await create('bulk blocker');
+    await request(app).post(`${base}/${blocker}/dependencies`).set('Cookie', authCookie).send({ blocks: blockedChild });
+    const res = await request(app)
+      .post(bulk)
+      .set('Cookie', authCookie)
+      .send({ taskIds: [blockedParent, blockedChild], operations: { status: 'DONE' } });
+    expect(res.body.results.map((r) => r.ok)).to.deep.equal([false, false]);
+    expect(res.body.results[0].error.message).to.equal('task has open subtasks');
+  });
+
   it('13. 워크스페이스 멤버 리스트: Get .../members', async () => {
     const res = await request(app)
       .get(`/api/workspaces/${workspaceId}/members`)
@@ -124,6 +486,334 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(200);
   });
 
+  it('13-1. 워크스페이스 권한 필터: Get .../members?memberRole=OWNER', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/members?memberRole=OWNER`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content).to.have.length(1);
+    expect(res.body.content[0].role).to.equal('OWNER');
+  });
+
+  it('13-2. 이메일 초대: Post .../invitations', async () => {
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/invitations`)
+      .set('Cookie', authCookie)
+      .send({ email: inviteeUser.email, role: 'VIEWER' });
+    expect(res.status).to.equal(201);
+    expect(res.body.invitation.status).to.equal('PENDING');
+
+    const mail = sentMails.find((m) => m.to === inviteeUser.email);
+    expect(mail).to.not.be.undefined;
+    inviteToken = decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+    // 초대 토큰(또는 typ이 붙은 토큰)은 access 쿠키로 쓸 수 없다
+    const asAccess = await request(app).get('/api/users/me').set('Cookie', `access_token=${inviteToken}`);
+    expect(asAccess.status).to.equal(401);
+    const typed = jwt.sign({ sub: '1', typ: 'invite' }, env.JWT_ACCESS_SECRET);
+    const typedAccess = await request(app).get('/api/users/me').set('Cookie', `access_token=${typed}`);
+    expect(typedAccess.status).to.equal(401);
+  });
+
+  it('13-3. 초대 수락: Post /api/invitations/accept', async () => {
+    await request(app).post('/api/auth/signup').send(inviteeUser);
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: inviteeUser.email, password: inviteeUser.password });
+    inviteeCookie = login.headers['set-cookie'];
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .set('Cookie', inviteeCookie)
+      .send({ token: inviteToken });
+    expect(res.status).to.equal(200);
+    expect(res.body.invitation.status).to.equal('ACCEPTED');
+  });
+
+  it('13-4. VIEWER는 읽기 전용: Post .../projects → 403', async () => {
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects`)
+      .set('Cookie', inviteeCookie)
+      .send({ name: 'viewer-proj' });
+    expect(res.status).to.equal(403);
+  });
+
+  it('13-5. 소유권 이전: Post .../transfer-ownership', async () => {
+    const me = await request(app).get('/api/users/me').set('Cookie', inviteeCookie);
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/transfer-ownership`)
+      .set('Cookie', authCookie)
+      .send({ userId: me.body.user.id, previousOwner: 'ADMIN' });
+    expect(res.status).to.equal(200);
+    expect(res.body.workspace.owner_id).to.equal(me.body.user.id);
+  });
+
+  it('13-6. 소유권 되돌리기: 새 owner가 다시 이전', async () => {
+    const me = await request(app).get('/api/users/me').set('Cookie', authCookie);
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/transfer-ownership`)
+      .set('Cookie', inviteeCookie)
+      .send({ userId: me.body.user.id, previousOwner: 'VIEWER' });
+    expect(res.status).to.equal(200);
+    expect(res.body.workspace.owner_id).to.equal(me.body.user.id);
+  });
+
+  it('13-7. 알림 센터: 댓글 멘션 → Get /api/users/me/notifications + read-all', async () => {
+    const invitee = await request(app).get('/api/users/me').set('Cookie', inviteeCookie);
+    await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments`)
+      .set('Cookie', authCookie)
+      .send({ content: `please review @[${invitee.body.user.id}]` });
+
+    const res = await request(app)
+      .get('/api/users/me/notifications?unread=true')
+      .set('Cookie', inviteeCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content.map((n) => n.type)).to.include('MENTIONED');
+    expect(res.body.unreadCount).to.be.above(0);
+
+    const readAll = await request(app)
+      .post('/api/users/me/notifications/read-all')
+      .set('Cookie', inviteeCookie);
+    expect(readAll.status).to.equal(200);
+    expect(readAll.body.unreadCount).to.equal(0);
+  });
+
+  it('13-8. @username 멘션: 댓글 응답 mentions + Get /api/users/me/mentions + 수정/재멘션 시 중복 알림 없음', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments`;
+    const created = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ content: `ping @${inviteeUser.name}` });
+    expect(created.status).to.equal(201);
+    expect(created.body.comment.mentions.map((m) => m.name)).to.include(inviteeUser.name);
+    const commentIdWithMention = created.body.comment.id;
+
+    const edited = await request(app)
+      .patch(`${base}/${commentIdWithMention}`)
+      .set('Cookie', authCookie)
+      .send({ content: `ping @${inviteeUser.name} again` });
+    expect(edited.status).to.equal(200);
+
+    // 멘션을 뺐다가 다시 넣어도 MENTIONED 알림은 한 번만
+    const removed = await request(app)
+      .patch(`${base}/${commentIdWithMention}`)
+      .set('Cookie', authCookie)
+      .send({ content: 'ping nobody' });
+    expect(removed.status).to.equal(200);
+    const readded = await request(app)
+      .patch(`${base}/${commentIdWithMention}`)
+      .set('Cookie', authCookie)
+      .send({ content: `ping @${inviteeUser.name} back` });
+    expect(readded.status).to.equal(200);
+
+    const mentions = await request(app).get('/api/users/me/mentions').set('Cookie', inviteeCookie);
+    expect(mentions.status).to.equal(200);
+    expect(mentions.body.content.map((m) => m.commentId)).to.include(commentIdWithMention);
+
+    const notifications = await request(app)
+      .get('/api/users/me/notifications?type=MENTIONED&size=50')
+      .set('Cookie', inviteeCookie);
+    const forComment = notifications.body.content.filter((n) => n.commentId === commentIdWithMention);
+    expect(forComment).to.have.length(1);
+  });
+
+  it('13-9. 답글 + 반응: 1단계 답글, 반응 토글, 삭제된 부모는 [deleted]', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments`;
+    const root = await request(app).post(base).set('Cookie', authCookie).send({ content: 'thread root' });
+    expect(root.status).to.equal(201);
+    const rootId = root.body.comment.id;
+
+    const reply = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ content: 'first reply', parentCommentId: rootId });
+    expect(reply.status).to.equal(201);
+    expect(reply.body.comment.parent_comment_id).to.equal(rootId);
+
+    const nested = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ content: 'too deep', parentCommentId: reply.body.comment.id });
+    expect(nested.status).to.equal(400);
+
+    const reacted = await request(app)
+      .post(`${base}/${reply.body.comment.id}/reactions`)
+      .set('Cookie', authCookie)
+      .send({ emoji: 'THUMBS_UP' });
+    expect(reacted.status).to.equal(200);
+    expect(reacted.body.reacted).to.equal(true);
+    expect(reacted.body.reactions).to.deep.equal([{ emoji: 'THUMBS_UP', count: 1, reactedByMe: true }]);
+
+    const undone = await request(app)
+      .post(`${base}/${reply.body.comment.id}/reactions`)
+      .set('Cookie', authCookie)
+      .send({ emoji: 'THUMBS_UP' });
+    expect(undone.body.reacted).to.equal(false);
+    expect(undone.body.reactions).to.have.length(0);
+
+    await request(app).delete(`${base}/${rootId}`).set('Cookie', authCookie);
+    const list = await request(app).get(`${base}?size=50`).set('Cookie', authCookie);
+    expect(list.status).to.equal(200);
+    const thread = list.body.content.find((c) => c.id === rootId);
+    expect(thread.content).to.equal('[deleted]');
+    expect(thread.replyCount).to.equal(1);
+    expect(thread.replies[0].id).to.equal(reply.body.comment.id);
+  });
+
+  it('13-10. 댓글 수정 이력 + tombstone: revisions, 멤버는 [deleted], ADMIN 이상은 원문', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments`;
+    const created = await request(app).post(base).set('Cookie', authCookie).send({ content: 'v1' });
+    const id = created.body.comment.id;
+    expect(created.body.comment.edited).to.equal(false);
+
+    await request(app).patch(`${base}/${id}`).set('Cookie', authCookie).send({ content: 'v2' });
+    const edited = await request(app).patch(`${base}/${id}`).set('Cookie', authCookie).send({ content: 'v3' });
+    expect(edited.body.comment.edited).to.equal(true);
+    expect(edited.body.comment.editedAt).to.not.equal(null);
+
+    const revisions = await request(app).get(`${base}/${id}/revisions?sort=id,ASC`).set('Cookie', authCookie);
+    expect(revisions.status).to.equal(200);
+    expect(revisions.body.content.map((r) => [r.oldContent, r.newContent])).to.deep.equal([
+      ['v1', 'v2'],
+      ['v2', 'v3'],
+    ]);
+
+    await request(app).post(base).set('Cookie', authCookie).send({ content: 'keeps thread', parentCommentId: id });
+    const removed = await request(app).delete(`${base}/${id}`).set('Cookie', authCookie);
+    expect(removed.status).to.equal(204);
+
+    const asViewer = await request(app).get(`${base}?size=50`).set('Cookie', inviteeCookie);
+    expect(asViewer.body.content.find((c) => c.id === id).content).to.equal('[deleted]');
+    expect(asViewer.body.content.find((c) => c.id === id)).to.not.have.property('user_id');
+    const viewerKeyword = await request(app).get(`${base}?keyword=v3`).set('Cookie', inviteeCookie);
+    expect(viewerKeyword.body.content.map((c) => c.id)).to.not.include(id);
+    const viewerRevisions = await request(app).get(`${base}/${id}/revisions`).set('Cookie', inviteeCookie);
+    expect(viewerRevisions.status).to.equal(404);
+    const viewerAudit = await request(app).get(`${base}?includeDeleted=true`).set('Cookie', inviteeCookie);
+    expect(viewerAudit.status).to.equal(403);
+
+    const asOwner = await request(app).get(`${base}?size=50&includeDeleted=true`).set('Cookie', authCookie);
+    const tombstone = asOwner.body.content.find((c) => c.id === id);
+    expect(tombstone.content).to.equal('v3');
+    expect(tombstone.deleted).to.equal(true);
+  });
+
+  it('13-11. Markdown 댓글: sanitize된 contentHtml + #태스크 링크 + 길이 제한', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments`;
+    const res = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ content: `**see** #${taskId} and #999999 <script>alert(1)</script> [x](javascript:alert(1))` });
+    expect(res.status).to.equal(201);
+    const { contentHtml, taskLinks } = res.body.comment;
+    expect(contentHtml).to.include('<strong>see</strong>');
+    expect(contentHtml).to.include(`data-task-id="${taskId}"`);
+    expect(contentHtml).to.not.include('<script');
+    expect(contentHtml).to.not.include('javascript:');
+    expect(taskLinks.map((l) => l.taskId)).to.deep.equal([taskId]);
+
+    const tooLong = await request(app).post(base).set('Cookie', authCookie).send({ content: 'a'.repeat(10001) });
+    expect(tooLong.status).to.equal(400);
+  });
+
+  it('13-12. 첨부 파일: 업로드(내용 기준 타입 판별) → 다운로드 → 삭제', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/attachments`;
+    const res = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .attach('file', Buffer.from('log line\n'), { filename: 'app.log', contentType: 'application/octet-stream' });
+    expect(res.status).to.equal(201);
+    expect(res.body.attachment.mimeType).to.equal('text/plain');
+    expect(res.body.attachment.sizeBytes).to.equal(9);
+    const id = res.body.attachment.id;
+
+    const binary = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .attach('file', Buffer.from([0x00, 0x01, 0x02]), { filename: 'a.png', contentType: 'image/png' });
+    expect(binary.status).to.equal(415);
+
+    const viewerUpload = await request(app)
+      .post(base)
+      .set('Cookie', inviteeCookie)
+      .attach('file', Buffer.from('hi'), 'a.txt');
+    expect(viewerUpload.status).to.equal(403);
+
+    const download = await request(app).get(`${base}/${id}/download`).set('Cookie', inviteeCookie);
+    expect(download.status).to.equal(200);
+    expect(download.headers['content-disposition']).to.include('attachment');
+    expect(download.text).to.equal('log line\n');
+
+    const del = await request(app).delete(`${base}/${id}`).set('Cookie', authCookie);
+    expect(del.status).to.equal(204);
+    expect(storedFiles.size).to.equal(0);
+  });
+
+  it('13-13. 멤버 제거 후 알림 중단: 담당/팔로우가 남아 있어도 상태 변경/댓글 알림 없음', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const invitee = (await request(app).get('/api/users/me').set('Cookie', inviteeCookie)).body.user;
+    const created = await request(app)
+      .post(base)
+      .set('Cookie', authCookie)
+      .send({ title: 'member only', assigneeId: invitee.id });
+    expect(created.status).to.equal(201);
+    const id = created.body.task.id;
+    const follow = await request(app).put(`${base}/${id}/follow`).set('Cookie', inviteeCookie);
+    expect(follow.status).to.equal(200);
+
+    const forTask = async () => {
+      const res = await request(app).get('/api/users/me/notifications?size=50').set('Cookie', inviteeCookie);
+      return res.body.content.filter((n) => n.taskId === id).map((n) => n.type);
+    };
+    await request(app).patch(`${base}/${id}`).set('Cookie', authCookie).send({ status: 'DOING' });
+    expect(await forTask()).to.have.members(['TASK_ASSIGNED', 'TASK_STATUS_CHANGED']);
+
+    const removed = await request(app)
+      .delete(`/api/workspaces/${workspaceId}/members/${invitee.id}`)
+      .set('Cookie', authCookie);
+    expect(removed.status).to.equal(204);
+    await request(app).patch(`${base}/${id}`).set('Cookie', authCookie).send({ status: 'IN_REVIEW' });
+    await request(app).post(`${base}/${id}/comments`).set('Cookie', authCookie).send({ content: 'after removal' });
+    expect(await forTask()).to.have.members(['TASK_ASSIGNED', 'TASK_STATUS_CHANGED']);
+
+    // 뒤 테스트를 위해 VIEWER로 복귀
+    const readd = await request(app)
+      .post(`/api/workspaces/${workspaceId}/members`)
+      .set('Cookie', authCookie)
+      .send({ userId: invitee.id, role: 'VIEWER' });
+    expect(readd.status).to.equal(200);
+  });
+
+  it('13-14. 마감 알림 워커: 워크스페이스에서 빠진 담당자는 대상 아님', async () => {
+    const invitee = (await request(app).get('/api/users/me').set('Cookie', inviteeCookie)).body.user;
+    const dueAt = '2033-03-02T09:00:00.000Z';
+    const created = await request(app)
+      .post(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks`)
+      .set('Cookie', authCookie)
+      .send({ title: 'Remind Member', dueAt, assigneeId: invitee.id });
+    const id = created.body.task.id;
+
+    const { runDueReminders } = await import('../src/workers/dueReminders.js');
+    const store = { set: async () => 'OK', del: async () => 1 };
+    const run = async () => {
+      const sent = [];
+      const notify = async ({ task }) => { if (task.id === id) sent.push(task.id); };
+      await runDueReminders({ now: new Date(new Date(dueAt).getTime() + 60e3), store, notify });
+      return sent;
+    };
+    expect(await run()).to.deep.equal([id]);
+
+    await request(app).delete(`/api/workspaces/${workspaceId}/members/${invitee.id}`).set('Cookie', authCookie);
+    expect(await run()).to.deep.equal([]);
+
+    const readd = await request(app)
+      .post(`/api/workspaces/${workspaceId}/members`)
+      .set('Cookie', authCookie)
+      .send({ userId: invitee.id, role: 'VIEWER' });
+    expect(readd.status).to.equal(200);
+  });
+
   it('14. 400 에러 테스트: Post /tags (name 누락)', async () => {
     const res = await request(app)
       .post(`/api/workspaces/${workspaceId}/tags`)
@@ -150,6 +840,22 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(200);
   });
 
+  it('17-1. 워크스페이스 통계: Get /api/workspaces/:id/stats/tasks', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/stats/tasks`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.totals.total).to.be.at.least(1);
+  });
+
+  it('17-2. 일별 생성/완료 통계: Get .../stats/activity', async () => {
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/stats/activity`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.days).to.have.length(30);
+  });
+
   it('18. 댓글 삭제: Delete .../comments/:id', async () => {
     const res = await request(app)
       .delete(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}/comments/${commentId}`)
@@ -157,6 +863,53 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(204);
   });
 
+  it('18-1. 태스크 삭제 후 휴지통 조회: Get .../trash/tasks', async () => {
+    const del = await request(app)
+      .delete(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
+      .set('Cookie', authCookie);
+    expect(del.status).to.equal(204);
+
+    const res = await request(app)
+      .get(`/api/workspaces/${workspaceId}/trash/tasks`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content.map((t) => t.id)).to.include(taskId);
+  });
+
+  it('18-2. 휴지통 복구: Post .../trash/tasks/:id/restore', async () => {
+    const res = await request(app)
+      .post(`/api/workspaces/${workspaceId}/trash/tasks/${taskId}/restore`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.task.deleted_at).to.equal(null);
+    expect(res.body.task).to.include.keys('progress', 'blockedBy', 'blocking', 'descriptionHtml');
+  });
+
+  it('18-3. 휴지통 복구: 되살리면 순환이 되는 선후 관계는 휴지통에 남김', async () => {
+    const base = `/api/workspaces/${workspaceId}/projects/${projectId}/tasks`;
+    const ids = [];
+    for (const title of ['cycle-A', 'cycle-B', 'cycle-C']) {
+      ids.push((await request(app).post(base).set('Cookie', authCookie).send({ title })).body.task.id);
+    }
+    const [a, b, c] = ids;
+    await request(app).post(`${base}/${a}/dependencies`).set('Cookie', authCookie).send({ blocks: b });
+    await request(app).post(`${base}/${b}/dependencies`).set('Cookie', authCookie).send({ blocks: c });
+
+    await request(app).delete(`${base}/${b}`).set('Cookie', authCookie);
+    const closing = await request(app).post(`${base}/${c}/dependencies`).set('Cookie', authCookie).send({ blocks: a });
+    expect(closing.status).to.equal(201);
+
+    const restored = await request(app)
+      .post(`/api/workspaces/${workspaceId}/trash/tasks/${b}/restore`)
+      .set('Cookie', authCookie);
+    expect(restored.status).to.equal(200);
+
+    const taskB = await request(app).get(`${base}/${b}`).set('Cookie', authCookie);
+    expect(taskB.body.task.blockedBy.map((t) => t.id)).to.deep.equal([a]);
+    const taskC = await request(app).get(`${base}/${c}`).set('Cookie', authCookie);
+    expect(taskC.body.task.blockedBy.map((t) => t.id)).to.not.include(b);
+  });
+
   it('19. 워크스페이스 삭제: Delete /api/workspaces/:id', async () => {
     const res = await request(app)
       .delete(`/api/workspaces/${workspaceId}`)
@@ -164,6 +917,34 @@ describe('WebService TermProject API 통합 테스트 (Postman & Cookie 반영)'
     expect(res.status).to.equal(204);
   });
 
+  it('19-1. 삭제된 워크스페이스 목록: Get /api/trash/workspaces', async () => {
+    const res = await request(app)
+      .get('/api/trash/workspaces')
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.content.map((w) => w.id)).to.include(workspaceId);
+  });
+
+  it('19-2. 워크스페이스 복구: 하위 프로젝트/태스크도 함께 복구', async () => {
+    const res = await request(app)
+      .post(`/api/trash/workspaces/${workspaceId}/restore`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(200);
+    expect(res.body.restoredTasks).to.be.at.least(1);
+
+    const task = await request(app)
+      .get(`/api/workspaces/${workspaceId}/projects/${projectId}/tasks/${taskId}`)
+      .set('Cookie', authCookie);
+    expect(task.status).to.equal(200);
+  });
+
+  it('19-3. 워크스페이스 재삭제: Delete /api/workspaces/:id', async () => {
+    const res = await request(app)
+      .delete(`/api/workspaces/${workspaceId}`)
+      .set('Cookie', authCookie);
+    expect(res.status).to.equal(204);
+  });
+
   it('20. 회원 탈퇴: Delete /api/users/me', async () => {
     const res = await request(app)
       .delete('/api/users/me')